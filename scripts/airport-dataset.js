@@ -0,0 +1,154 @@
+// Turn the OurAirports tables (https://ourairports.com/data/) into the app's
+// airport dataset. Used by build-airports.js; kept free of file access so the
+// selection and scoring can be tested on small fixtures.
+//
+// Selection: the maxAirports highest scoring open airports (large, medium and
+// small; no heliports, seaplane bases or closed fields) with a four-character
+// ICAO-style code. Airports without an IATA code score lower and get their ICAO
+// code in its place, as the app shows `iata` as the short label.
+//
+// Levels: airports are ranked by an importance score and split into levels of
+// AIRPORTS_PER_LEVEL, so level 1 holds the 100 most important airports and the
+// map adds whole levels as you zoom in. The score adds up:
+//   - type: large 3000, medium 2000, small 1000
+//   - scheduled airline service: 1000
+//   - IATA code: 500
+//   - longest open runway: 1 per 10 m
+//   - open runways: 50 each, counting at most 6
+// Ties are broken by name so builds are reproducible.
+//
+// Cities come from OurAirports' municipality field. Where that is blank, the city
+// the airport had in the previous build is kept, so cities are not lost when the
+// source drops them.
+
+import tzlookup from '@photostructure/tz-lookup'
+import { MAX_LEVEL } from './airport-validation.js'
+
+export const AIRPORTS_PER_LEVEL = 100
+export const MAX_AIRPORTS = AIRPORTS_PER_LEVEL * MAX_LEVEL
+const INCLUDED_TYPES = ['large_airport', 'medium_airport', 'small_airport']
+const TYPE_SCORES = { large_airport: 3000, medium_airport: 2000, small_airport: 1000 }
+const SCHEDULED_SERVICE_SCORE = 1000
+const IATA_SCORE = 500
+const RUNWAY_METRES_PER_POINT = 10
+const RUNWAY_COUNT_SCORE = 50
+const MAX_COUNTED_RUNWAYS = 6
+const COORDINATE_DECIMALS = 6
+
+const FEET_TO_METRES = 0.3048
+const PAVED_SURFACE_PATTERN = /^(asp|con|pem|bit|tar|pav|mac|cop)|asphalt|concrete|bitumen|paved/i
+const UNPAVED_SURFACE_PATTERN = /unpaved|gravel|grass|turf|dirt|sand|soil|grv|grs|trf|water/i
+const ICAO_STYLE_PATTERN = /^[A-Z0-9]{4}$/
+
+// Helper function to convert a numeric CSV field, or null if it is blank
+const toNumber = (value) => value === '' || value == null ? null : Number(value)
+
+const isPaved = (surface) => PAVED_SURFACE_PATTERN.test(surface) && !UNPAVED_SURFACE_PATTERN.test(surface)
+
+const roundCoordinate = (value) => Number(value.toFixed(COORDINATE_DECIMALS))
+
+// Helper function to group CSV rows by OurAirports airport id
+const groupByAirport = (rows) => {
+  const groups = new Map()
+  rows.forEach(row => {
+    if (!groups.has(row.airport_ref)) groups.set(row.airport_ref, [])
+    groups.get(row.airport_ref).push(row)
+  })
+  return groups
+}
+
+// Helper function to convert runway rows, longest first
+const toRunways = (rows) => rows.map(row => {
+  const lengthFt = toNumber(row.length_ft)
+  const widthFt = toNumber(row.width_ft)
+  return {
+    ident: [row.le_ident, row.he_ident].filter(Boolean).join('/'),
+    lengthM: lengthFt === null ? null : Math.round(lengthFt * FEET_TO_METRES),
+    widthM: widthFt === null ? null : Math.round(widthFt * FEET_TO_METRES),
+    surface: row.surface,
+    paved: isPaved(row.surface),
+    lighted: row.lighted === '1',
+    closed: row.closed === '1'
+  }
+}).sort((a, b) => (b.lengthM || 0) - (a.lengthM || 0))
+
+// Importance score used to assign levels (see the criteria above)
+const scoreAirport = ({ source, iata, openRunways }) =>
+  TYPE_SCORES[source.type] +
+  (source.scheduled_service === 'yes' ? SCHEDULED_SERVICE_SCORE : 0) +
+  (iata ? IATA_SCORE : 0) +
+  (openRunways.length > 0 ? openRunways[0].lengthM / RUNWAY_METRES_PER_POINT : 0) +
+  Math.min(openRunways.length, MAX_COUNTED_RUNWAYS) * RUNWAY_COUNT_SCORE
+
+// Build the dataset from the parsed rows of airports.csv, runways.csv,
+// airport-frequencies.csv and countries.csv, and the previous build's airports if
+// any. Returns { airports, detailShards }, the compact airport list and the details
+// keyed by shard (the first character of the ICAO code), then by ICAO code.
+export const buildAirportDataset = ({ airports: sourceAirports, runways, frequencies, countries }, { maxAirports = MAX_AIRPORTS, previousAirports = [] } = {}) => {
+  const previousCities = new Map(previousAirports.filter(airport => airport.city).map(airport => [airport.icao, airport.city]))
+  const runwaysByAirport = groupByAirport(runways)
+  const frequenciesByAirport = groupByAirport(frequencies)
+  const countryNames = new Map(countries.map(row => [row.code, row.name]))
+
+  // Candidates with their runways and score
+  const candidates = sourceAirports
+    .filter(source => INCLUDED_TYPES.includes(source.type))
+    .map(source => {
+      const icao = source.icao_code || source.gps_code || source.ident
+      const runways = toRunways(runwaysByAirport.get(source.id) || [])
+      const openRunways = runways.filter(runway => !runway.closed && runway.lengthM)
+      return { source, icao, iata: source.iata_code, runways, openRunways }
+    })
+    .filter(candidate => ICAO_STYLE_PATTERN.test(candidate.icao))
+    .map(candidate => ({ ...candidate, score: scoreAirport(candidate) }))
+    .sort((a, b) => b.score - a.score || a.source.name.localeCompare(b.source.name))
+
+  // Keep the first (highest scoring) airport for each ICAO code
+  const seenIcao = new Set()
+  const selected = candidates.filter(candidate => {
+    if (seenIcao.has(candidate.icao)) return false
+    seenIcao.add(candidate.icao)
+    return true
+  }).slice(0, maxAirports)
+
+  const airports = []
+  const detailShards = {}
+
+  selected.forEach((candidate, rank) => {
+    const { source, icao, iata, runways, openRunways } = candidate
+    const lat = roundCoordinate(Number(source.latitude_deg))
+    const lon = roundCoordinate(Number(source.longitude_deg))
+    const pavedRunways = openRunways.filter(runway => runway.paved)
+
+    airports.push({
+      icao,
+      iata: iata || icao,
+      name: source.name,
+      city: source.municipality || previousCities.get(icao) || '',
+      country: countryNames.get(source.iso_country) || source.iso_country,
+      lat,
+      lon,
+      level: Math.floor(rank / AIRPORTS_PER_LEVEL) + 1,
+      type: source.type,
+      elevationFt: toNumber(source.elevation_ft),
+      longestRunwayM: openRunways.length > 0 ? openRunways[0].lengthM : null,
+      longestPavedRunwayM: pavedRunways.length > 0 ? pavedRunways[0].lengthM : null,
+      timezone: Number.isFinite(lat) && Number.isFinite(lon) ? tzlookup(lat, lon) : null
+    })
+
+    const shard = icao[0]
+    if (!detailShards[shard]) detailShards[shard] = {}
+    detailShards[shard][icao] = {
+      runways,
+      frequencies: (frequenciesByAirport.get(source.id) || []).map(row => ({
+        type: row.type,
+        description: row.description,
+        mhz: toNumber(row.frequency_mhz)
+      })),
+      homeLink: source.home_link || null,
+      wikipediaLink: source.wikipedia_link || null
+    }
+  })
+
+  return { airports, detailShards }
+}
@@ -0,0 +1,92 @@
+import { readFileSync } from 'node:fs'
+import { describe, expect, it } from 'vitest'
+import { parseCsv } from './csv.js'
+import { buildAirportDataset } from './airport-dataset.js'
+import { validateAirports } from './airport-validation.js'
+
+// A few rows in the OurAirports format, see fixtures/ourairports
+const readFixture = (name) => parseCsv(readFileSync(new URL(`fixtures/ourairports/${name}`, import.meta.url), 'utf8'))
+
+const tables = {
+  airports: readFixture('airports.csv'),
+  runways: readFixture('runways.csv'),
+  frequencies: readFixture('airport-frequencies.csv'),
+  countries: readFixture('countries.csv')
+}
+
+describe('buildAirportDataset', () => {
+  const { airports, detailShards } = buildAirportDataset(tables)
+  const byIcao = Object.fromEntries(airports.map(airport => [airport.icao, airport]))
+
+  it('keeps open airports with an ICAO-style code, once each, ranked by score', () => {
+    // No heliport, closed field or local identifier; the second EGLL scores lower
+    expect(airports.map(airport => airport.icao)).toEqual(['KJFK', 'EGLL', 'EGKH'])
+    expect(byIcao.EGLL.name).toBe('London Heathrow Airport')
+  })
+
+  it('builds the compact airport entries', () => {
+    expect(byIcao.EGLL).toEqual({
+      icao: 'EGLL',
+      iata: 'LHR',
+      name: 'London Heathrow Airport',
+      city: 'London',
+      country: 'United Kingdom',
+      lat: 51.4706,
+      lon: -0.461941,
+      level: 1,
+      type: 'large_airport',
+      elevationFt: 83,
+      longestRunwayM: 3901,
+      longestPavedRunwayM: 3901,
+      timezone: 'Europe/London'
+    })
+  })
+
+  it('uses the ICAO code when there is no IATA code', () => {
+    expect(byIcao.EGKH.iata).toBe('EGKH')
+  })
+
+  it('ignores closed runways and tells paved runways apart', () => {
+    expect(byIcao.KJFK.longestRunwayM).toBe(4423)
+    expect(byIcao.EGKH.longestRunwayM).toBe(819)
+    expect(byIcao.EGKH.longestPavedRunwayM).toBeNull()
+  })
+
+  it('keeps the previous city when the source has none', () => {
+    const withoutCity = { ...tables, airports: tables.airports.map(row => row.ident === 'EGKH' ? { ...row, municipality: '' } : row) }
+    const previousAirports = [{ icao: 'EGKH', city: 'Headcorn' }, { icao: 'EGLL', city: 'Hounslow' }]
+    const { airports: rebuilt } = buildAirportDataset(withoutCity, { previousAirports })
+
+    expect(rebuilt.find(airport => airport.icao === 'EGKH').city).toBe('Headcorn')
+    // The source's city wins where it has one
+    expect(rebuilt.find(airport => airport.icao === 'EGLL').city).toBe('London')
+  })
+
+  it('splits levels by rank', () => {
+    const { airports: limited } = buildAirportDataset(tables, { maxAirports: 2 })
+    expect(limited.map(airport => airport.icao)).toEqual(['KJFK', 'EGLL'])
+    expect(limited.every(airport => airport.level === 1)).toBe(true)
+  })
+
+  it('shards the details by the first character of the ICAO code', () => {
+    expect(Object.keys(detailShards).sort()).toEqual(['E', 'K'])
+    expect(Object.keys(detailShards.E).sort()).toEqual(['EGKH', 'EGLL'])
+    expect(detailShards.E.EGLL).toEqual({
+      runways: [
+        { ident: '09L/27R', lengthM: 3901, widthM: 50, surface: 'ASP', paved: true, lighted: true, closed: false },
+        { ident: '09R/27L', lengthM: 3660, widthM: 50, surface: 'ASP', paved: true, lighted: true, closed: false }
+      ],
+      frequencies: [
+        { type: 'TWR', description: 'HEATHROW TWR', mhz: 118.5 },
+        { type: 'ATIS', description: 'HEATHROW ATIS', mhz: 113.75 }
+      ],
+      homeLink: 'https://www.heathrow.com/',
+      wikipediaLink: 'https://en.wikipedia.org/wiki/Heathrow_Airport'
+    })
+    expect(detailShards.K.KJFK.runways.map(runway => runway.closed)).toEqual([false, true])
+  })
+
+  it('produces a dataset that passes validation', () => {
+    expect(validateAirports(airports).errors).toEqual([])
+  })
+})
@@ -0,0 +1,17 @@
+// Delta updates for the airport dataset. Besides airports.json the build writes
+// airports-delta.json, the changes from the previously built version, so an
+// installed app holding that version downloads only what changed; apps holding
+// any other version download the full dataset. The delta lists the ICAO codes of
+// the new dataset in order and the entries that were added or changed, and codes
+// missing from the list were removed. src/airportData.js applies it.
+
+// Changes from previousAirports to airports as { from, to, order, airports }
+export const createAirportsDelta = (previousAirports, airports, { from, to }) => {
+  const previousByIcao = new Map(previousAirports.map(airport => [airport.icao, JSON.stringify(airport)]))
+  return {
+    from,
+    to,
+    order: airports.map(airport => airport.icao),
+    airports: airports.filter(airport => previousByIcao.get(airport.icao) !== JSON.stringify(airport))
+  }
+}
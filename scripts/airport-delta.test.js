@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest'
+import { createAirportsDelta } from './airport-delta.js'
+
+const heathrow = { icao: 'EGLL', iata: 'LHR', name: 'London Heathrow Airport', level: 1 }
+const gatwick = { icao: 'EGKK', iata: 'LGW', name: 'London Gatwick Airport', level: 1 }
+const stansted = { icao: 'EGSS', iata: 'STN', name: 'London Stansted Airport', level: 2 }
+const luton = { icao: 'EGGW', iata: 'LTN', name: 'London Luton Airport', level: 2 }
+
+describe('createAirportsDelta', () => {
+  it('lists the new order and only the added or changed airports', () => {
+    const changedGatwick = { ...gatwick, level: 2 }
+    const delta = createAirportsDelta([heathrow, gatwick, stansted], [heathrow, luton, changedGatwick], { from: 'aaaa', to: 'bbbb' })
+
+    expect(delta).toEqual({
+      from: 'aaaa',
+      to: 'bbbb',
+      order: ['EGLL', 'EGGW', 'EGKK'],
+      airports: [luton, changedGatwick]
+    })
+  })
+
+  it('has no airports when only the order changed', () => {
+    const delta = createAirportsDelta([heathrow, gatwick], [gatwick, heathrow], { from: 'aaaa', to: 'bbbb' })
+    expect(delta.order).toEqual(['EGKK', 'EGLL'])
+    expect(delta.airports).toEqual([])
+  })
+})
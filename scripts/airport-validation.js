@@ -0,0 +1,115 @@
+// Schema validation for the airport dataset (public/airports.json).
+//
+// Errors make the dataset unusable by the app and fail the build: missing or
+// malformed fields, duplicate ICAO codes, missing IATA codes, coordinates out of
+// range and levels outside 1..MAX_LEVEL. Warnings are suspicious but allowed:
+// an IATA code shared by two airports, an airport without an IATA code whose
+// ICAO code stands in for it (the app shows `iata` as the short label), a local
+// identifier instead of a four-character ICAO code, a missing city or country,
+// or coordinates of exactly 0, 0.
+
+export const MAX_LEVEL = 60
+
+const MAX_LISTED_ISSUES = 20
+
+const ICAO_PATTERN = /^[A-Z0-9]{4}$/
+const IDENT_PATTERN = /^[A-Z0-9]{2,7}$/ // Local identifiers such as FAA codes; no '-', which separates codes in permalinks
+const IATA_PATTERN = /^[A-Z0-9]{3}$/
+
+// Optional fields added from OurAirports; null means unknown
+const OPTIONAL_NUMBER_FIELDS = ['elevationFt', 'longestRunwayM', 'longestPavedRunwayM']
+const PLACE_FIELDS = ['city', 'country']
+
+// Validate a list of airport records. Returns { errors, warnings }, each a list
+// of messages naming the offending record.
+export const validateAirports = (airports) => {
+  const errors = []
+  const warnings = []
+
+  if (!Array.isArray(airports)) {
+    return { errors: ['Dataset must be an array of airports'], warnings }
+  }
+
+  const seenIcao = new Map()
+  const seenIata = new Map()
+
+  airports.forEach((airport, index) => {
+    const label = `#${index} (${airport?.icao || 'no ICAO'})`
+    if (!airport || typeof airport !== 'object') {
+      errors.push(`${label}: not an object`)
+      return
+    }
+
+    // Codes
+    if (!IDENT_PATTERN.test(airport.icao || '')) {
+      errors.push(`${label}: invalid ICAO code ${JSON.stringify(airport.icao)}`)
+    } else if (seenIcao.has(airport.icao)) {
+      errors.push(`${label}: duplicate ICAO code, also used by #${seenIcao.get(airport.icao)}`)
+    } else {
+      seenIcao.set(airport.icao, index)
+      if (!ICAO_PATTERN.test(airport.icao)) {
+        warnings.push(`${label}: local identifier rather than a four-character ICAO code`)
+      }
+    }
+
+    if (!airport.iata) {
+      errors.push(`${label}: missing IATA code`)
+    } else if (airport.iata === airport.icao) {
+      warnings.push(`${label}: no IATA code, ICAO code used in its place`)
+    } else if (!IATA_PATTERN.test(airport.iata)) {
+      errors.push(`${label}: invalid IATA code ${JSON.stringify(airport.iata)}`)
+    } else if (seenIata.has(airport.iata)) {
+      warnings.push(`${label}: IATA code ${airport.iata} also used by #${seenIata.get(airport.iata)}`)
+    } else {
+      seenIata.set(airport.iata, index)
+    }
+
+    // Names
+    if (typeof airport.name !== 'string' || airport.name.trim() === '') {
+      errors.push(`${label}: missing name`)
+    }
+    PLACE_FIELDS.forEach(field => {
+      if (typeof airport[field] !== 'string') {
+        errors.push(`${label}: ${field} must be a string`)
+      } else if (airport[field].trim() === '') {
+        warnings.push(`${label}: missing ${field}`)
+      }
+    })
+
+    // Coordinates
+    if (typeof airport.lat !== 'number' || !(airport.lat >= -90 && airport.lat <= 90)) {
+      errors.push(`${label}: latitude ${JSON.stringify(airport.lat)} out of range -90..90`)
+    }
+    if (typeof airport.lon !== 'number' || !(airport.lon >= -180 && airport.lon <= 180)) {
+      errors.push(`${label}: longitude ${JSON.stringify(airport.lon)} out of range -180..180`)
+    }
+    if (airport.lat === 0 && airport.lon === 0) {
+      warnings.push(`${label}: coordinates are 0, 0`)
+    }
+
+    // Level
+    if (!Number.isInteger(airport.level) || airport.level < 1 || airport.level > MAX_LEVEL) {
+      errors.push(`${label}: level ${JSON.stringify(airport.level)} must be an integer from 1 to ${MAX_LEVEL}`)
+    }
+
+    // Optional fields
+    OPTIONAL_NUMBER_FIELDS.forEach(field => {
+      if (airport[field] != null && !Number.isFinite(airport[field])) {
+        errors.push(`${label}: ${field} must be a number or null`)
+      }
+    })
+    if (airport.timezone != null && typeof airport.timezone !== 'string') {
+      errors.push(`${label}: timezone must be a string`)
+    }
+  })
+
+  return { errors, warnings }
+}
+
+// Print the first few issues of a kind, e.g. printIssues('errors', errors)
+export const printIssues = (title, issues) => {
+  if (issues.length === 0) return
+  console.log(`${issues.length} ${title}:`)
+  issues.slice(0, MAX_LISTED_ISSUES).forEach(issue => console.log(`  ${issue}`))
+  if (issues.length > MAX_LISTED_ISSUES) console.log(`  ... and ${issues.length - MAX_LISTED_ISSUES} more`)
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_LEVEL, validateAirports } from './airport-validation.js'
+
+// A valid airport record; tests override single fields
+const airport = (fields = {}) => ({
+  icao: 'EGLL',
+  iata: 'LHR',
+  name: 'London Heathrow Airport',
+  city: 'London',
+  country: 'United Kingdom',
+  lat: 51.4706,
+  lon: -0.461941,
+  level: 1,
+  ...fields
+})
+
+const errorsFor = (...airports) => validateAirports(airports).errors
+const warningsFor = (...airports) => validateAirports(airports).warnings
+
+describe('validateAirports', () => {
+  it('accepts a valid dataset', () => {
+    expect(validateAirports([
+      airport(),
+      airport({ icao: 'KJFK', iata: 'JFK', name: 'John F Kennedy International Airport', city: 'New York', lat: 40.64, lon: -73.78 })
+    ])).toEqual({ errors: [], warnings: [] })
+  })
+
+  it('rejects a dataset that is not an array', () => {
+    expect(validateAirports({}).errors).toEqual(['Dataset must be an array of airports'])
+  })
+
+  describe('ICAO codes', () => {
+    it('rejects a duplicate ICAO code', () => {
+      expect(errorsFor(airport(), airport({ iata: 'LON' }))).toEqual([
+        '#1 (EGLL): duplicate ICAO code, also used by #0'
+      ])
+    })
+
+    it('rejects missing and malformed ICAO codes', () => {
+      expect(errorsFor(airport({ icao: '' }))).toEqual(['#0 (no ICAO): invalid ICAO code ""'])
+      expect(errorsFor(airport({ icao: 'egll' }))).toHaveLength(1)
+      expect(errorsFor(airport({ icao: 'ABCDEFGH' }))).toHaveLength(1)
+    })
+
+    it('rejects a "-" in a code, which separates codes in permalinks', () => {
+      expect(errorsFor(airport({ icao: 'US-0001' }))).toEqual(['#0 (US-0001): invalid ICAO code "US-0001"'])
+    })
+  })
+
+  describe('IATA codes', () => {
+    it('rejects a missing IATA code', () => {
+      expect(errorsFor(airport({ iata: '' }))).toEqual(['#0 (EGLL): missing IATA code'])
+      expect(errorsFor(airport({ iata: undefined }))).toEqual(['#0 (EGLL): missing IATA code'])
+    })
+
+    it('rejects an invalid IATA code', () => {
+      expect(errorsFor(airport({ iata: 'LH' }))).toEqual(['#0 (EGLL): invalid IATA code "LH"'])
+      expect(errorsFor(airport({ iata: 'lhr' }))).toEqual(['#0 (EGLL): invalid IATA code "lhr"'])
+    })
+  })
+
+  describe('coordinates', () => {
+    it('rejects latitudes out of range', () => {
+      expect(errorsFor(airport({ lat: 90.5 }))).toEqual(['#0 (EGLL): latitude 90.5 out of range -90..90'])
+      expect(errorsFor(airport({ lat: -91 }))).toHaveLength(1)
+      expect(errorsFor(airport({ lat: '51.47' }))).toHaveLength(1)
+    })
+
+    it('rejects longitudes out of range', () => {
+      expect(errorsFor(airport({ lon: 180.1 }))).toEqual(['#0 (EGLL): longitude 180.1 out of range -180..180'])
+      expect(errorsFor(airport({ lon: NaN }))).toHaveLength(1)
+    })
+
+    it('accepts the limits', () => {
+      expect(errorsFor(airport({ lat: -90, lon: 180 }))).toEqual([])
+    })
+  })
+
+  describe('levels', () => {
+    it(`accepts levels from 1 to MAX_LEVEL (${MAX_LEVEL})`, () => {
+      expect(errorsFor(airport({ level: 1 }))).toEqual([])
+      expect(errorsFor(airport({ level: MAX_LEVEL }))).toEqual([])
+    })
+
+    it('rejects levels outside 1..MAX_LEVEL and non-integers', () => {
+      [0, MAX_LEVEL + 1, 1.5, '1', null].forEach(level => {
+        expect(errorsFor(airport({ level }))).toEqual([
+          `#0 (EGLL): level ${JSON.stringify(level)} must be an integer from 1 to ${MAX_LEVEL}`
+        ])
+      })
+    })
+  })
+
+  it('rejects a missing name and non-string places', () => {
+    expect(errorsFor(airport({ name: ' ' }))).toEqual(['#0 (EGLL): missing name'])
+    expect(errorsFor(airport({ city: null }))).toEqual(['#0 (EGLL): city must be a string'])
+  })
+
+  it('rejects malformed optional fields', () => {
+    expect(errorsFor(airport({ elevationFt: null, longestRunwayM: 3902, timezone: 'Europe/London' }))).toEqual([])
+    expect(errorsFor(airport({ longestRunwayM: '3902' }))).toEqual(['#0 (EGLL): longestRunwayM must be a number or null'])
+    expect(errorsFor(airport({ timezone: 0 }))).toEqual(['#0 (EGLL): timezone must be a string'])
+  })
+
+  describe('warnings', () => {
+    it('warns about a shared IATA code', () => {
+      expect(warningsFor(airport(), airport({ icao: 'EGKK' }))).toEqual(['#1 (EGKK): IATA code LHR also used by #0'])
+    })
+
+    it('warns about an ICAO code standing in for the IATA code', () => {
+      expect(warningsFor(airport({ icao: 'EGLW', iata: 'EGLW' }))).toEqual([
+        '#0 (EGLW): no IATA code, ICAO code used in its place'
+      ])
+    })
+
+    it('warns about a local identifier', () => {
+      expect(warningsFor(airport({ icao: '5A8' }))).toEqual([
+        '#0 (5A8): local identifier rather than a four-character ICAO code'
+      ])
+    })
+
+    it('warns about a missing city or country', () => {
+      expect(warningsFor(airport({ city: '', country: '' }))).toEqual([
+        '#0 (EGLL): missing city',
+        '#0 (EGLL): missing country'
+      ])
+    })
+
+    it('warns about coordinates of 0, 0', () => {
+      expect(warningsFor(airport({ lat: 0, lon: 0 }))).toEqual(['#0 (EGLL): coordinates are 0, 0'])
+    })
+
+    it('keeps warnings out of the errors', () => {
+      expect(errorsFor(airport({ icao: '5A8', iata: '5A8', city: '', lat: 0, lon: 0 }))).toEqual([])
+    })
+  })
+})
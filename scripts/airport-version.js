@@ -0,0 +1,15 @@
+// Version stamp for the airport dataset. The app keeps a copy of airports.json in
+// IndexedDB and only downloads it again when the version in airports-version.json
+// changes, so the stamp is a hash of the file's contents. deltaFrom names the
+// version that airports-delta.json updates from (see airport-delta.js), if any.
+
+import { createHash } from 'node:crypto'
+
+const VERSION_LENGTH = 16
+
+// Version file contents for the serialized dataset
+export const createVersionStamp = (airportsJson, airportCount, deltaFrom = null) => ({
+  version: createHash('sha256').update(airportsJson).digest('hex').slice(0, VERSION_LENGTH),
+  airportCount,
+  ...(deltaFrom && { deltaFrom })
+})
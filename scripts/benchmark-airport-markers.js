@@ -0,0 +1,120 @@
+// Benchmark for choosing the airport markers to show on the 2D map.
+//
+// Compares the previous approach (filter all airports by bounds, then filter once
+// per level) with the KD-tree index used by the airport index worker, over a
+// sequence of pans and zooms. The old bounds check is inlined here; in the app it
+// went through Leaflet's LatLngBounds.contains, which is slower still. It also
+// counts how many markers each approach creates: the old code recreated every
+// marker on each move, the new code only creates markers for airports that came
+// into view.
+//
+// Usage: npm run benchmark:markers
+
+import { readFileSync } from 'node:fs'
+import { performance } from 'node:perf_hooks'
+import { createAirportIndex, queryAirportsToShow } from '../src/airportIndex.js'
+
+const ITERATIONS = 2000
+const VIEWPORT = { width: 390, height: 844 } // Typical phone, CSS pixels
+const TILE_SIZE = 256
+const MOVES_PER_SESSION = 20
+const ZOOM_PROBABILITY = 0.2
+const SCENARIOS = [
+  { name: 'phone', maxAirports: 80 },
+  { name: 'desktop', maxAirports: 4500 }
+]
+
+const airports = JSON.parse(readFileSync(new URL('../public/airports.json', import.meta.url)))
+const maxLevel = airports.reduce((max, airport) => Math.max(max, airport.level || 1), 1)
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296
+  return seed / 4294967296
+}
+
+// Sessions of pans (a quarter of the screen at a time) and zooms, each starting
+// near a random airport at zoom 5-10
+const viewports = []
+let center = null
+let zoom = 5
+for (let i = 0; i < ITERATIONS; i++) {
+  const degreesPerPixel = 360 / (TILE_SIZE * 2 ** zoom)
+  if (i % MOVES_PER_SESSION === 0) {
+    const airport = airports[Math.floor(random() * airports.length)]
+    center = { lat: airport.lat, lon: airport.lon }
+    zoom = 5 + Math.floor(random() * 6)
+  } else if (random() < ZOOM_PROBABILITY) {
+    zoom = Math.min(10, Math.max(5, zoom + (random() < 0.5 ? -1 : 1)))
+  } else {
+    center.lon += (random() - 0.5) * VIEWPORT.width / 2 * degreesPerPixel
+    center.lat = Math.max(-80, Math.min(80, center.lat + (random() - 0.5) * VIEWPORT.height / 2 * degreesPerPixel))
+  }
+
+  const halfWidth = VIEWPORT.width / 2 * 360 / (TILE_SIZE * 2 ** zoom)
+  const halfHeight = VIEWPORT.height / 2 * 360 / (TILE_SIZE * 2 ** zoom) * Math.cos(center.lat * Math.PI / 180)
+  viewports.push({
+    west: center.lon - halfWidth,
+    east: center.lon + halfWidth,
+    south: center.lat - halfHeight,
+    north: center.lat + halfHeight
+  })
+}
+
+// The previous per-move work: a bounds check on every airport, then one filter per level
+const selectAirportsBefore = (bounds, maxAirports) => {
+  const visibleAirports = airports.filter(airport =>
+    airport.lon >= bounds.west && airport.lon <= bounds.east &&
+    airport.lat >= bounds.south && airport.lat <= bounds.north
+  )
+  let airportsToShow = []
+  let currentLevel = 1
+  while (airportsToShow.length < maxAirports && currentLevel <= maxLevel) {
+    airportsToShow = airportsToShow.concat(visibleAirports.filter(a => a.level === currentLevel))
+    currentLevel++
+  }
+  return airportsToShow.slice(0, maxAirports)
+}
+
+const time = (fn) => {
+  const start = performance.now()
+  fn()
+  return performance.now() - start
+}
+
+const buildMs = time(() => createAirportIndex(airports))
+const index = createAirportIndex(airports)
+console.log(`${airports.length} airports, index built in ${buildMs.toFixed(1)} ms\n`)
+
+SCENARIOS.forEach(({ name, maxAirports }) => {
+  const before = viewports.map(bounds => selectAirportsBefore(bounds, maxAirports))
+  const after = viewports.map(bounds => queryAirportsToShow(index, bounds, maxAirports, maxLevel).map(i => airports[i]))
+
+  // Both approaches must pick the same airports
+  after.forEach((result, i) => {
+    const expected = before[i].map(airport => airport.icao).sort().join()
+    if (result.map(airport => airport.icao).sort().join() !== expected) {
+      throw new Error(`Result mismatch for viewport ${i}`)
+    }
+  })
+
+  const beforeMs = time(() => viewports.forEach(bounds => selectAirportsBefore(bounds, maxAirports)))
+  const afterMs = time(() => viewports.forEach(bounds => queryAirportsToShow(index, bounds, maxAirports, maxLevel)))
+
+  // Markers created: everything on each move before, only newcomers after
+  let createdBefore = 0
+  let createdAfter = 0
+  let shown = new Set()
+  after.forEach(result => {
+    createdBefore += result.length
+    const next = new Set(result.map(airport => airport.icao))
+    next.forEach(icao => { if (!shown.has(icao)) createdAfter++ })
+    shown = next
+  })
+
+  console.log(`${name} (up to ${maxAirports} markers), ${ITERATIONS} moves:`)
+  console.log(`  linear filter + per-level filters: ${(beforeMs / ITERATIONS).toFixed(3)} ms/move`)
+  console.log(`  KD-tree index:                     ${(afterMs / ITERATIONS).toFixed(3)} ms/move (${(beforeMs / afterMs).toFixed(1)}x faster)`)
+  console.log(`  markers created: ${createdBefore} before, ${createdAfter} after\n`)
+})
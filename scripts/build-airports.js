@@ -0,0 +1,91 @@
+// Build the airport dataset from the OurAirports CSV files
+// (https://ourairports.com/data/).
+//
+// Usage: npm run build:airports -- [data directory]
+//
+// The directory (default data/ourairports) must contain airports.csv, runways.csv,
+// airport-frequencies.csv and countries.csv. The script writes:
+//   public/airports.json            compact list loaded by the app at startup
+//   public/airports-version.json    version stamp the app checks for updates
+//   public/airports-delta.json      changes from the previous build, for apps
+//                                   holding it (see airport-delta.js)
+//   public/airport-details/<X>.json runways, frequencies and links, sharded by the
+//                                   first character of the ICAO code and only
+//                                   fetched when an airport detail panel opens
+// and fails without writing anything if validation (airport-validation.js) finds
+// errors. Selection, scoring and levels are described in airport-dataset.js.
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { gzipSync } from 'node:zlib'
+import { parseCsv } from './csv.js'
+import { AIRPORTS_PER_LEVEL, buildAirportDataset } from './airport-dataset.js'
+import { validateAirports, printIssues } from './airport-validation.js'
+import { createVersionStamp } from './airport-version.js'
+import { createAirportsDelta } from './airport-delta.js'
+
+const dataDirectory = process.argv[2] || 'data/ourairports'
+const airportsPath = new URL('../public/airports.json', import.meta.url)
+const versionPath = new URL('../public/airports-version.json', import.meta.url)
+const deltaPath = new URL('../public/airports-delta.json', import.meta.url)
+const detailsDirectory = new URL('../public/airport-details/', import.meta.url)
+
+const readCsv = (name) => parseCsv(readFileSync(join(dataDirectory, name), 'utf8'))
+
+// The previous build, which installed apps may hold and which keeps cities the
+// source no longer has
+const previousJson = existsSync(airportsPath) ? readFileSync(airportsPath, 'utf8') : null
+
+const { airports, detailShards } = buildAirportDataset({
+  airports: readCsv('airports.csv'),
+  runways: readCsv('runways.csv'),
+  frequencies: readCsv('airport-frequencies.csv'),
+  countries: readCsv('countries.csv')
+}, { previousAirports: previousJson ? JSON.parse(previousJson) : [] })
+
+// Validate before writing anything
+const { errors, warnings } = validateAirports(airports)
+printIssues('warnings', warnings)
+if (errors.length > 0) {
+  printIssues('errors', errors)
+  console.error('Airport dataset is invalid, nothing was written')
+  process.exit(1)
+}
+
+// Compact output: no whitespace, and details split into small shards
+const airportsJson = JSON.stringify(airports)
+writeFileSync(airportsPath, airportsJson)
+
+// Rebuilding the same data keeps the existing stamp and delta; changed data gets a
+// delta from the previous build unless it would be no smaller than the dataset
+let versionStamp = createVersionStamp(airportsJson, airports.length)
+if (previousJson === airportsJson && existsSync(versionPath)) {
+  versionStamp = JSON.parse(readFileSync(versionPath, 'utf8'))
+} else {
+  if (existsSync(deltaPath)) rmSync(deltaPath)
+  if (previousJson) {
+    const previousAirports = JSON.parse(previousJson)
+    const from = createVersionStamp(previousJson, previousAirports.length).version
+    const deltaJson = JSON.stringify(createAirportsDelta(previousAirports, airports, { from, to: versionStamp.version }))
+    if (deltaJson.length < airportsJson.length) {
+      writeFileSync(deltaPath, deltaJson)
+      versionStamp = createVersionStamp(airportsJson, airports.length, from)
+    }
+  }
+  writeFileSync(versionPath, `${JSON.stringify(versionStamp, null, 2)}\n`)
+}
+
+if (existsSync(detailsDirectory)) rmSync(detailsDirectory, { recursive: true })
+mkdirSync(detailsDirectory, { recursive: true })
+let detailsBytes = 0
+Object.entries(detailShards).forEach(([shard, details]) => {
+  const json = JSON.stringify(details)
+  detailsBytes += Buffer.byteLength(json)
+  writeFileSync(new URL(`${shard}.json`, detailsDirectory), json)
+})
+
+const kilobytes = (bytes) => `${(bytes / 1024).toFixed(0)} KiB`
+console.log(`Wrote ${airports.length} airports in ${Math.ceil(airports.length / AIRPORTS_PER_LEVEL)} levels`)
+console.log(`  airports.json: ${kilobytes(Buffer.byteLength(airportsJson))} (${kilobytes(gzipSync(airportsJson).length)} gzipped), version ${versionStamp.version}`)
+if (versionStamp.deltaFrom) console.log(`  airports-delta.json: updates from version ${versionStamp.deltaFrom}`)
+console.log(`  airport-details: ${Object.keys(detailShards).length} shards, ${kilobytes(detailsBytes)} in total`)
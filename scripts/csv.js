@@ -0,0 +1,43 @@
+// Minimal RFC 4180 CSV parser for the dataset scripts: quoted fields, doubled
+// quotes and line breaks inside quotes. Returns one object per row keyed by the
+// header names.
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...records] = rows.filter(fields => fields.some(Boolean))
+  return records.map(fields => Object.fromEntries(header.map((name, i) => [name, fields[i] ?? ''])))
+}
@@ -0,0 +1,40 @@
+// Validate the checked-in airport dataset without rebuilding it, and check that
+// its version stamp (airports-version.json) and any delta (airports-delta.json)
+// are up to date.
+//
+// Usage: npm run validate:airports -- [path to airports.json]
+
+import { existsSync, readFileSync } from 'node:fs'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { validateAirports, printIssues } from './airport-validation.js'
+import { createVersionStamp } from './airport-version.js'
+
+const path = process.argv[2]
+  ? resolve(process.argv[2])
+  : fileURLToPath(new URL('../public/airports.json', import.meta.url))
+const versionPath = join(dirname(path), 'airports-version.json')
+const deltaPath = join(dirname(path), 'airports-delta.json')
+const airportsJson = readFileSync(path, 'utf8')
+const airports = JSON.parse(airportsJson)
+const { errors, warnings } = validateAirports(airports)
+
+// A stale stamp would stop installed apps from picking up the changed data
+const expectedVersion = createVersionStamp(airportsJson, airports.length).version
+const versionStamp = existsSync(versionPath) ? JSON.parse(readFileSync(versionPath, 'utf8')) : null
+if (versionStamp?.version !== expectedVersion) {
+  errors.push(`airports-version.json is ${versionStamp ? 'out of date' : 'missing'}; expected version ${expectedVersion} (run npm run build:airports, or update the stamp)`)
+}
+
+// Apps holding deltaFrom would fetch a delta that doesn't lead to this version
+if (versionStamp?.deltaFrom) {
+  const delta = existsSync(deltaPath) ? JSON.parse(readFileSync(deltaPath, 'utf8')) : null
+  if (delta?.from !== versionStamp.deltaFrom || delta?.to !== expectedVersion) {
+    errors.push(`airports-delta.json is ${delta ? 'out of date' : 'missing'}; expected an update from ${versionStamp.deltaFrom} to ${expectedVersion} (run npm run build:airports)`)
+  }
+}
+
+printIssues('warnings', warnings)
+printIssues('errors', errors)
+console.log(`${airports.length} airports checked: ${errors.length} errors, ${warnings.length} warnings`)
+process.exit(errors.length > 0 ? 1 : 0)
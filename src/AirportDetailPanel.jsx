@@ -0,0 +1,200 @@
+import { useEffect, useState } from 'preact/hooks'
+import { AIRCRAFT_CATALOG, checkRunway } from './aircraft.js'
+import { AIRPORT_TYPE_LABELS, loadAirportDetails } from './airportDetails.js'
+import { getAirportTimeZone } from './timezones.js'
+import { getAirportPlace } from './waypoints.js'
+
+const FEET_TO_METRES = 0.3048
+const METRES_TO_FEET = 1 / FEET_TO_METRES
+
+// Helper function to format a length in metres with feet alongside
+const formatLength = (metres) => metres == null
+  ? '—'
+  : `${metres.toLocaleString()} m / ${Math.round(metres * METRES_TO_FEET).toLocaleString()} ft`
+
+// Helper function to describe a runway check for an aircraft
+const describeRunwayCheck = (check, aircraft) => {
+  switch (check.status) {
+    case 'ok':
+      return `✓ Suitable for the ${aircraft.name} (needs about ${check.requiredM.toLocaleString()} m)`
+    case 'short':
+      return `⚠️ Longest usable runway (${check.availableM.toLocaleString()} m) is shorter than the ${check.requiredM.toLocaleString()} m the ${aircraft.name} typically needs`
+    case 'unpaved':
+      return `⚠️ No paved runway for the ${aircraft.name}`
+    default:
+      return 'No runway data for this airport'
+  }
+}
+
+export function AirportDetailPanel({ airport, aircraft, onClose, onRouteTo }) {
+  const [details, setDetails] = useState(null)
+  const [detailsStatus, setDetailsStatus] = useState('loading') // 'loading', 'ready' or 'unavailable'
+  const [detailsLoadAttempt, setDetailsLoadAttempt] = useState(0)
+
+  // Load runways and frequencies whenever a different airport is shown
+  useEffect(() => {
+    let cancelled = false
+    setDetailsStatus('loading')
+    setDetails(null)
+    loadAirportDetails(airport.icao)
+      .then(result => {
+        if (cancelled) return
+        setDetails(result)
+        setDetailsStatus('ready')
+      })
+      .catch(() => {
+        if (!cancelled) setDetailsStatus('unavailable')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [airport.icao, detailsLoadAttempt])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  // Without a chosen aircraft, name the largest catalog type the runways allow
+  const largestSuitableAircraft = AIRCRAFT_CATALOG
+    .filter(candidate => checkRunway(airport, candidate).status === 'ok')
+    .reduce((largest, candidate) => (!largest || candidate.seats > largest.seats ? candidate : largest), null)
+
+  return (
+    <aside class="airport-detail-panel" role="dialog" aria-labelledby="airport-detail-title">
+      <div class="airport-detail-header">
+        <div>
+          <h3 id="airport-detail-title">{airport.name}</h3>
+          <div class="airport-detail-subtitle">
+            {getAirportPlace(airport)} · {airport.icao}{airport.iata ? ` / ${airport.iata}` : ''}
+          </div>
+        </div>
+        <button class="close-button" onClick={onClose} aria-label="Close airport details">
+          ×
+        </button>
+      </div>
+
+      <div class="airport-detail-content">
+        <div class="airport-detail-grid">
+          <div class="route-detail-label">Type</div>
+          <div>{AIRPORT_TYPE_LABELS[airport.type] || 'Unknown'}</div>
+
+          <div class="route-detail-label">Elevation</div>
+          <div>
+            {airport.elevationFt == null
+              ? '—'
+              : `${airport.elevationFt.toLocaleString()} ft / ${Math.round(airport.elevationFt * FEET_TO_METRES).toLocaleString()} m`}
+          </div>
+
+          <div class="route-detail-label">Position</div>
+          <div>{airport.lat.toFixed(4)}, {airport.lon.toFixed(4)}</div>
+
+          <div class="route-detail-label">Time Zone</div>
+          <div>{getAirportTimeZone(airport)}</div>
+
+          <div class="route-detail-label">Longest Runway</div>
+          <div>{formatLength(airport.longestRunwayM)}</div>
+        </div>
+
+        <div class="airport-detail-runway-check">
+          {aircraft
+            ? describeRunwayCheck(checkRunway(airport, aircraft), aircraft)
+            : airport.longestRunwayM == null
+              ? 'No runway data for this airport'
+              : largestSuitableAircraft
+                ? `Runways suit aircraft up to the ${largestSuitableAircraft.name}`
+                : 'Runways are too short for the aircraft in the catalog'}
+        </div>
+
+        {detailsStatus === 'loading' && <div class="route-detail-note">Loading runways and frequencies…</div>}
+
+        {detailsStatus === 'unavailable' && (
+          <div class="airport-detail-unavailable" role="alert">
+            ⚠️ Runway and frequency details are unavailable. Check your connection.
+            <button onClick={() => setDetailsLoadAttempt(detailsLoadAttempt + 1)}>Retry</button>
+          </div>
+        )}
+
+        {detailsStatus === 'ready' && !details && (
+          <div class="route-detail-note">
+            No runway or frequency details are available for this airport.
+          </div>
+        )}
+
+        {details && (
+          <>
+            <h4>Runways</h4>
+            {details.runways.length === 0 ? (
+              <div class="route-detail-note">No runways listed.</div>
+            ) : (
+              <table class="airport-detail-table">
+                <thead>
+                  <tr>
+                    <th>Runway</th>
+                    <th>Length</th>
+                    <th>Width</th>
+                    <th>Surface</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {details.runways.map((runway, index) => (
+                    <tr key={index} class={runway.closed ? 'closed' : ''}>
+                      <td>
+                        {runway.ident || '—'}
+                        {runway.closed && ' (closed)'}
+                      </td>
+                      <td>{formatLength(runway.lengthM)}</td>
+                      <td>{runway.widthM == null ? '—' : `${runway.widthM} m`}</td>
+                      <td>
+                        {runway.surface || '—'}
+                        {runway.lighted && ' · lit'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h4>Frequencies</h4>
+            {details.frequencies.length === 0 ? (
+              <div class="route-detail-note">No frequencies listed.</div>
+            ) : (
+              <ul class="airport-detail-frequencies">
+                {details.frequencies.map((frequency, index) => (
+                  <li key={index}>
+                    <strong>{frequency.type}</strong>
+                    {frequency.description && frequency.description !== frequency.type && ` · ${frequency.description}`}
+                    <span>{frequency.mhz == null ? '—' : `${frequency.mhz.toFixed(3)} MHz`}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {(details.homeLink || details.wikipediaLink) && (
+              <div class="airport-detail-links">
+                {details.homeLink && (
+                  <a href={details.homeLink} target="_blank" rel="noopener noreferrer">Website</a>
+                )}
+                {details.wikipediaLink && (
+                  <a href={details.wikipediaLink} target="_blank" rel="noopener noreferrer">Wikipedia</a>
+                )}
+              </div>
+            )}
+
+            <div class="route-detail-note">
+              Data from OurAirports. Not for navigation.
+            </div>
+          </>
+        )}
+
+        <button class="airport-detail-route-button" onClick={() => onRouteTo(airport)}>
+          Route to →
+        </button>
+      </div>
+    </aside>
+  )
+}
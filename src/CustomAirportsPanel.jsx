@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'preact/hooks'
+import { CUSTOM_AIRPORT_KINDS, createCustomAirport } from './customAirports.js'
+
+const COORDINATE_DECIMALS = 5
+
+const EMPTY_FORM = { name: '', code: '', kind: 'airport', place: '', lat: '', lon: '' }
+
+// Helper function to prefill the form with a position picked on the map
+const createForm = (position) => position
+  ? { ...EMPTY_FORM, lat: position.lat.toFixed(COORDINATE_DECIMALS), lon: position.lon.toFixed(COORDINATE_DECIMALS) }
+  : EMPTY_FORM
+
+export function CustomAirportsPanel({ customAirports, position, existingAirports, onAdd, onDelete, onRouteTo, onClose }) {
+  const [form, setForm] = useState(() => createForm(position))
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  // Start a new entry whenever a position is picked on the map
+  useEffect(() => {
+    if (position) {
+      setForm(createForm(position))
+      setError(null)
+    }
+  }, [position])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    let airport
+    try {
+      airport = createCustomAirport(form, existingAirports)
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    setSaving(true)
+    try {
+      await onAdd(airport)
+      setForm(EMPTY_FORM)
+    } catch (err) {
+      setError(`Could not save: ${err.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <aside class="airport-detail-panel" role="dialog" aria-labelledby="custom-airports-title">
+      <div class="airport-detail-header">
+        <div>
+          <h3 id="custom-airports-title">My Airports & Waypoints</h3>
+          <div class="airport-detail-subtitle">
+            Stored on this device only
+          </div>
+        </div>
+        <button class="close-button" onClick={onClose} aria-label="Close custom airports">
+          ×
+        </button>
+      </div>
+
+      <div class="airport-detail-content">
+        <form class="custom-airport-form" onSubmit={handleSubmit}>
+          <label>
+            Name
+            <input type="text" value={form.name} onInput={updateField('name')} placeholder="Smith Farm Strip" required />
+          </label>
+          <div class="custom-airport-form-row">
+            <label>
+              Code
+              <input type="text" value={form.code} onInput={updateField('code')} placeholder="XSMF" maxLength={7} required />
+            </label>
+            <label>
+              Type
+              <select value={form.kind} onChange={updateField('kind')}>
+                {Object.entries(CUSTOM_AIRPORT_KINDS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <label>
+            Place <span class="custom-airport-optional">(optional)</span>
+            <input type="text" value={form.place} onInput={updateField('place')} placeholder="Nearest town" />
+          </label>
+          <div class="custom-airport-form-row">
+            <label>
+              Latitude
+              <input type="text" inputMode="decimal" value={form.lat} onInput={updateField('lat')} placeholder="51.4700" required />
+            </label>
+            <label>
+              Longitude
+              <input type="text" inputMode="decimal" value={form.lon} onInput={updateField('lon')} placeholder="-0.4543" required />
+            </label>
+          </div>
+
+          {error && <div class="route-warning" role="alert">⚠️ {error}</div>}
+
+          <button type="submit" class="airport-detail-route-button" disabled={saving}>
+            {saving ? 'Saving…' : 'Add'}
+          </button>
+          <div class="route-detail-note">
+            Tip: long-press (or right-click) the map to fill in a position.
+          </div>
+        </form>
+
+        <h4>Saved</h4>
+        {customAirports.length === 0 ? (
+          <div class="route-detail-note">No custom airports or waypoints yet.</div>
+        ) : (
+          <ul class="custom-airport-list">
+            {customAirports.map(airport => (
+              <li key={airport.icao}>
+                <div>
+                  <strong>{airport.icao}</strong> {airport.name}
+                  <div class="custom-airport-meta">
+                    {CUSTOM_AIRPORT_KINDS[airport.kind]} · {airport.lat.toFixed(4)}, {airport.lon.toFixed(4)}
+                  </div>
+                </div>
+                <button class="custom-airport-route-button" onClick={() => onRouteTo(airport)}>
+                  Route to
+                </button>
+                <button
+                  class="custom-airport-delete"
+                  onClick={() => onDelete(airport)}
+                  aria-label={`Delete ${airport.name}`}
+                  title="Delete"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  )
+}
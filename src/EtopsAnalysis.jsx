@@ -0,0 +1,115 @@
+import { ETOPS_THRESHOLDS_MINUTES } from './etops.js'
+import { HUB_SIZE_OPTIONS } from './RangePlanner.jsx'
+
+// Helper function to format minutes as hours and minutes, e.g. "2h 05m"
+const formatMinutes = (minutes) => {
+  const total = Math.round(minutes)
+  return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`
+}
+
+// Helper function to describe the ETOPS approval a diversion time needs
+const describeRequirement = (requiredEtops) => {
+  if (requiredEtops === 0) return 'Within 60 minutes: no ETOPS approval needed'
+  if (requiredEtops === null) return `Beyond ETOPS-${ETOPS_THRESHOLDS_MINUTES[ETOPS_THRESHOLDS_MINUTES.length - 1]}`
+  return `Needs ETOPS-${requiredEtops}`
+}
+
+// Helper function to describe the worst diversion of a leg, e.g.
+// "1,620 km (2h 15m) to PHNL, 2,100 km after SFO"
+const describeDiversion = ({ maxDiversion, origin }) => maxDiversion.airport
+  ? `${Math.round(maxDiversion.distanceKm).toLocaleString()} km (${formatMinutes(maxDiversion.minutes)}) to ` +
+    `${maxDiversion.airport.iata || maxDiversion.airport.icao}, ${Math.round(maxDiversion.distanceAlongKm).toLocaleString()} km after ${origin.iata}`
+  : 'No qualifying diversion airport'
+
+// ETOPS diversion analysis for the route: how far it ever is from a suitable
+// diversion airport at one-engine-inoperative speed, against a chosen ETOPS rule
+export function EtopsAnalysis({ analysis, options, onOptionsChange }) {
+  const hubSizeIndex = HUB_SIZE_OPTIONS.findIndex(option => option.maxLevel === options.maxLevel)
+  const updateOption = (key, value) => onOptionsChange({ ...options, [key]: value })
+  const nonCompliantLegs = analysis
+    ? analysis.legs.filter(leg => leg.maxDiversion.minutes > options.thresholdMinutes)
+    : []
+  const nonTwinLegs = analysis ? analysis.legs.filter(leg => !leg.twinEngine) : []
+
+  return (
+    <div class="etops-analysis">
+      <label class="etops-toggle">
+        <input
+          type="checkbox"
+          checked={options.enabled}
+          onChange={(e) => updateOption('enabled', e.target.checked)}
+        />
+        ETOPS diversion analysis
+      </label>
+
+      {options.enabled && analysis && (
+        <>
+          <div class="etops-fields">
+            <label>
+              Rule
+              <select
+                value={options.thresholdMinutes}
+                onChange={(e) => updateOption('thresholdMinutes', Number(e.target.value))}
+              >
+                {ETOPS_THRESHOLDS_MINUTES.map(minutes => (
+                  <option key={minutes} value={minutes}>ETOPS-{minutes}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Divert to
+              <select
+                value={hubSizeIndex}
+                onChange={(e) => updateOption('maxLevel', HUB_SIZE_OPTIONS[Number(e.target.value)].maxLevel)}
+              >
+                {HUB_SIZE_OPTIONS.map((option, index) => (
+                  <option key={option.label} value={index}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label class="etops-runway-option" title="Only airports whose runway data shows they suit the aircraft">
+              <input
+                type="checkbox"
+                checked={options.requireSuitableRunway}
+                onChange={(e) => updateOption('requireSuitableRunway', e.target.checked)}
+              />
+              Known runway
+            </label>
+          </div>
+
+          {analysis.legs.map((leg, index) => (
+            <div class="etops-result" key={index}>
+              {analysis.legs.length > 1 && <strong>{leg.origin.iata} → {leg.destination.iata}: </strong>}
+              Max diversion {describeDiversion(leg)} · {describeRequirement(leg.requiredEtops)}
+            </div>
+          ))}
+
+          {nonCompliantLegs.length > 0 ? (
+            <div class="route-warning" role="alert">
+              ⚠️ {nonCompliantLegs.map(leg => `${leg.origin.iata} → ${leg.destination.iata}`).join(', ')} goes
+              beyond {options.thresholdMinutes} minutes from a diversion airport; the stretches are marked
+              in red on the map.
+            </div>
+          ) : (
+            <div class="route-detail-note">
+              ✓ The whole route stays within ETOPS-{options.thresholdMinutes} of a diversion airport.
+            </div>
+          )}
+
+          {nonTwinLegs.length > 0 && (
+            <div class="route-detail-note">
+              ETOPS rules apply to twin-engine aircraft; the {[...new Set(nonTwinLegs.map(leg => leg.aircraft.name))].join(', ')} is
+              shown for comparison only.
+            </div>
+          )}
+
+          <div class="route-detail-note">
+            Diversion times assume one engine out ({analysis.legs[0].speedKmh.toLocaleString()} km/h for
+            the {analysis.legs[0].aircraft.name}) in still air. The map shades each diversion airport's
+            ETOPS-{options.thresholdMinutes} reach.
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
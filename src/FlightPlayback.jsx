@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'preact/hooks'
+import { PLAYBACK_SPEEDS, DEFAULT_PLAYBACK_SPEED, getTrackPosition } from './flightPlayback.js'
+
+// Helper function to format hours as hours and minutes, e.g. "2h 05m"
+const formatDuration = (hours) => {
+  const total = Math.round(hours * 60)
+  return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`
+}
+
+// Helper function to format a position, e.g. "51.47°N 0.45°W", wrapping the
+// unwrapped longitudes of routes across the antimeridian
+const formatPosition = ({ lat, lon }) => {
+  const wrappedLon = ((lon + 180) % 360 + 360) % 360 - 180
+  return `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(wrappedLon).toFixed(2)}°${wrappedLon >= 0 ? 'E' : 'W'}`
+}
+
+// Controls for playing the flight along the route: play/pause, a scrubber and the
+// speed, with the elapsed time, remaining distance and position. The position is
+// reported through onPositionChange for the map and globe to draw the plane.
+export function FlightPlayback({ track, onPositionChange, onClose }) {
+  const [elapsedHours, setElapsedHours] = useState(0)
+  const [playing, setPlaying] = useState(true)
+  const [speed, setSpeed] = useState(DEFAULT_PLAYBACK_SPEED)
+
+  // Start over when the route changes
+  useEffect(() => {
+    setElapsedHours(0)
+    setPlaying(true)
+  }, [track])
+
+  // Advance the clock once per frame while playing
+  useEffect(() => {
+    if (!playing) return
+
+    let animationFrameId = null
+    let previousTime = performance.now()
+    const tick = (time) => {
+      const simulatedHours = (time - previousTime) / 1000 * speed / 3600
+      previousTime = time
+      setElapsedHours(hours => Math.min(track.totalHours, hours + simulatedHours))
+      animationFrameId = requestAnimationFrame(tick)
+    }
+    animationFrameId = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(animationFrameId)
+  }, [playing, speed, track])
+
+  // Stop at the destination
+  useEffect(() => {
+    if (elapsedHours >= track.totalHours) setPlaying(false)
+  }, [elapsedHours, track])
+
+  const position = getTrackPosition(track, elapsedHours)
+
+  useEffect(() => {
+    onPositionChange(position)
+  }, [track, elapsedHours])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const togglePlaying = () => {
+    // Play from the start again once the flight has arrived
+    if (!playing && elapsedHours >= track.totalHours) setElapsedHours(0)
+    setPlaying(!playing)
+  }
+
+  const leg = track.legs[position.legIndex]
+
+  return (
+    <div class="flight-playback" role="region" aria-label="Flight playback">
+      <div class="flight-playback-header">
+        <strong>
+          {leg.origin.iata} → {leg.destination.iata}
+          {track.legs.length > 1 && ` (leg ${position.legIndex + 1} of ${track.legs.length})`}
+        </strong>
+        <button class="flight-playback-close" onClick={onClose} aria-label="Stop flight playback">
+          ×
+        </button>
+      </div>
+
+      <div class="flight-playback-controls">
+        <button
+          class="flight-playback-play"
+          onClick={togglePlaying}
+          aria-label={playing ? 'Pause' : 'Play'}
+          title={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? '❚❚' : '▶'}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={track.totalHours}
+          step="any"
+          value={elapsedHours}
+          onInput={(e) => setElapsedHours(Number(e.target.value))}
+          aria-label="Flight progress"
+          aria-valuetext={`${formatDuration(elapsedHours)} of ${formatDuration(track.totalHours)}`}
+        />
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Playback speed">
+          {PLAYBACK_SPEEDS.map(option => (
+            <option key={option} value={option}>{option.toLocaleString()}×</option>
+          ))}
+        </select>
+      </div>
+
+      <div class="flight-playback-readouts">
+        <div>
+          <div class="route-detail-label">Elapsed</div>
+          <div class="route-detail-value">{formatDuration(elapsedHours)} / {formatDuration(track.totalHours)}</div>
+        </div>
+        <div>
+          <div class="route-detail-label">Remaining</div>
+          <div class="route-detail-value">{Math.round(position.remainingKm).toLocaleString()} km</div>
+        </div>
+        <div>
+          <div class="route-detail-label">Position</div>
+          <div class="route-detail-value">{formatPosition(position)}</div>
+        </div>
+      </div>
+    </div>
+  )
+}
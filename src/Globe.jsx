@@ -1,26 +1,105 @@
-import { useEffect, useRef } from 'preact/hooks'
+import { useEffect, useRef, useState } from 'preact/hooks'
 import * as THREE from 'three'
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+import { getMaxAirportsForViewport, selectAirportsByLevel } from './airportDensity.js'
+import { createEarthCanvas } from './earthTexture.js'
+import { getSubsolarPoint } from './solar.js'
+import { getWaypointRole, getAirportPlace } from './waypoints.js'
 
 // Constants
 const EARTH_RADIUS = 100
 const CAMERA_DISTANCE = 300
+const MIN_CAMERA_DISTANCE = 120
+const MAX_CAMERA_DISTANCE = 500
+const AUTO_ROTATE_SPEED = 0.4
+const FLY_TO_DURATION_MS = 1500
+const FLY_TO_AIRPORT_DISTANCE = 180 // Camera distance when flying to a single airport
 const MARKER_HEIGHT = 2
 const ROUTE_HEIGHT = 0.5
+const AIRPORT_MARKER_HEIGHT = 0.3
+const AIRPORT_MARKER_RADIUS = 0.6
+const AIRPORT_MARKER_COLOR = new THREE.Color(0xff4444)
+const CUSTOM_AIRPORT_MARKER_COLOR = new THREE.Color(0x7c3aed) // Matches custom airports on the 2D map
+const AIRPORT_UPDATE_INTERVAL_MS = 250 // How often the visible airport set is recomputed
+const CLICK_DRAG_TOLERANCE = 5 // Pixels a pointer may move and still count as a click
+const TERMINATOR_HEIGHT = 0.05
+const TERMINATOR_UPDATE_INTERVAL_MS = 60 * 1000 // Sun moves ~0.25° per minute
+const PLANE_HEIGHT = 1.5
+const PLANE_SIZE = 3
+const NORTH_AXIS = new THREE.Vector3(0, 1, 0)
+
+// Outline of the playback plane's right half, nose at +y, in units of half its length
+const PLANE_OUTLINE = [
+  [0, 1], [0.12, 0.8], [0.12, 0.25], [1, -0.15], [1, -0.3], [0.12, -0.1],
+  [0.12, -0.6], [0.4, -0.8], [0.4, -0.95], [0, -0.85]
+]
+
+// Helper function to build the flat plane shape by mirroring its right half
+const createPlaneGeometry = () => {
+  const points = [
+    ...PLANE_OUTLINE,
+    ...PLANE_OUTLINE.slice(1, -1).reverse().map(([x, y]) => [-x, y])
+  ].map(([x, y]) => new THREE.Vector2(x * PLANE_SIZE / 2, y * PLANE_SIZE / 2))
+  return new THREE.ShapeGeometry(new THREE.Shape(points))
+}
+
+// Shade the night side of the globe. The sun direction is given in the earth's
+// local frame, with a soft edge covering roughly civil twilight.
+const TERMINATOR_VERTEX_SHADER = `
+  varying vec3 vNormal;
+  void main() {
+    vNormal = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+const TERMINATOR_FRAGMENT_SHADER = `
+  uniform vec3 sunDirection;
+  varying vec3 vNormal;
+  void main() {
+    float sunAltitude = dot(vNormal, sunDirection);
+    float darkness = 1.0 - smoothstep(-0.1, 0.05, sunAltitude);
+    gl_FragColor = vec4(0.0, 0.02, 0.08, darkness * 0.65);
+  }
+`
+
+// Marker colors by waypoint role (matches the 2D map)
+const WAYPOINT_COLORS = {
+  origin: 0x10b981,
+  stopover: 0xf59e0b,
+  destination: 0xef4444
+}
 
 export function Globe({ 
   airports = [], 
-  originAirport, 
-  destinationAirport, 
-  routeCoordinates = [],
-  onAirportClick 
+  waypoints = [], 
+  routeLegs = [],
+  routeLoadCount = 0, // Incremented when a whole route is loaded, e.g. a saved route
+  playbackPositionRef = null, // Ref to the plane's { lat, lon, heading } during flight playback
+  onAirportClick,
+  onAirportDetails
 }) {
   const containerRef = useRef(null)
   const rendererRef = useRef(null)
   const sceneRef = useRef(null)
   const cameraRef = useRef(null)
-  const earthRef = useRef(null)
+  const earthRef = useRef(null) // Group holding the earth and everything placed on it
+  const controlsRef = useRef(null)
+  const flightRef = useRef(null) // Camera fly-to animation in progress
+  const previousWaypointCountRef = useRef(0)
+  const previousRouteLoadCountRef = useRef(routeLoadCount)
   const markersRef = useRef([])
-  const routeLineRef = useRef(null)
+  const routeLinesRef = useRef([])
+  const airportMeshRef = useRef(null) // Instanced mesh holding the displayed airport markers
+  const airportPositionsRef = useRef(new Map()) // Airport -> position on the globe
+  const displayedAirportsRef = useRef([]) // Airport for each instance of the airport mesh
+  const maxLevelRef = useRef(1)
+  const selectedAirportRef = useRef(null)
+  const labelRef = useRef(null)
+  const terminatorRef = useRef(null)
+  const [selectedAirport, setSelectedAirport] = useState(null)
+  const [showTerminator, setShowTerminator] = useState(true)
+
+  selectedAirportRef.current = selectedAirport
 
   // Convert lat/lon to 3D coordinates on sphere
   const latLonToVector3 = (lat, lon, radius = EARTH_RADIUS) => {
@@ -63,103 +142,254 @@ export function Globe({
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6)
     scene.add(ambientLight)
 
+    // The light follows the camera so the side being looked at is always lit
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8)
     directionalLight.position.set(5, 3, 5)
-    scene.add(directionalLight)
+    camera.add(directionalLight)
+    scene.add(camera)
+
+    // All geographic objects (earth, terminator, markers, routes) live in one group,
+    // so they always share the same frame. The camera orbits; the earth stays put.
+    const earthGroup = new THREE.Group()
+    scene.add(earthGroup)
+    earthRef.current = earthGroup
 
-    // Create Earth sphere with simple material
+    // Create Earth sphere, plain ocean until the land texture is drawn
     const earthGeometry = new THREE.SphereGeometry(EARTH_RADIUS, 64, 64)
     const earthMaterial = new THREE.MeshPhongMaterial({
-      color: 0x2d5f8a,
-      emissive: 0x112244,
-      shininess: 5,
-      transparent: true,
-      opacity: 0.95
+      color: 0x1f5f8b,
+      shininess: 5
     })
     const earth = new THREE.Mesh(earthGeometry, earthMaterial)
-    scene.add(earth)
-    earthRef.current = earth
-
-    // Add wireframe overlay for landmasses effect
-    const wireframeGeometry = new THREE.SphereGeometry(EARTH_RADIUS + 0.1, 32, 32)
-    const wireframeMaterial = new THREE.MeshBasicMaterial({
-      color: 0x88ccff,
-      wireframe: true,
+    earthGroup.add(earth)
+
+    // Draw landmasses from the bundled coastline data
+    let disposed = false
+    let earthTexture = null
+    createEarthCanvas()
+      .then(canvas => {
+        if (disposed) return
+        earthTexture = new THREE.CanvasTexture(canvas)
+        earthTexture.colorSpace = THREE.SRGBColorSpace
+        earthTexture.anisotropy = renderer.capabilities.getMaxAnisotropy()
+        earthMaterial.map = earthTexture
+        earthMaterial.color.set(0xffffff)
+        earthMaterial.needsUpdate = true
+      })
+      .catch(err => console.error('Failed to draw Earth texture:', err))
+
+    // Day/night terminator overlay
+    const terminatorMaterial = new THREE.ShaderMaterial({
+      uniforms: { sunDirection: { value: new THREE.Vector3(1, 0, 0) } },
+      vertexShader: TERMINATOR_VERTEX_SHADER,
+      fragmentShader: TERMINATOR_FRAGMENT_SHADER,
       transparent: true,
-      opacity: 0.1
+      depthWrite: false
     })
-    const wireframe = new THREE.Mesh(wireframeGeometry, wireframeMaterial)
-    scene.add(wireframe)
+    const terminator = new THREE.Mesh(
+      new THREE.SphereGeometry(EARTH_RADIUS + TERMINATOR_HEIGHT, 64, 64),
+      terminatorMaterial
+    )
+    earthGroup.add(terminator)
+    terminatorRef.current = terminator
 
-    // Handle mouse drag for rotation
-    let isDragging = false
-    let previousMousePosition = { x: 0, y: 0 }
+    // Point the terminator at the sun for the current UTC time
+    const updateSunDirection = () => {
+      const { lat, lon } = getSubsolarPoint(new Date())
+      terminatorMaterial.uniforms.sunDirection.value.copy(latLonToVector3(lat, lon, 1))
+    }
+    updateSunDirection()
+    const sunInterval = setInterval(updateSunDirection, TERMINATOR_UPDATE_INTERVAL_MS)
 
-    const onMouseDown = (e) => {
-      isDragging = true
-      previousMousePosition = { x: e.clientX, y: e.clientY }
+    // Plane shown during flight playback, lying flat on the globe and turned to its heading
+    const plane = new THREE.Mesh(
+      createPlaneGeometry(),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide })
+    )
+    plane.visible = false
+    earthGroup.add(plane)
+
+    const planeUp = new THREE.Vector3()
+    const planeNorth = new THREE.Vector3()
+    const planeEast = new THREE.Vector3()
+    const planeForward = new THREE.Vector3()
+    const planeRight = new THREE.Vector3()
+    const planeBasis = new THREE.Matrix4()
+    const updatePlane = () => {
+      const position = playbackPositionRef?.current
+      plane.visible = Boolean(position)
+      if (!position) return
+
+      // Local frame at the plane: up from the centre, north towards the pole, east across
+      planeUp.copy(latLonToVector3(position.lat, position.lon, 1))
+      planeNorth.copy(NORTH_AXIS).addScaledVector(planeUp, -planeUp.dot(NORTH_AXIS))
+      if (planeNorth.lengthSq() < 1e-8) planeNorth.set(1, 0, 0)
+      planeNorth.normalize()
+      planeEast.crossVectors(planeNorth, planeUp)
+
+      const heading = THREE.MathUtils.degToRad(position.heading)
+      planeForward.copy(planeNorth).multiplyScalar(Math.cos(heading)).addScaledVector(planeEast, Math.sin(heading))
+      planeRight.crossVectors(planeForward, planeUp)
+      planeBasis.makeBasis(planeRight, planeForward, planeUp)
+      plane.quaternion.setFromRotationMatrix(planeBasis)
+      plane.position.copy(planeUp).multiplyScalar(EARTH_RADIUS + PLANE_HEIGHT)
+      // Keep the plane a constant size on screen as the camera zooms
+      plane.scale.setScalar(camera.position.length() / CAMERA_DISTANCE)
     }
 
-    const onMouseMove = (e) => {
-      if (!isDragging) return
+    // Orbit-style camera controls: drag/touch to rotate, wheel/pinch to zoom,
+    // with damping for inertia and a slow auto-rotation while idle
+    const controls = new OrbitControls(camera, renderer.domElement)
+    controls.enableDamping = true
+    controls.dampingFactor = 0.08
+    controls.enablePan = false
+    controls.minDistance = MIN_CAMERA_DISTANCE
+    controls.maxDistance = MAX_CAMERA_DISTANCE
+    controls.autoRotate = true
+    controls.autoRotateSpeed = AUTO_ROTATE_SPEED
+    controlsRef.current = controls
+
+    // Slow rotation down as the camera gets closer so dragging follows the surface
+    const updateRotateSpeed = () => {
+      const altitude = camera.position.length() - EARTH_RADIUS
+      controls.rotateSpeed = Math.min(1, altitude / (CAMERA_DISTANCE - EARTH_RADIUS))
+    }
+    updateRotateSpeed()
+    controls.addEventListener('change', updateRotateSpeed)
 
-      const deltaX = e.clientX - previousMousePosition.x
-      const deltaY = e.clientY - previousMousePosition.y
+    // Any user interaction cancels a camera flight in progress
+    const cancelFlight = () => {
+      flightRef.current = null
+    }
+    controls.addEventListener('start', cancelFlight)
 
-      earth.rotation.y += deltaX * 0.005
-      wireframe.rotation.y += deltaX * 0.005
-      earth.rotation.x += deltaY * 0.005
-      wireframe.rotation.x += deltaY * 0.005
+    // Remember where the pointer went down to tell clicks from drags
+    let pointerDownPosition = { x: 0, y: 0 }
+    const onPointerDown = (e) => {
+      pointerDownPosition = { x: e.clientX, y: e.clientY }
+    }
 
-      // Update markers and route rotation
-      markersRef.current.forEach(marker => {
-        marker.rotation.y = earth.rotation.y
-        marker.rotation.x = earth.rotation.x
-      })
-      if (routeLineRef.current) {
-        routeLineRef.current.rotation.y = earth.rotation.y
-        routeLineRef.current.rotation.x = earth.rotation.x
-      }
+    // Pick airport markers under the pointer with a raycaster
+    const raycaster = new THREE.Raycaster()
+    const pointer = new THREE.Vector2()
 
-      previousMousePosition = { x: e.clientX, y: e.clientY }
-    }
+    const onClick = (e) => {
+      // Ignore clicks that end a drag
+      const dragDistance = Math.hypot(e.clientX - pointerDownPosition.x, e.clientY - pointerDownPosition.y)
+      if (dragDistance > CLICK_DRAG_TOLERANCE || !airportMeshRef.current) return
 
-    const onMouseUp = () => {
-      isDragging = false
+      const rect = renderer.domElement.getBoundingClientRect()
+      pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1
+      pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1
+      raycaster.setFromCamera(pointer, camera)
+
+      const hit = raycaster.intersectObject(airportMeshRef.current)[0]
+      const airport = hit ? displayedAirportsRef.current[hit.instanceId] : null
+      setSelectedAirport(airport || null)
     }
 
-    // Handle mouse wheel for zoom
-    const onWheel = (e) => {
-      e.preventDefault()
-      const zoomSpeed = 0.1
-      camera.position.z += e.deltaY * zoomSpeed
-      camera.position.z = Math.max(150, Math.min(500, camera.position.z))
+    renderer.domElement.addEventListener('pointerdown', onPointerDown)
+    renderer.domElement.addEventListener('click', onClick)
+
+    // Show the same level-filtered airport density as the 2D map, limited to
+    // airports on the side of the globe facing the camera and inside the view
+    const instanceMatrix = new THREE.Matrix4()
+    const cameraLocal = new THREE.Vector3()
+    const worldPosition = new THREE.Vector3()
+    const frustum = new THREE.Frustum()
+    const viewProjectionMatrix = new THREE.Matrix4()
+    let lastAirportUpdate = 0
+
+    const updateVisibleAirports = () => {
+      const mesh = airportMeshRef.current
+      if (!mesh || !containerRef.current) return
+
+      earthGroup.updateMatrixWorld()
+      camera.updateMatrixWorld()
+      cameraLocal.copy(camera.position)
+      earthGroup.worldToLocal(cameraLocal)
+      viewProjectionMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+      frustum.setFromProjectionMatrix(viewProjectionMatrix)
+
+      // A point p on the sphere is in front of the horizon when p · camera > R²
+      const horizon = EARTH_RADIUS * EARTH_RADIUS
+      const visibleAirports = []
+      airportPositionsRef.current.forEach((position, airport) => {
+        if (position.dot(cameraLocal) <= horizon) return
+        worldPosition.copy(position).applyMatrix4(earthGroup.matrixWorld)
+        if (frustum.containsPoint(worldPosition)) {
+          visibleAirports.push(airport)
+        }
+      })
+
+      const maxAirports = getMaxAirportsForViewport(containerRef.current.clientWidth, containerRef.current.clientHeight)
+      const airportsToShow = selectAirportsByLevel(visibleAirports, maxAirports, maxLevelRef.current)
+
+      // Keep markers a constant size on screen as the camera zooms
+      const scale = camera.position.length() / CAMERA_DISTANCE
+      airportsToShow.forEach((airport, index) => {
+        instanceMatrix.makeScale(scale, scale, scale)
+        instanceMatrix.setPosition(airportPositionsRef.current.get(airport))
+        mesh.setMatrixAt(index, instanceMatrix)
+        mesh.setColorAt(index, airport.custom ? CUSTOM_AIRPORT_MARKER_COLOR : AIRPORT_MARKER_COLOR)
+      })
+      mesh.count = airportsToShow.length
+      mesh.instanceMatrix.needsUpdate = true
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
+      mesh.computeBoundingSphere()
+      displayedAirportsRef.current = airportsToShow
     }
 
-    renderer.domElement.addEventListener('mousedown', onMouseDown)
-    renderer.domElement.addEventListener('mousemove', onMouseMove)
-    renderer.domElement.addEventListener('mouseup', onMouseUp)
-    renderer.domElement.addEventListener('wheel', onWheel, { passive: false })
+    // Keep the info label next to the selected airport, hiding it behind the globe
+    const updateLabelPosition = () => {
+      const label = labelRef.current
+      const airport = selectedAirportRef.current
+      if (!label || !airport) return
+
+      worldPosition.copy(latLonToVector3(airport.lat, airport.lon, EARTH_RADIUS + AIRPORT_MARKER_HEIGHT))
+      worldPosition.applyMatrix4(earthGroup.matrixWorld)
+      const facingCamera = worldPosition.dot(camera.position) > EARTH_RADIUS * EARTH_RADIUS
+
+      worldPosition.project(camera)
+      const x = (worldPosition.x + 1) / 2 * renderer.domElement.clientWidth
+      const y = (1 - worldPosition.y) / 2 * renderer.domElement.clientHeight
+      label.style.transform = `translate(${x}px, ${y}px)`
+      label.style.visibility = facingCamera ? 'visible' : 'hidden'
+    }
 
     // Animation loop
-    const animate = () => {
-      requestAnimationFrame(animate)
+    const flightRotation = new THREE.Quaternion()
+    let animationFrameId = null
+    const animate = (time = 0) => {
+      animationFrameId = requestAnimationFrame(animate)
       
-      // Auto-rotate slowly when not dragging
-      if (!isDragging) {
-        earth.rotation.y += 0.001
-        wireframe.rotation.y += 0.001
-        markersRef.current.forEach(marker => {
-          marker.rotation.y = earth.rotation.y
-          marker.rotation.x = earth.rotation.x
-        })
-        if (routeLineRef.current) {
-          routeLineRef.current.rotation.y = earth.rotation.y
-          routeLineRef.current.rotation.x = earth.rotation.x
+      // Advance a camera flight in progress
+      const flight = flightRef.current
+      if (flight) {
+        const progress = Math.min((performance.now() - flight.startTime) / FLY_TO_DURATION_MS, 1)
+        const eased = progress < 0.5
+          ? 4 * progress * progress * progress
+          : 1 - Math.pow(-2 * progress + 2, 3) / 2
+        flightRotation.identity().slerp(flight.rotation, eased)
+        camera.position
+          .copy(flight.fromDirection)
+          .applyQuaternion(flightRotation)
+          .multiplyScalar(THREE.MathUtils.lerp(flight.fromDistance, flight.toDistance, eased))
+        if (progress === 1) {
+          flightRef.current = null
         }
       }
+
+      controls.update()
+      updatePlane()
+
+      if (time - lastAirportUpdate > AIRPORT_UPDATE_INTERVAL_MS) {
+        lastAirportUpdate = time
+        updateVisibleAirports()
+      }
       
       renderer.render(scene, camera)
+      updateLabelPosition()
     }
     animate()
 
@@ -175,76 +405,105 @@ export function Globe({
 
     // Cleanup
     return () => {
+      disposed = true
+      cancelAnimationFrame(animationFrameId)
+      clearInterval(sunInterval)
       window.removeEventListener('resize', handleResize)
-      renderer.domElement.removeEventListener('mousedown', onMouseDown)
-      renderer.domElement.removeEventListener('mousemove', onMouseMove)
-      renderer.domElement.removeEventListener('mouseup', onMouseUp)
-      renderer.domElement.removeEventListener('wheel', onWheel)
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown)
+      renderer.domElement.removeEventListener('click', onClick)
+      controls.removeEventListener('change', updateRotateSpeed)
+      controls.removeEventListener('start', cancelFlight)
+      controls.dispose()
       
       if (containerRef.current && renderer.domElement) {
         containerRef.current.removeChild(renderer.domElement)
       }
+      if (earthTexture) {
+        earthTexture.dispose()
+      }
+      plane.geometry.dispose()
+      plane.material.dispose()
       renderer.dispose()
     }
   }, [])
 
-  // Update airport markers
+  // Show or hide the day/night terminator
+  useEffect(() => {
+    if (terminatorRef.current) {
+      terminatorRef.current.visible = showTerminator
+    }
+  }, [showTerminator])
+
+  // Rebuild the airport marker mesh when the airport list changes
+  useEffect(() => {
+    const earthGroup = earthRef.current
+    if (!earthGroup) return
+
+    const positions = new Map()
+    airports.forEach(airport => {
+      positions.set(airport, latLonToVector3(airport.lat, airport.lon, EARTH_RADIUS + AIRPORT_MARKER_HEIGHT))
+    })
+    airportPositionsRef.current = positions
+    maxLevelRef.current = airports.reduce((max, airport) => Math.max(max, airport.level || 1), 1)
+    displayedAirportsRef.current = []
+
+    // Airport markers are placed in the earth group, colored per instance
+    const mesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(AIRPORT_MARKER_RADIUS, 8, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffffff }),
+      Math.max(airports.length, 1)
+    )
+    mesh.count = 0
+    earthGroup.add(mesh)
+    airportMeshRef.current = mesh
+
+    return () => {
+      earthGroup.remove(mesh)
+      mesh.geometry.dispose()
+      mesh.material.dispose()
+      airportMeshRef.current = null
+    }
+  }, [airports])
+
+  // Update waypoint markers
   useEffect(() => {
     if (!sceneRef.current || !earthRef.current) return
 
     // Clear existing markers
-    markersRef.current.forEach(marker => sceneRef.current.remove(marker))
+    markersRef.current.forEach(marker => earthRef.current.remove(marker))
     markersRef.current = []
 
-    // Add origin marker
-    if (originAirport) {
-      const position = latLonToVector3(originAirport.lat, originAirport.lon, EARTH_RADIUS + MARKER_HEIGHT)
-      const geometry = new THREE.SphereGeometry(2, 16, 16)
-      const material = new THREE.MeshBasicMaterial({ 
-        color: 0x10b981,
-        transparent: true,
-        opacity: 0.9
-      })
-      const marker = new THREE.Mesh(geometry, material)
-      marker.position.copy(position)
-      marker.rotation.y = earthRef.current.rotation.y
-      marker.rotation.x = earthRef.current.rotation.x
-      sceneRef.current.add(marker)
-      markersRef.current.push(marker)
-    }
+    // Add a marker for each waypoint, colored by its role in the itinerary
+    waypoints.forEach((airport, index) => {
+      const color = WAYPOINT_COLORS[getWaypointRole(index, waypoints.length)]
 
-    // Add destination marker
-    if (destinationAirport) {
-      const position = latLonToVector3(destinationAirport.lat, destinationAirport.lon, EARTH_RADIUS + MARKER_HEIGHT)
+      const position = latLonToVector3(airport.lat, airport.lon, EARTH_RADIUS + MARKER_HEIGHT)
       const geometry = new THREE.SphereGeometry(2, 16, 16)
       const material = new THREE.MeshBasicMaterial({ 
-        color: 0xef4444,
+        color,
         transparent: true,
         opacity: 0.9
       })
       const marker = new THREE.Mesh(geometry, material)
       marker.position.copy(position)
-      marker.rotation.y = earthRef.current.rotation.y
-      marker.rotation.x = earthRef.current.rotation.x
-      sceneRef.current.add(marker)
+      earthRef.current.add(marker)
       markersRef.current.push(marker)
-    }
-  }, [originAirport, destinationAirport])
+    })
+  }, [waypoints])
 
-  // Update route line
+  // Update route lines
   useEffect(() => {
     if (!sceneRef.current || !earthRef.current) return
 
-    // Clear existing route line
-    if (routeLineRef.current) {
-      sceneRef.current.remove(routeLineRef.current)
-      routeLineRef.current = null
-    }
+    // Clear existing route lines
+    routeLinesRef.current.forEach(line => earthRef.current.remove(line))
+    routeLinesRef.current = []
 
-    // Add new route line if coordinates exist
-    if (routeCoordinates && routeCoordinates.length > 0) {
-      // Generate more points for a smoother curve
-      const points = routeCoordinates.map(coord => 
+    // Add one line per leg of the itinerary
+    routeLegs.forEach(coordinates => {
+      if (!coordinates || coordinates.length === 0) return
+
+      const points = coordinates.map(coord => 
         latLonToVector3(coord[0], coord[1], EARTH_RADIUS + ROUTE_HEIGHT)
       )
       
@@ -256,16 +515,72 @@ export function Globe({
         opacity: 0.9
       })
       const line = new THREE.Line(geometry, material)
-      line.rotation.y = earthRef.current.rotation.y
-      line.rotation.x = earthRef.current.rotation.x
-      sceneRef.current.add(line)
-      routeLineRef.current = line
+      earthRef.current.add(line)
+      routeLinesRef.current.push(line)
+    })
+  }, [routeLegs])
+
+  // Fly the camera to the itinerary whenever an airport is added or a route is loaded
+  useEffect(() => {
+    const camera = cameraRef.current
+    const controls = controlsRef.current
+    if (!camera || !controls) return
+
+    // Only spin the globe while there is no route to look at
+    controls.autoRotate = waypoints.length === 0
+
+    const addedWaypoint = waypoints.length > previousWaypointCountRef.current
+    const loadedRoute = routeLoadCount !== previousRouteLoadCountRef.current
+    previousWaypointCountRef.current = waypoints.length
+    previousRouteLoadCountRef.current = routeLoadCount
+    if ((!addedWaypoint && !loadedRoute) || waypoints.length === 0) return
+
+    // Aim at the middle of all waypoints
+    const directions = waypoints.map(airport => latLonToVector3(airport.lat, airport.lon, 1))
+    const center = directions.reduce((sum, direction) => sum.add(direction), new THREE.Vector3())
+    if (center.lengthSq() < 1e-6) {
+      center.copy(directions[0])
     }
-  }, [routeCoordinates])
+    center.normalize()
+
+    // Back off far enough that the waypoint furthest from the center fits in view
+    let toDistance = FLY_TO_AIRPORT_DISTANCE
+    if (waypoints.length > 1) {
+      const maxAngle = Math.max(...directions.map(direction => center.angleTo(direction)))
+      const halfFov = THREE.MathUtils.degToRad(camera.fov / 2)
+      const fitHalfFov = 0.8 * Math.min(halfFov, Math.atan(Math.tan(halfFov) * camera.aspect))
+      toDistance = EARTH_RADIUS * (Math.cos(maxAngle) + Math.sin(maxAngle) / Math.tan(fitHalfFov))
+    }
+    toDistance = THREE.MathUtils.clamp(toDistance, MIN_CAMERA_DISTANCE, MAX_CAMERA_DISTANCE)
+
+    const fromDirection = camera.position.clone().normalize()
+    flightRef.current = {
+      fromDirection,
+      rotation: new THREE.Quaternion().setFromUnitVectors(fromDirection, center),
+      fromDistance: camera.position.length(),
+      toDistance,
+      startTime: performance.now()
+    }
+  }, [waypoints, routeLoadCount])
+
+  const handleRouteToClick = (e) => {
+    e.preventDefault()
+    if (onAirportClick && selectedAirport) {
+      onAirportClick(selectedAirport)
+    }
+    setSelectedAirport(null)
+  }
+
+  const handleDetailsClick = (e) => {
+    e.preventDefault()
+    if (onAirportDetails && selectedAirport) {
+      onAirportDetails(selectedAirport)
+    }
+    setSelectedAirport(null)
+  }
 
   return (
     <div 
-      ref={containerRef} 
       style={{
         width: '100%',
         height: '100%',
@@ -273,6 +588,47 @@ export function Globe({
         top: 0,
         left: 0
       }}
-    />
+    >
+      <div 
+        ref={containerRef} 
+        style={{
+          width: '100%',
+          height: '100%'
+        }}
+      />
+      <button
+        class={`globe-terminator-button ${showTerminator ? 'active' : ''}`}
+        onClick={() => setShowTerminator(!showTerminator)}
+        aria-label={showTerminator ? 'Hide day/night terminator' : 'Show day/night terminator'}
+        aria-pressed={showTerminator}
+        title="Day/night terminator"
+      >
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18V4c4.41 0 8 3.59 8 8s-3.59 8-8 8z"/>
+        </svg>
+      </button>
+      {selectedAirport && (
+        <div ref={labelRef} class="globe-airport-label">
+          <div class="globe-airport-label-content airport-popup">
+            <button
+              class="globe-airport-label-close"
+              onClick={() => setSelectedAirport(null)}
+              aria-label="Close airport information"
+            >
+              ×
+            </button>
+            <strong>{selectedAirport.name}</strong><br/>
+            {getAirportPlace(selectedAirport)}<br/>
+            {selectedAirport.custom
+              ? `Code: ${selectedAirport.icao}`
+              : `ICAO: ${selectedAirport.icao} | IATA: ${selectedAirport.iata}`}<br/>
+            <a href="#" class="route-to-link" onClick={handleRouteToClick}>Route to →</a>
+            {!selectedAirport.custom && (
+              <a href="#" class="airport-details-link" onClick={handleDetailsClick}>Details</a>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
   )
 }
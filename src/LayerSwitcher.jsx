@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'preact/hooks'
+import { BASE_MAPS, MAP_OVERLAYS } from './baseMaps.js'
+import { openVectorTilesFile } from './mapLayers.js'
+
+// Pop-over for picking the 2D map's base map and toggling overlays. Vector tiles
+// for the vector base maps can be opened from a PMTiles file on the device.
+export function LayerSwitcher({
+  baseMapId,
+  activeOverlays,
+  vectorTilesName,
+  onBaseMapChange,
+  onVectorTilesOpen,
+  onOverlayToggle,
+  onClose
+}) {
+  const [fileError, setFileError] = useState(null)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setFileError(null)
+    try {
+      onVectorTilesOpen({ name: file.name, source: await openVectorTilesFile(file) })
+    } catch (err) {
+      setFileError(`Can't open ${file.name}: ${err.message}`)
+    }
+  }
+
+  return (
+    <div class="layer-switcher" role="dialog" aria-label="Map layers">
+      <fieldset>
+        <legend>Base map</legend>
+        {BASE_MAPS.map(baseMap => (
+          <label key={baseMap.id}>
+            <input
+              type="radio"
+              name="base-map"
+              checked={baseMap.id === baseMapId}
+              disabled={baseMap.vector && !baseMap.url && !vectorTilesName}
+              onChange={() => onBaseMapChange(baseMap.id)}
+            />
+            {baseMap.label}
+          </label>
+        ))}
+        <label class="layer-switcher-file">
+          <input type="file" accept=".pmtiles" onChange={handleFileChange} />
+          {vectorTilesName ? `Vector tiles: ${vectorTilesName}` : 'Open vector tiles (.pmtiles)…'}
+        </label>
+        {fileError && <div class="layer-switcher-error" role="alert">{fileError}</div>}
+      </fieldset>
+      <fieldset>
+        <legend>Overlays</legend>
+        {MAP_OVERLAYS.map(overlay => (
+          <label key={overlay.id}>
+            <input
+              type="checkbox"
+              checked={activeOverlays.includes(overlay.id)}
+              onChange={() => onOverlayToggle(overlay.id)}
+            />
+            {overlay.label}
+          </label>
+        ))}
+      </fieldset>
+    </div>
+  )
+}
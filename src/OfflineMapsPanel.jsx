@@ -0,0 +1,250 @@
+import { useEffect, useMemo, useRef, useState } from 'preact/hooks'
+import {
+  MAX_REGION_TILES,
+  MAX_DOWNLOAD_ZOOM,
+  listRegionTiles,
+  estimateTileBytes,
+  checkStorageQuota,
+  downloadTiles,
+  discardTiles
+} from './offlineTiles.js'
+
+const MIN_DOWNLOAD_ZOOM = 2
+const DEFAULT_CORRIDOR_WIDTH_KM = 50
+const CORRIDOR_WIDTH_OPTIONS_KM = [25, 50, 100, 200]
+
+const ZOOM_LEVELS = Array.from({ length: MAX_DOWNLOAD_ZOOM - MIN_DOWNLOAD_ZOOM + 1 }, (_, i) => MIN_DOWNLOAD_ZOOM + i)
+
+// Helper function to format a number of bytes as kB, MB or GB
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} kB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toLocaleString(undefined, { maximumFractionDigits: 1 })} MB`
+  return `${(bytes / 1024 / 1024 / 1024).toLocaleString(undefined, { maximumFractionDigits: 1 })} GB`
+}
+
+const formatCreatedDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+// Helper function to name the visible map area by its centre, e.g. "Area around 51.5°N 0.1°W"
+const describeArea = ({ south, west, north, east }) => {
+  const lat = (south + north) / 2
+  const lon = ((((west + east) / 2) + 180) % 360 + 360) % 360 - 180
+  return `Area around ${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`
+}
+
+export function OfflineMapsPanel({ regions, visibleBounds, mapZoom, routePaths, routeName, onDownloaded, onDelete, onShow, onClose }) {
+  const hasRoute = routePaths.length > 0
+  const [areaKind, setAreaKind] = useState(hasRoute ? 'route' : 'view') // 'view' or 'route'
+  const [widthKm, setWidthKm] = useState(DEFAULT_CORRIDOR_WIDTH_KM)
+  const [minZoom, setMinZoom] = useState(MIN_DOWNLOAD_ZOOM)
+  const [maxZoom, setMaxZoom] = useState(() => Math.min(MAX_DOWNLOAD_ZOOM, Math.max(8, Math.round(mapZoom) + 2)))
+  const [name, setName] = useState('')
+  const [progress, setProgress] = useState(null) // { done, total, failed, bytes } while downloading
+  const [status, setStatus] = useState(null) // { message, error }
+  const abortRef = useRef(null)
+
+  // Stop a download in progress when the panel closes
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const { south, west, north, east } = visibleBounds || {}
+  const area = areaKind === 'route' && hasRoute
+    ? { paths: routePaths, widthKm }
+    : visibleBounds && { bounds: { south, west, north, east } }
+  const tiles = useMemo(
+    () => area && minZoom <= maxZoom ? listRegionTiles(area, minZoom, maxZoom) : null,
+    [areaKind, routePaths, widthKm, south, west, north, east, minZoom, maxZoom]
+  )
+  const estimatedBytes = tiles ? estimateTileBytes(tiles.keys.length) : 0
+  const defaultName = areaKind === 'route' && hasRoute
+    ? `${routeName} corridor`
+    : visibleBounds ? describeArea(visibleBounds) : ''
+
+  const handleDownload = async (e) => {
+    e.preventDefault()
+    setStatus(null)
+    if (!tiles || tiles.tooMany) return
+
+    const quota = await checkStorageQuota(estimatedBytes)
+    if (!quota.ok) {
+      setStatus({
+        message: `Not enough storage: this area needs about ${formatBytes(estimatedBytes)} but only ${formatBytes(quota.availableBytes)} is free.`,
+        error: true
+      })
+      return
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    setProgress({ done: 0, total: tiles.keys.length, failed: 0, bytes: 0 })
+    try {
+      const result = await downloadTiles(tiles.keys, { onProgress: setProgress, signal: controller.signal })
+      await onDownloaded({
+        name: name.trim() || defaultName,
+        kind: areaKind === 'route' && hasRoute ? 'route' : 'area',
+        bounds: tiles.bounds,
+        minZoom,
+        maxZoom,
+        tiles: tiles.keys,
+        bytes: result.bytes
+      })
+      setName('')
+      setStatus(result.failed > 0
+        ? { message: `Downloaded, but ${result.failed.toLocaleString()} tiles failed; they will load when you are online.`, error: true }
+        : { message: `Downloaded ${tiles.keys.length.toLocaleString()} tiles (${formatBytes(result.bytes)}).` })
+    } catch (err) {
+      // Drop the tiles of an unfinished download that no saved region uses
+      await discardTiles(tiles.keys, regions).catch(() => {})
+      setStatus(err.name === 'AbortError'
+        ? { message: 'Download cancelled.' }
+        : { message: `Download failed: ${err.message}`, error: true })
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  return (
+    <aside class="airport-detail-panel" role="dialog" aria-labelledby="offline-maps-title">
+      <div class="airport-detail-header">
+        <div>
+          <h3 id="offline-maps-title">Offline Maps</h3>
+          <div class="airport-detail-subtitle">
+            Map tiles stored on this device
+          </div>
+        </div>
+        <button class="close-button" onClick={onClose} aria-label="Close offline maps">
+          ×
+        </button>
+      </div>
+
+      <div class="airport-detail-content">
+        <form class="custom-airport-form" onSubmit={handleDownload}>
+          <label>
+            Area
+            <select value={areaKind} onChange={(e) => setAreaKind(e.target.value)} disabled={Boolean(progress)}>
+              <option value="view">Visible map area</option>
+              <option value="route" disabled={!hasRoute}>Corridor along the route</option>
+            </select>
+          </label>
+          {areaKind === 'route' && hasRoute && (
+            <label>
+              Corridor width (each side)
+              <select value={widthKm} onChange={(e) => setWidthKm(Number(e.target.value))} disabled={Boolean(progress)}>
+                {CORRIDOR_WIDTH_OPTIONS_KM.map(km => (
+                  <option key={km} value={km}>{km} km</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div class="custom-airport-form-row">
+            <label>
+              From zoom
+              <select value={minZoom} onChange={(e) => setMinZoom(Number(e.target.value))} disabled={Boolean(progress)}>
+                {ZOOM_LEVELS.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+              </select>
+            </label>
+            <label>
+              To zoom
+              <select value={maxZoom} onChange={(e) => setMaxZoom(Number(e.target.value))} disabled={Boolean(progress)}>
+                {ZOOM_LEVELS.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+              </select>
+            </label>
+          </div>
+          <label>
+            Name <span class="custom-airport-optional">(optional)</span>
+            <input
+              type="text"
+              value={name}
+              onInput={(e) => setName(e.target.value)}
+              placeholder={defaultName}
+              disabled={Boolean(progress)}
+            />
+          </label>
+
+          {minZoom > maxZoom ? (
+            <div class="route-warning" role="alert">⚠️ The first zoom level must not be above the last.</div>
+          ) : tiles?.tooMany ? (
+            <div class="route-warning" role="alert">
+              ⚠️ More than {MAX_REGION_TILES.toLocaleString()} tiles. Choose a smaller area, a narrower
+              corridor or fewer zoom levels.
+            </div>
+          ) : tiles && (
+            <div class="route-detail-note">
+              {tiles.keys.length.toLocaleString()} tiles, about {formatBytes(estimatedBytes)}
+            </div>
+          )}
+
+          {progress ? (
+            <div class="offline-progress">
+              <progress value={progress.done} max={progress.total} />
+              <div class="route-detail-note" role="status">
+                {progress.done.toLocaleString()} / {progress.total.toLocaleString()} tiles · {formatBytes(progress.bytes)}
+                {progress.failed > 0 && ` · ${progress.failed.toLocaleString()} failed`}
+              </div>
+              <button type="button" class="saved-route-secondary-button" onClick={() => abortRef.current?.abort()}>
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button type="submit" class="airport-detail-route-button" disabled={!tiles || tiles.tooMany}>
+              Download for offline use
+            </button>
+          )}
+
+          {status && (
+            <div class={status.error ? 'route-warning' : 'route-detail-note'} role={status.error ? 'alert' : 'status'}>
+              {status.error && '⚠️ '}{status.message}
+            </div>
+          )}
+          <div class="route-detail-note">
+            Tiles come from OpenStreetMap, so please download only what you need. Downloaded
+            areas show on the OpenStreetMap base map.
+          </div>
+        </form>
+
+        <h4>Downloaded</h4>
+        {regions.length === 0 ? (
+          <div class="route-detail-note">No offline areas yet.</div>
+        ) : (
+          <ul class="custom-airport-list">
+            {regions.map(region => (
+              <li key={region.id}>
+                <div>
+                  <strong>{region.name}</strong>
+                  <div class="custom-airport-meta">
+                    Zoom {region.minZoom}–{region.maxZoom} · {region.tiles.length.toLocaleString()} tiles · {formatBytes(region.bytes)}
+                  </div>
+                  <div class="custom-airport-meta">Downloaded {formatCreatedDate(region.createdAt)}</div>
+                </div>
+                <button class="custom-airport-route-button" onClick={() => onShow(region)}>
+                  Show
+                </button>
+                <button
+                  class="custom-airport-delete"
+                  onClick={() => onDelete(region)}
+                  aria-label={`Delete ${region.name}`}
+                  title="Delete"
+                  disabled={Boolean(progress)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  )
+}
@@ -0,0 +1,74 @@
+import { useState } from 'preact/hooks'
+
+// Stops allowed by the planner, from the biggest hubs to any airport (by level,
+// where level 1 holds the 100 most important airports)
+export const HUB_SIZE_OPTIONS = [
+  { maxLevel: 1, label: 'Top 100 hubs' },
+  { maxLevel: 5, label: 'Top 500 airports' },
+  { maxLevel: 20, label: 'Top 2,000 airports' },
+  { maxLevel: Infinity, label: 'Any airport' }
+]
+const DEFAULT_HUB_SIZE_INDEX = 2
+
+// Plan the shortest route from origin to destination with stops no further apart
+// than a maximum range, replacing any stops in the itinerary
+export function RangePlanner({ originCode, destinationCode, defaultRangeKm, onPlan }) {
+  const [rangeKm, setRangeKm] = useState('')
+  const [hubSizeIndex, setHubSizeIndex] = useState(DEFAULT_HUB_SIZE_INDEX)
+  const [status, setStatus] = useState(null) // { planning } or { message, error }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const range = rangeKm === '' ? defaultRangeKm : Number(rangeKm)
+    if (!(range > 0)) {
+      setStatus({ message: 'Enter a range in kilometres.', error: true })
+      return
+    }
+
+    const { maxLevel, label } = HUB_SIZE_OPTIONS[hubSizeIndex]
+    setStatus({ planning: true })
+    try {
+      const result = await onPlan({ rangeKm: range, maxLevel })
+      setStatus(result.found
+        ? { message: result.stops === 0 ? 'Nonstop is within range.' : `Planned ${result.stops} stop${result.stops === 1 ? '' : 's'}.` }
+        : { message: `No route within ${range.toLocaleString()} km hops using ${label.toLowerCase()}. Try a longer range or more airports.`, error: true })
+    } catch (err) {
+      setStatus({ message: `Planning failed: ${err.message}`, error: true })
+    }
+  }
+
+  return (
+    <form class="range-planner" onSubmit={handleSubmit}>
+      <div class="route-detail-label">Plan stops {originCode} → {destinationCode}</div>
+      <div class="range-planner-fields">
+        <label>
+          Max range (km)
+          <input
+            type="number"
+            min="1"
+            step="100"
+            value={rangeKm}
+            placeholder={String(defaultRangeKm)}
+            onInput={(e) => setRangeKm(e.target.value)}
+          />
+        </label>
+        <label>
+          Stop at
+          <select value={hubSizeIndex} onChange={(e) => setHubSizeIndex(Number(e.target.value))}>
+            {HUB_SIZE_OPTIONS.map((option, index) => (
+              <option key={option.label} value={index}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" disabled={status?.planning}>
+          {status?.planning ? 'Planning…' : 'Plan'}
+        </button>
+      </div>
+      {status?.message && (
+        <div class={status.error ? 'route-warning' : 'route-detail-note'} role={status.error ? 'alert' : 'status'}>
+          {status.message}
+        </div>
+      )}
+    </form>
+  )
+}
@@ -0,0 +1,75 @@
+import { useRef, useState } from 'preact/hooks'
+
+// Import section of the My Routes panel: a route string or a GPX, KML or GeoJSON
+// file, with the outcome for every point
+export function RouteImport({ result, onImportText, onImportFile }) {
+  const [text, setText] = useState('')
+  const fileInputRef = useRef(null)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onImportText(text)
+  }
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0]
+    if (file) onImportFile(file)
+    e.target.value = ''
+  }
+
+  const resolvedCount = result ? result.items.filter(item => item.airport).length : 0
+
+  return (
+    <>
+      <h4>Import</h4>
+      <form class="custom-airport-form" onSubmit={handleSubmit}>
+        <label>
+          Route
+          <input
+            type="text"
+            value={text}
+            onInput={(e) => setText(e.target.value)}
+            placeholder="EGLL DCT KJFK or LHR-JFK-LAX"
+          />
+        </label>
+        <div class="saved-route-actions">
+          <button type="submit" class="custom-airport-route-button">Draw route</button>
+          <button type="button" class="saved-route-secondary-button" onClick={() => fileInputRef.current.click()}>
+            Open file…
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".gpx,.kml,.geojson,.json"
+            onChange={handleFileChange}
+            hidden
+          />
+        </div>
+        <div class="route-detail-note">
+          Or drop a GPX, KML or GeoJSON file on the map. Points are matched by airport code, or to the
+          nearest airport.
+        </div>
+      </form>
+
+      {result && (
+        <div class="route-import-result" role="status">
+          <div class="custom-airport-meta">
+            {result.source}: {resolvedCount} of {result.items.length} point{result.items.length === 1 ? '' : 's'} resolved
+          </div>
+          {result.error && <div class="route-warning" role="alert">⚠️ {result.error}</div>}
+          {result.items.length > 0 && (
+            <ul class="route-import-items">
+              {result.items.map((item, index) => (
+                <li key={index} class={item.error ? 'error' : ''}>
+                  {item.error ? '✗' : '✓'} <strong>{item.label}</strong>{' '}
+                  {item.airport ? `→ ${item.airport.icao} ${item.airport.name}` : `- ${item.error}`}
+                  {item.note && ` (${item.note})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
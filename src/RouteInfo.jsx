@@ -0,0 +1,394 @@
+import { Fragment } from 'preact'
+import { AUTO_AIRCRAFT_ID, AIRCRAFT_CATALOG, AIRCRAFT_CATEGORIES } from './aircraft.js'
+import { getWaypointLabel } from './waypoints.js'
+import { PASSENGER_LOAD_FACTOR } from './emissions.js'
+import { formatZonedDateTime } from './timezones.js'
+import { EXPORT_FORMATS } from './routeExport.js'
+import { RangePlanner } from './RangePlanner.jsx'
+import { EtopsAnalysis } from './EtopsAnalysis.jsx'
+
+// Helper function to format a number of kilometres with thousands separators
+const formatKm = (km) => Number(km).toLocaleString()
+
+// Helper function to format a mass in kilograms as kg or tonnes
+const formatMass = (kg) => kg >= 1000
+  ? `${(kg / 1000).toLocaleString(undefined, { maximumFractionDigits: 1 })} t`
+  : `${Math.round(kg).toLocaleString()} kg`
+
+// Helper function to format a US dollar amount
+const formatUsd = (usd) => `$${Math.round(usd).toLocaleString()}`
+
+// Helper function to show an arrival in local time, flagging a different calendar day
+const formatArrival = ({ arrival, destinationTimeZone, dayDifference }) => {
+  const time = formatZonedDateTime(arrival, destinationTimeZone)
+  if (dayDifference === 0) return time
+  return `${time} (${dayDifference > 0 ? '+' : '−'}${Math.abs(dayDifference)} day${Math.abs(dayDifference) === 1 ? '' : 's'})`
+}
+
+// Helper function to describe how far the destination clock is from the origin clock
+const formatTimeDifference = (minutes, originCode, destinationCode) => {
+  if (minutes === 0) return `Same time as ${originCode}`
+  const hours = Math.floor(Math.abs(minutes) / 60)
+  const remainder = Math.abs(minutes) % 60
+  const amount = remainder ? `${hours}h ${remainder}m` : `${hours}h`
+  return `${destinationCode} is ${amount} ${minutes > 0 ? 'ahead of' : 'behind'} ${originCode}`
+}
+
+// Helper function to describe an average along-track wind
+const formatWind = (tailwindKmh) => {
+  if (tailwindKmh === 0) return 'Calm'
+  return `${Math.abs(tailwindKmh)} km/h ${tailwindKmh > 0 ? 'tailwind' : 'headwind'}`
+}
+
+export function RouteInfo({
+  routeInfo,
+  waypoints,
+  isMobile,
+  expanded,
+  onToggleExpanded,
+  onClear,
+  onMoveWaypoint,
+  onRemoveWaypoint,
+  onInsertWaypoint,
+  aircraftId,
+  onAircraftChange,
+  departureTime,
+  onDepartureTimeChange,
+  onExport,
+  planningRangeKm,
+  onPlanRoute,
+  etopsAnalysis,
+  etopsOptions,
+  onEtopsOptionsChange,
+  playing,
+  onPlay
+}) {
+  const showDetails = !isMobile || expanded
+  const isMultiLeg = routeInfo.legs.length > 1
+  const originCode = waypoints[0].iata
+  const destinationCode = waypoints[waypoints.length - 1].iata
+  const outOfRangeLegs = routeInfo.legs
+    .map((leg, index) => ({ ...leg, index }))
+    .filter(leg => !leg.withinRange)
+
+  return (
+    <div class={`route-info-box ${expanded ? 'expanded' : ''}`}>
+      <div
+        class="route-info-header"
+        onClick={() => isMobile && onToggleExpanded()}
+        onKeyDown={(e) => isMobile && (e.key === 'Enter' || e.key === ' ') && (e.preventDefault(), onToggleExpanded())}
+        role={isMobile ? 'button' : undefined}
+        tabIndex={isMobile ? 0 : undefined}
+        aria-expanded={isMobile ? expanded : undefined}
+      >
+        <h3>Route Information</h3>
+        <div class="header-buttons">
+          {!playing && (
+            <button
+              class="play-flight-button"
+              onClick={(e) => {
+                e.stopPropagation()
+                onPlay()
+              }}
+              aria-label="Play the flight"
+              title="Play the flight"
+            >
+              ▶
+            </button>
+          )}
+          {isMobile && (
+            <button
+              class="expand-button"
+              onClick={(e) => {
+                e.stopPropagation()
+                onToggleExpanded()
+              }}
+              aria-label={expanded ? "Collapse" : "Expand"}
+            >
+              {expanded ? '−' : '+'}
+            </button>
+          )}
+          <button class="close-button" onClick={(e) => {
+            e.stopPropagation()
+            onClear()
+          }} aria-label="Clear route">
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div class="route-info-content">
+        <div class="route-airports">
+          {waypoints.map((airport, index) => (
+            <Fragment key={`${index}-${airport.icao}`}>
+              {index > 0 && <div class="route-arrow">→</div>}
+              <div class="route-airport">
+                <div class="route-label">{getWaypointLabel(index, waypoints.length)}</div>
+                <div class="route-name">{airport.iata}</div>
+                {showDetails && (
+                  <>
+                    <div class="route-city">{airport.city}</div>
+                    <div class="route-waypoint-controls">
+                      <button
+                        onClick={() => onMoveWaypoint(index, -1)}
+                        disabled={index === 0}
+                        aria-label={`Move ${airport.iata} earlier`}
+                        title="Move earlier"
+                      >
+                        ←
+                      </button>
+                      <button
+                        onClick={() => onRemoveWaypoint(index)}
+                        aria-label={`Remove ${airport.iata}`}
+                        title="Remove"
+                      >
+                        ×
+                      </button>
+                      <button
+                        onClick={() => onMoveWaypoint(index, 1)}
+                        disabled={index === waypoints.length - 1}
+                        aria-label={`Move ${airport.iata} later`}
+                        title="Move later"
+                      >
+                        →
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            </Fragment>
+          ))}
+        </div>
+
+        {showDetails && (
+          <div class="route-details">
+            <div class="route-detail-item">
+              <label class="route-detail-label" for="route-aircraft-select">Aircraft</label>
+              <select
+                id="route-aircraft-select"
+                class="route-aircraft-select"
+                value={aircraftId}
+                onChange={(e) => onAircraftChange(e.target.value)}
+              >
+                <option value={AUTO_AIRCRAFT_ID}>Typical for distance</option>
+                {AIRCRAFT_CATEGORIES.map(category => (
+                  <optgroup key={category} label={category}>
+                    {AIRCRAFT_CATALOG
+                      .filter(aircraft => aircraft.category === category)
+                      .map(aircraft => (
+                        <option key={aircraft.id} value={aircraft.id}>{aircraft.name}</option>
+                      ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+
+            <div class="route-detail-item">
+              <label class="route-detail-label" for="route-departure-input">
+                Departure ({originCode} local time)
+              </label>
+              <input
+                id="route-departure-input"
+                class="route-departure-input"
+                type="datetime-local"
+                value={departureTime}
+                onChange={(e) => onDepartureTimeChange(e.target.value)}
+              />
+            </div>
+
+            {outOfRangeLegs.map(leg => (
+              <div class="route-warning" role="alert" key={`range-${leg.index}`}>
+                <div>
+                  ⚠️ {leg.origin.iata} → {leg.destination.iata} ({formatKm(leg.distanceKm)} km) is beyond
+                  the {leg.aircraft.name} range of {formatKm(leg.aircraft.rangeKm)} km.
+                </div>
+                {leg.fuelStop ? (
+                  <div class="route-warning-action">
+                    Suggested fuel stop: <strong>{leg.fuelStop.iata}</strong> ({leg.fuelStop.name})
+                    <button onClick={() => onInsertWaypoint(leg.index + 1, leg.fuelStop)}>
+                      Add stop
+                    </button>
+                  </div>
+                ) : (
+                  <div class="route-warning-action">
+                    No single fuel stop makes this leg feasible.
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <RangePlanner
+              originCode={originCode}
+              destinationCode={destinationCode}
+              defaultRangeKm={planningRangeKm}
+              onPlan={onPlanRoute}
+            />
+
+            {routeInfo.runwayWarnings.map(warning => (
+              <div class="route-warning" role="alert" key={`runway-${warning.airport.icao}-${warning.aircraft.id}`}>
+                {warning.status === 'unpaved' ? (
+                  <div>
+                    ⚠️ {warning.airport.iata || warning.airport.icao} has no paved runway for
+                    the {warning.aircraft.name}.
+                  </div>
+                ) : (
+                  <div>
+                    ⚠️ {warning.airport.iata || warning.airport.icao}'s longest runway
+                    ({formatKm(warning.availableM)} m) is shorter than the {formatKm(warning.requiredM)} m
+                    the {warning.aircraft.name} typically needs.
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <EtopsAnalysis
+              analysis={etopsAnalysis}
+              options={etopsOptions}
+              onOptionsChange={onEtopsOptionsChange}
+            />
+
+            {isMultiLeg && (
+              <div class="route-legs">
+                {routeInfo.legs.map((leg, index) => (
+                  <div class="route-leg" key={index}>
+                    <div class="route-leg-title">
+                      {leg.origin.iata} → {leg.destination.iata}
+                    </div>
+                    <div class="route-leg-value">
+                      {leg.distanceKm} km · {leg.hours}h {leg.minutes}m
+                    </div>
+                    <div class="route-leg-aircraft">
+                      {leg.aircraft.name} · {formatWind(leg.averageTailwindKmh)} · return {leg.returnTime.hours}h {leg.returnTime.minutes}m
+                    </div>
+                    <div class="route-leg-aircraft">
+                      Arrives {formatArrival(leg.localTimes)}
+                      {leg.dateLineCrossing && ' · crosses the date line'}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">
+                {isMultiLeg ? 'Total Distance' : 'Distance'}
+              </div>
+              <div class="route-detail-value">
+                {routeInfo.distanceKm} km / {routeInfo.distanceMiles} mi
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">
+                {isMultiLeg ? 'Total Flight Time' : 'Typical Flight Time'}
+              </div>
+              <div class="route-detail-value">
+                {routeInfo.hours}h {routeInfo.minutes}m
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">
+                Return Flight Time ({destinationCode} → {originCode})
+              </div>
+              <div class="route-detail-value">
+                {routeInfo.returnTime.hours}h {routeInfo.returnTime.minutes}m
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">Arrival ({destinationCode} local time)</div>
+              <div class="route-detail-value">
+                {formatArrival(routeInfo.localTimes)}
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">Time Difference</div>
+              <div class="route-detail-value">
+                {formatTimeDifference(routeInfo.localTimes.timeDifferenceMinutes, originCode, destinationCode)}
+              </div>
+            </div>
+
+            {routeInfo.dateLineCrossing && (
+              <div class="route-detail-note">
+                Crosses the International Date Line {routeInfo.dateLineCrossing} - the calendar
+                moves {routeInfo.dateLineCrossing === 'westbound' ? 'forward' : 'back'} a day.
+              </div>
+            )}
+
+            {!isMultiLeg && (
+              <div class="route-detail-item">
+                <div class="route-detail-label">Average Wind</div>
+                <div class="route-detail-value">
+                  {formatWind(routeInfo.legs[0].averageTailwindKmh)}
+                </div>
+              </div>
+            )}
+
+            <div class="route-detail-note">
+              Block times include taxi, climb and descent, with seasonal average jet-stream winds
+              for the month of departure.{isMultiLeg && ' Stopovers allow one hour on the ground.'}
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">Estimated Fuel</div>
+              <div class="route-detail-value">
+                {formatMass(routeInfo.emissions.fuelKg)}
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">CO₂ (Flight / Per Passenger)</div>
+              <div class="route-detail-value">
+                {formatMass(routeInfo.emissions.co2Kg)} / {formatMass(routeInfo.emissions.co2PerPassengerKg)}
+              </div>
+            </div>
+
+            <div class="route-detail-item">
+              <div class="route-detail-label">Operating Cost (Flight / Per Seat)</div>
+              <div class="route-detail-value">
+                {formatUsd(routeInfo.emissions.costUsd)} / {formatUsd(routeInfo.emissions.costPerSeatUsd)}
+              </div>
+            </div>
+
+            <div class="route-detail-note">
+              Estimates follow the ICAO carbon calculator approach: great-circle distance plus a
+              routing allowance, typical fuel burn for the aircraft and an {Math.round(PASSENGER_LOAD_FACTOR * 100)}%
+              passenger load factor. Cost includes crew, maintenance and fees plus fuel.
+            </div>
+
+            {!isMultiLeg && (
+              <>
+                <div class="route-detail-item">
+                  <div class="route-detail-label">
+                    {aircraftId === AUTO_AIRCRAFT_ID ? 'Typical Aircraft' : 'Aircraft'}
+                  </div>
+                  <div class="route-detail-value route-aircraft">
+                    {routeInfo.legs[0].aircraft.name}
+                  </div>
+                </div>
+
+                <div class="route-detail-item">
+                  <div class="route-detail-label">Range / Typical Seats</div>
+                  <div class="route-detail-value">
+                    {formatKm(routeInfo.legs[0].aircraft.rangeKm)} km / {routeInfo.legs[0].aircraft.seats}
+                  </div>
+                </div>
+              </>
+            )}
+
+            <div class="route-export">
+              <span class="route-detail-label">Export</span>
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button key={format} onClick={() => onExport(format)} title={`Download the route as ${label}`}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'preact/hooks'
+import { getAircraftById } from './aircraft.js'
+import { getDefaultRouteName } from './savedRoutes.js'
+import { EXPORT_FORMATS } from './routeExport.js'
+
+// Helper function to describe a route's airports, e.g. "LHR → SYD via DXB"
+const describeWaypoints = (waypoints) => {
+  const codes = waypoints.map(airport => airport.iata || airport.icao)
+  if (codes.length <= 2) return codes.join(' → ')
+  return `${codes[0]} → ${codes[codes.length - 1]} via ${codes.slice(1, -1).join(', ')}`
+}
+
+const formatCreatedDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+export function SavedRoutesPanel({ savedRoutes, waypoints, onSave, onUpdate, onMove, onDelete, onOpen, onExport, onClose, children }) {
+  const [name, setName] = useState('')
+  const [notes, setNotes] = useState('')
+  const [editing, setEditing] = useState(null) // { id, name, notes } of the route being edited
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const canSave = waypoints.length >= 2
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setSaving(true)
+    try {
+      await onSave({ name, notes })
+      setName('')
+      setNotes('')
+    } catch (err) {
+      setError(`Could not save the route: ${err.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleEditSave = async (route) => {
+    setError(null)
+    try {
+      await onUpdate({ ...route, name: editing.name.trim() || route.name, notes: editing.notes.trim() })
+      setEditing(null)
+    } catch (err) {
+      setError(`Could not update the route: ${err.message}`)
+    }
+  }
+
+  return (
+    <aside class="airport-detail-panel" role="dialog" aria-labelledby="saved-routes-title">
+      <div class="airport-detail-header">
+        <div>
+          <h3 id="saved-routes-title">My Routes</h3>
+          <div class="airport-detail-subtitle">
+            Stored on this device only
+          </div>
+        </div>
+        <button class="close-button" onClick={onClose} aria-label="Close saved routes">
+          ×
+        </button>
+      </div>
+
+      <div class="airport-detail-content">
+        {canSave ? (
+          <form class="custom-airport-form" onSubmit={handleSave}>
+            <label>
+              Name
+              <input
+                type="text"
+                value={name}
+                onInput={(e) => setName(e.target.value)}
+                placeholder={getDefaultRouteName(waypoints)}
+              />
+            </label>
+            <label>
+              Notes <span class="custom-airport-optional">(optional)</span>
+              <textarea rows={2} value={notes} onInput={(e) => setNotes(e.target.value)} />
+            </label>
+            <button type="submit" class="airport-detail-route-button" disabled={saving}>
+              {saving ? 'Saving…' : 'Save current route'}
+            </button>
+          </form>
+        ) : (
+          <div class="route-detail-note">Plan a route with at least two airports to save it here.</div>
+        )}
+
+        {error && <div class="route-warning" role="alert">⚠️ {error}</div>}
+
+        {children}
+
+        <h4>Saved</h4>
+        {savedRoutes.length === 0 ? (
+          <div class="route-detail-note">No saved routes yet.</div>
+        ) : (
+          <ul class="saved-route-list">
+            {savedRoutes.map((route, index) => (
+              <li key={route.id}>
+                {editing?.id === route.id ? (
+                  <div class="custom-airport-form">
+                    <label>
+                      Name
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onInput={(e) => setEditing({ ...editing, name: e.target.value })}
+                        autoFocus
+                      />
+                    </label>
+                    <label>
+                      Notes
+                      <textarea
+                        rows={2}
+                        value={editing.notes}
+                        onInput={(e) => setEditing({ ...editing, notes: e.target.value })}
+                      />
+                    </label>
+                    <div class="saved-route-actions">
+                      <button class="custom-airport-route-button" onClick={() => handleEditSave(route)}>Save</button>
+                      <button class="saved-route-secondary-button" onClick={() => setEditing(null)}>Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div class="saved-route-title">
+                      <strong>{route.name}</strong>
+                      <div class="saved-route-order">
+                        <button
+                          onClick={() => onMove(index, -1)}
+                          disabled={index === 0}
+                          aria-label={`Move ${route.name} up`}
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => onMove(index, 1)}
+                          disabled={index === savedRoutes.length - 1}
+                          aria-label={`Move ${route.name} down`}
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                      </div>
+                    </div>
+                    <div class="custom-airport-meta">
+                      {describeWaypoints(route.waypoints)} · {getAircraftById(route.aircraftId)?.name || 'Automatic aircraft'}
+                    </div>
+                    <div class="custom-airport-meta">Saved {formatCreatedDate(route.createdAt)}</div>
+                    {route.notes && <div class="saved-route-notes">{route.notes}</div>}
+                    <div class="route-export">
+                      <span class="route-detail-label">Export</span>
+                      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                        <button key={format} onClick={() => onExport(route, format)} title={`Download ${route.name} as ${label}`}>
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div class="saved-route-actions">
+                      <button class="custom-airport-route-button" onClick={() => onOpen(route)}>Open</button>
+                      <button
+                        class="saved-route-secondary-button"
+                        onClick={() => setEditing({ id: route.id, name: route.name, notes: route.notes })}
+                      >
+                        Rename / notes
+                      </button>
+                      <button
+                        class="custom-airport-delete"
+                        onClick={() => onDelete(route)}
+                        aria-label={`Delete ${route.name}`}
+                        title="Delete"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  )
+}
@@ -0,0 +1,263 @@
+import * as turf from '@turf/turf'
+
+// Aircraft performance catalog. Figures are typical published values for each type
+// (cruise speed, maximum range with typical payload, typical two-class seating) and
+// are meant for trip comparisons, not flight planning.
+//
+// Flight time is modelled as taxi + climb + cruise + descent. Climb and descent are
+// given as the time and ground distance to/from cruise altitude; the remaining
+// distance is flown at cruise speed.
+//
+// Fuel burn is a fixed landing/take-off (LTO) cycle amount plus a cruise burn per km
+// (see emissions.js). Operating cost per block hour excludes fuel.
+//
+// Runway needs are the typical take-off field length at typical weights and whether
+// the type can use unpaved (grass, gravel) strips. The engine count tells whether
+// twin-engine (ETOPS) diversion rules apply.
+
+export const AUTO_AIRCRAFT_ID = 'auto'
+
+export const AIRCRAFT_CATEGORIES = [
+  'Piston',
+  'Turboprop',
+  'Business Jet',
+  'Regional Jet',
+  'Narrow Body',
+  'Wide Body'
+]
+
+export const AIRCRAFT_CATALOG = [
+  {
+    id: 'C172', name: 'Cessna 172 Skyhawk', category: 'Piston',
+    cruiseSpeedKmh: 226, rangeKm: 1185, seats: 3, engines: 1, cruiseAltitudeFt: 8000,
+    climb: { minutes: 10, distanceKm: 25 }, descent: { minutes: 10, distanceKm: 30 }, taxiMinutes: 10,
+    fuel: { type: 'avgas', ltoKg: 3, cruiseKgPerKm: 0.12 }, costPerBlockHourUsd: 120,
+    runway: { minLengthM: 500, pavedOnly: false }
+  },
+  {
+    id: 'PC12', name: 'Pilatus PC-12 NGX', category: 'Turboprop',
+    cruiseSpeedKmh: 528, rangeKm: 3417, seats: 9, engines: 1, cruiseAltitudeFt: 28000,
+    climb: { minutes: 25, distanceKm: 150 }, descent: { minutes: 20, distanceKm: 140 }, taxiMinutes: 10,
+    fuel: { ltoKg: 25, cruiseKgPerKm: 0.45 }, costPerBlockHourUsd: 700,
+    runway: { minLengthM: 800, pavedOnly: false }
+  },
+  {
+    id: 'AT76', name: 'ATR 72-600', category: 'Turboprop',
+    cruiseSpeedKmh: 510, rangeKm: 1528, seats: 70, engines: 2, cruiseAltitudeFt: 25000,
+    climb: { minutes: 20, distanceKm: 120 }, descent: { minutes: 18, distanceKm: 120 }, taxiMinutes: 15,
+    fuel: { ltoKg: 150, cruiseKgPerKm: 1.4 }, costPerBlockHourUsd: 2000,
+    runway: { minLengthM: 1400, pavedOnly: true }
+  },
+  {
+    id: 'DH8D', name: 'De Havilland Dash 8-400', category: 'Turboprop',
+    cruiseSpeedKmh: 667, rangeKm: 2040, seats: 78, engines: 2, cruiseAltitudeFt: 25000,
+    climb: { minutes: 18, distanceKm: 130 }, descent: { minutes: 18, distanceKm: 130 }, taxiMinutes: 15,
+    fuel: { ltoKg: 180, cruiseKgPerKm: 1.6 }, costPerBlockHourUsd: 2500,
+    runway: { minLengthM: 1400, pavedOnly: true }
+  },
+  {
+    id: 'C25C', name: 'Cessna Citation CJ4', category: 'Business Jet',
+    cruiseSpeedKmh: 835, rangeKm: 4010, seats: 9, engines: 2, cruiseAltitudeFt: 45000,
+    climb: { minutes: 25, distanceKm: 250 }, descent: { minutes: 22, distanceKm: 200 }, taxiMinutes: 10,
+    fuel: { ltoKg: 80, cruiseKgPerKm: 0.8 }, costPerBlockHourUsd: 1500,
+    runway: { minLengthM: 1100, pavedOnly: true }
+  },
+  {
+    id: 'GLF6', name: 'Gulfstream G650ER', category: 'Business Jet',
+    cruiseSpeedKmh: 904, rangeKm: 13890, seats: 14, engines: 2, cruiseAltitudeFt: 47000,
+    climb: { minutes: 25, distanceKm: 280 }, descent: { minutes: 25, distanceKm: 230 }, taxiMinutes: 10,
+    fuel: { ltoKg: 200, cruiseKgPerKm: 1.9 }, costPerBlockHourUsd: 4500,
+    runway: { minLengthM: 1800, pavedOnly: true }
+  },
+  {
+    id: 'E175', name: 'Embraer E175', category: 'Regional Jet',
+    cruiseSpeedKmh: 829, rangeKm: 3700, seats: 80, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 20, distanceKm: 220 }, descent: { minutes: 20, distanceKm: 200 }, taxiMinutes: 15,
+    fuel: { ltoKg: 350, cruiseKgPerKm: 2.4 }, costPerBlockHourUsd: 3000,
+    runway: { minLengthM: 1800, pavedOnly: true }
+  },
+  {
+    id: 'BCS3', name: 'Airbus A220-300', category: 'Narrow Body',
+    cruiseSpeedKmh: 829, rangeKm: 6300, seats: 130, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 20, distanceKm: 230 }, descent: { minutes: 22, distanceKm: 210 }, taxiMinutes: 20,
+    fuel: { ltoKg: 400, cruiseKgPerKm: 2.6 }, costPerBlockHourUsd: 3500,
+    runway: { minLengthM: 1900, pavedOnly: true }
+  },
+  {
+    id: 'B738', name: 'Boeing 737-800', category: 'Narrow Body',
+    cruiseSpeedKmh: 842, rangeKm: 5436, seats: 175, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 22, distanceKm: 250 }, descent: { minutes: 25, distanceKm: 230 }, taxiMinutes: 20,
+    fuel: { ltoKg: 550, cruiseKgPerKm: 3.1 }, costPerBlockHourUsd: 4000,
+    runway: { minLengthM: 2300, pavedOnly: true }
+  },
+  {
+    id: 'B38M', name: 'Boeing 737 MAX 8', category: 'Narrow Body',
+    cruiseSpeedKmh: 839, rangeKm: 6570, seats: 178, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 22, distanceKm: 250 }, descent: { minutes: 25, distanceKm: 230 }, taxiMinutes: 20,
+    fuel: { ltoKg: 500, cruiseKgPerKm: 2.8 }, costPerBlockHourUsd: 4000,
+    runway: { minLengthM: 2300, pavedOnly: true }
+  },
+  {
+    id: 'A20N', name: 'Airbus A320neo', category: 'Narrow Body',
+    cruiseSpeedKmh: 833, rangeKm: 6300, seats: 165, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 22, distanceKm: 250 }, descent: { minutes: 25, distanceKm: 230 }, taxiMinutes: 20,
+    fuel: { ltoKg: 500, cruiseKgPerKm: 2.8 }, costPerBlockHourUsd: 4000,
+    runway: { minLengthM: 2100, pavedOnly: true }
+  },
+  {
+    id: 'A21N', name: 'Airbus A321neo', category: 'Narrow Body',
+    cruiseSpeedKmh: 833, rangeKm: 7400, seats: 200, engines: 2, cruiseAltitudeFt: 37000,
+    climb: { minutes: 23, distanceKm: 260 }, descent: { minutes: 25, distanceKm: 230 }, taxiMinutes: 20,
+    fuel: { ltoKg: 550, cruiseKgPerKm: 3.2 }, costPerBlockHourUsd: 4500,
+    runway: { minLengthM: 2400, pavedOnly: true }
+  },
+  {
+    id: 'B763', name: 'Boeing 767-300ER', category: 'Wide Body',
+    cruiseSpeedKmh: 851, rangeKm: 11070, seats: 218, engines: 2, cruiseAltitudeFt: 39000,
+    climb: { minutes: 25, distanceKm: 280 }, descent: { minutes: 28, distanceKm: 260 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1000, cruiseKgPerKm: 6.5 }, costPerBlockHourUsd: 8000,
+    runway: { minLengthM: 2600, pavedOnly: true }
+  },
+  {
+    id: 'A333', name: 'Airbus A330-300', category: 'Wide Body',
+    cruiseSpeedKmh: 871, rangeKm: 11750, seats: 300, engines: 2, cruiseAltitudeFt: 39000,
+    climb: { minutes: 25, distanceKm: 290 }, descent: { minutes: 28, distanceKm: 260 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1100, cruiseKgPerKm: 7.0 }, costPerBlockHourUsd: 9000,
+    runway: { minLengthM: 2700, pavedOnly: true }
+  },
+  {
+    id: 'B789', name: 'Boeing 787-9', category: 'Wide Body',
+    cruiseSpeedKmh: 903, rangeKm: 14010, seats: 296, engines: 2, cruiseAltitudeFt: 41000,
+    climb: { minutes: 25, distanceKm: 300 }, descent: { minutes: 28, distanceKm: 270 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1000, cruiseKgPerKm: 6.2 }, costPerBlockHourUsd: 9000,
+    runway: { minLengthM: 2800, pavedOnly: true }
+  },
+  {
+    id: 'A359', name: 'Airbus A350-900', category: 'Wide Body',
+    cruiseSpeedKmh: 903, rangeKm: 15000, seats: 315, engines: 2, cruiseAltitudeFt: 41000,
+    climb: { minutes: 25, distanceKm: 300 }, descent: { minutes: 28, distanceKm: 270 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1000, cruiseKgPerKm: 6.4 }, costPerBlockHourUsd: 9500,
+    runway: { minLengthM: 2700, pavedOnly: true }
+  },
+  {
+    id: 'A359ULR', name: 'Airbus A350-900ULR', category: 'Wide Body',
+    cruiseSpeedKmh: 903, rangeKm: 18000, seats: 161, engines: 2, cruiseAltitudeFt: 41000,
+    climb: { minutes: 27, distanceKm: 320 }, descent: { minutes: 28, distanceKm: 270 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1000, cruiseKgPerKm: 6.6 }, costPerBlockHourUsd: 9500,
+    runway: { minLengthM: 3000, pavedOnly: true }
+  },
+  {
+    id: 'B77W', name: 'Boeing 777-300ER', category: 'Wide Body',
+    cruiseSpeedKmh: 892, rangeKm: 13650, seats: 396, engines: 2, cruiseAltitudeFt: 39000,
+    climb: { minutes: 27, distanceKm: 320 }, descent: { minutes: 30, distanceKm: 280 }, taxiMinutes: 25,
+    fuel: { ltoKg: 1400, cruiseKgPerKm: 8.4 }, costPerBlockHourUsd: 11000,
+    runway: { minLengthM: 3100, pavedOnly: true }
+  },
+  {
+    id: 'A388', name: 'Airbus A380-800', category: 'Wide Body',
+    cruiseSpeedKmh: 903, rangeKm: 14800, seats: 525, engines: 4, cruiseAltitudeFt: 39000,
+    climb: { minutes: 28, distanceKm: 330 }, descent: { minutes: 30, distanceKm: 280 }, taxiMinutes: 30,
+    fuel: { ltoKg: 2000, cruiseKgPerKm: 12.5 }, costPerBlockHourUsd: 15000,
+    runway: { minLengthM: 3000, pavedOnly: true }
+  }
+]
+
+// Typical airline aircraft by leg distance, used when no aircraft is chosen
+const TYPICAL_AIRCRAFT_BY_DISTANCE = [
+  { maxDistance: 500, id: 'E175' },
+  { maxDistance: 1500, id: 'A20N' },
+  { maxDistance: 6000, id: 'B789' },
+  { maxDistance: Infinity, id: 'B77W' }
+]
+
+// Airline types considered when the typical aircraft cannot reach, shortest range first
+const LONG_RANGE_AIRCRAFT_IDS = ['B77W', 'A388', 'A359', 'A359ULR']
+
+// Only the largest airports (by level) are suggested as fuel stops
+const FUEL_STOP_MAX_LEVEL = 2
+
+const AIRCRAFT_BY_ID = new Map(AIRCRAFT_CATALOG.map(aircraft => [aircraft.id, aircraft]))
+
+// Look up a catalog aircraft by id
+export const getAircraftById = (id) => AIRCRAFT_BY_ID.get(id) || null
+
+// Pick the aircraft for a leg: the user's choice, or the typical type for the distance
+export const getAircraftForLeg = (distanceKm, aircraftId = AUTO_AIRCRAFT_ID) => {
+  const selected = getAircraftById(aircraftId)
+  if (selected) return selected
+
+  const typical = getAircraftById(
+    TYPICAL_AIRCRAFT_BY_DISTANCE.find(band => distanceKm < band.maxDistance).id
+  )
+  if (distanceKm <= typical.rangeKm) return typical
+
+  const longRange = LONG_RANGE_AIRCRAFT_IDS.map(getAircraftById)
+  return longRange.find(aircraft => distanceKm <= aircraft.rangeKm) || longRange[longRange.length - 1]
+}
+
+// Calculate block time in hours (taxi, climb, cruise and descent) for a leg.
+// The cruise ground speed defaults to the cruise airspeed (no wind).
+export const calculateBlockHours = (distanceKm, aircraft, cruiseGroundSpeedKmh = aircraft.cruiseSpeedKmh) => {
+  const { climb, descent, taxiMinutes } = aircraft
+  const transitionKm = climb.distanceKm + descent.distanceKm
+  const transitionHours = (climb.minutes + descent.minutes) / 60
+
+  let airborneHours
+  if (distanceKm >= transitionKm) {
+    airborneHours = transitionHours + (distanceKm - transitionKm) / cruiseGroundSpeedKmh
+  } else {
+    // Short hop: the aircraft never reaches cruise altitude
+    airborneHours = transitionHours * (distanceKm / transitionKm)
+  }
+
+  return airborneHours + taxiMinutes / 60
+}
+
+// Check whether an airport's runways suit an aircraft, using the longest open
+// runway lengths from the OurAirports import. Returns { status, requiredM, availableM }
+// where status is 'ok', 'short', 'unpaved' (only unpaved runways for a type that
+// needs a paved one) or 'unknown' (no runway data for the airport).
+export const checkRunway = (airport, aircraft) => {
+  const { minLengthM, pavedOnly } = aircraft.runway
+  if (airport.longestRunwayM == null) {
+    return { status: 'unknown', requiredM: minLengthM, availableM: null }
+  }
+  if (pavedOnly && airport.longestPavedRunwayM == null) {
+    return { status: 'unpaved', requiredM: minLengthM, availableM: airport.longestRunwayM }
+  }
+
+  const availableM = pavedOnly ? airport.longestPavedRunwayM : airport.longestRunwayM
+  return { status: availableM >= minLengthM ? 'ok' : 'short', requiredM: minLengthM, availableM }
+}
+
+// Helper function for great-circle distance between two airports in km
+const distanceBetween = (a, b) =>
+  turf.distance([a.lon, a.lat], [b.lon, b.lat], { units: 'kilometers' })
+
+// Find the fuel-stop airport that splits a leg into two legs within range while
+// adding the least distance. Major airports are preferred and airports whose
+// runways are known to be unsuitable are skipped; returns null if no single stop
+// makes the leg feasible.
+export const findFuelStop = (origin, destination, aircraft, airports) => {
+  const { rangeKm } = aircraft
+  const findBest = (candidates) => {
+    let best = null
+    let bestDistance = Infinity
+    candidates.forEach(airport => {
+      if (airport.icao === origin.icao || airport.icao === destination.icao) return
+      if (['short', 'unpaved'].includes(checkRunway(airport, aircraft).status)) return
+      const firstLeg = distanceBetween(origin, airport)
+      if (firstLeg > rangeKm) return
+      const secondLeg = distanceBetween(airport, destination)
+      if (secondLeg > rangeKm) return
+      if (firstLeg + secondLeg < bestDistance) {
+        best = airport
+        bestDistance = firstLeg + secondLeg
+      }
+    })
+    return best
+  }
+
+  return findBest(airports.filter(airport => airport.level <= FUEL_STOP_MAX_LEVEL)) ||
+    findBest(airports)
+}
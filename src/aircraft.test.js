@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest'
+import { checkRunway } from './aircraft.js'
+
+// Made-up aircraft and airports in the shape of the catalog and airports.json
+const jet = { runway: { minLengthM: 2000, pavedOnly: true } }
+const bushPlane = { runway: { minLengthM: 400, pavedOnly: false } }
+const hub = { longestRunwayM: 3901, longestPavedRunwayM: 3901 }
+const grassStrip = { longestRunwayM: 819, longestPavedRunwayM: null }
+const noData = { longestRunwayM: null, longestPavedRunwayM: null }
+
+describe('checkRunway', () => {
+  it('passes a runway long enough for the aircraft', () => {
+    expect(checkRunway(hub, jet)).toEqual({ status: 'ok', requiredM: 2000, availableM: 3901 })
+    expect(checkRunway(grassStrip, bushPlane)).toEqual({ status: 'ok', requiredM: 400, availableM: 819 })
+  })
+
+  it('flags runways that are too short', () => {
+    expect(checkRunway({ longestRunwayM: 1500, longestPavedRunwayM: 1500 }, jet).status).toBe('short')
+  })
+
+  it('flags airports without a paved runway for aircraft that need one', () => {
+    expect(checkRunway(grassStrip, jet)).toEqual({ status: 'unpaved', requiredM: 2000, availableM: 819 })
+  })
+
+  it('only reports unknown when the airport has no runway data', () => {
+    expect(checkRunway(noData, jet).status).toBe('unknown')
+  })
+})
@@ -0,0 +1,83 @@
+import { getRecord, putRecord } from './db.js'
+
+// The airport dataset, kept offline-first: the copy in IndexedDB is shown straight
+// away, then airports-version.json (a small file holding a hash of airports.json,
+// see scripts/airport-version.js) is checked and the data downloaded only when a
+// newer version has been deployed: just the changes when the stored copy is the
+// version before it (see scripts/airport-delta.js), otherwise the full dataset.
+
+const STORE = 'datasets'
+const DATASET_NAME = 'airports'
+const DATA_URL = '/airports.json'
+const VERSION_URL = '/airports-version.json'
+const DELTA_URL = '/airports-delta.json'
+
+// Helper function to fetch JSON, throwing on HTTP errors
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options)
+  if (!response.ok) throw new Error(`${url} returned HTTP ${response.status}`)
+  return response.json()
+}
+
+// The stored dataset as { version, airports, savedAt }, or null if there is none
+// (or IndexedDB is unavailable)
+export const loadStoredAirports = () => getRecord(STORE, DATASET_NAME)
+  .then(record => record?.airports?.length > 0 ? record : null)
+  .catch(err => {
+    console.error('Failed to read stored airports:', err)
+    return null
+  })
+
+// Rebuild the dataset from the stored airports and a delta: the delta's airports
+// replace or add to the stored ones, in the delta's order
+export const applyAirportsDelta = (storedAirports, delta) => {
+  const byIcao = new Map(storedAirports.map(airport => [airport.icao, airport]))
+  delta.airports.forEach(airport => byIcao.set(airport.icao, airport))
+  return delta.order.map(icao => {
+    if (!byIcao.has(icao)) throw new Error(`The airport delta has no data for ${icao}`)
+    return byIcao.get(icao)
+  })
+}
+
+// Helper function to check a dataset against a version, the hash of its JSON
+const matchesVersion = async (airports, version) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(airports)))
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+  return hash.slice(0, version.length) === version
+}
+
+// Helper function to update stored airports to a version with its delta, rejecting
+// unless the result is exactly that version
+const fetchDeltaUpdate = async (storedAirports, version) => {
+  const delta = await fetchJson(`${DELTA_URL}?v=${encodeURIComponent(version)}`)
+  if (delta.to !== version) throw new Error('The airport delta is for another version')
+  const airports = applyAirportsDelta(storedAirports, delta)
+  if (!await matchesVersion(airports, version)) throw new Error('The airport delta did not rebuild the deployed version')
+  return airports
+}
+
+// Download the deployed dataset if its version differs from the stored one ({
+// version, airports } or null), and store it for next time. Resolves to { version,
+// airports }, or null if the stored version is current; rejects if the data cannot
+// be fetched.
+export const fetchAirportsUpdate = async (stored) => {
+  // Revalidate the small version file every time; the dataset URL changes with its version
+  const { version, deltaFrom } = await fetchJson(VERSION_URL, { cache: 'no-cache' })
+  if (version === stored?.version) return null
+
+  // A delta that fails for any reason falls back to the full dataset
+  let airports = null
+  if (stored && deltaFrom === stored.version) {
+    airports = await fetchDeltaUpdate(stored.airports, version).catch(err => {
+      console.error('Failed to apply the airport delta:', err)
+      return null
+    })
+  }
+  if (!airports) airports = await fetchJson(`${DATA_URL}?v=${encodeURIComponent(version)}`)
+  if (!Array.isArray(airports) || airports.length === 0) throw new Error('The airport data is empty')
+
+  // Failing to store only means downloading again next time
+  await putRecord(STORE, { name: DATASET_NAME, version, airports, savedAt: new Date().toISOString() })
+    .catch(err => console.error('Failed to store airports:', err))
+  return { version, airports }
+}
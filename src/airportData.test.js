@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { applyAirportsDelta, fetchAirportsUpdate } from './airportData.js'
+import { putRecord } from './db.js'
+import { createAirportsDelta } from '../scripts/airport-delta.js'
+import { createVersionStamp } from '../scripts/airport-version.js'
+
+vi.mock('./db.js', () => ({
+  getRecord: vi.fn(),
+  putRecord: vi.fn(async () => {})
+}))
+
+const heathrow = { icao: 'EGLL', iata: 'LHR', name: 'London Heathrow Airport', level: 1 }
+const gatwick = { icao: 'EGKK', iata: 'LGW', name: 'London Gatwick Airport', level: 1 }
+const luton = { icao: 'EGGW', iata: 'LTN', name: 'London Luton Airport', level: 2 }
+
+const versionOf = (airports) => createVersionStamp(JSON.stringify(airports), airports.length).version
+
+// Three builds of the dataset, the last with a delta from the second
+const oldest = [heathrow]
+const previous = [heathrow, gatwick]
+const current = [heathrow, luton, { ...gatwick, level: 2 }]
+const delta = createAirportsDelta(previous, current, { from: versionOf(previous), to: versionOf(current) })
+const versionFile = createVersionStamp(JSON.stringify(current), current.length, versionOf(previous))
+
+// Serve the version file, the dataset and the delta, recording the paths fetched
+let served
+let fetched
+const serve = async (url) => {
+  const path = url.split('?')[0]
+  fetched.push(path)
+  return path in served
+    ? { ok: true, status: 200, json: async () => served[path] }
+    : { ok: false, status: 404, json: async () => ({}) }
+}
+
+describe('applyAirportsDelta', () => {
+  it('rebuilds the new dataset from the previous one', () => {
+    expect(applyAirportsDelta(previous, delta)).toEqual(current)
+  })
+
+  it('rejects a delta that refers to airports it does not have', () => {
+    expect(() => applyAirportsDelta(oldest, { ...delta, airports: [] })).toThrow('The airport delta has no data for EGGW')
+  })
+})
+
+describe('fetchAirportsUpdate', () => {
+  beforeEach(() => {
+    served = {
+      '/airports-version.json': versionFile,
+      '/airports.json': current,
+      '/airports-delta.json': delta
+    }
+    fetched = []
+    vi.stubGlobal('fetch', vi.fn(serve))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+    putRecord.mockClear()
+  })
+
+  it('does nothing when the stored version is current', async () => {
+    expect(await fetchAirportsUpdate({ version: versionOf(current), airports: current })).toBeNull()
+    expect(fetched).toEqual(['/airports-version.json'])
+  })
+
+  it('applies the delta to the version before the deployed one', async () => {
+    const update = await fetchAirportsUpdate({ version: versionOf(previous), airports: previous })
+
+    expect(update).toEqual({ version: versionOf(current), airports: current })
+    expect(fetched).toEqual(['/airports-version.json', '/airports-delta.json'])
+    expect(putRecord).toHaveBeenCalledWith('datasets', expect.objectContaining({ name: 'airports', version: versionOf(current), airports: current }))
+  })
+
+  it('downloads the full dataset for older versions', async () => {
+    const update = await fetchAirportsUpdate({ version: versionOf(oldest), airports: oldest })
+
+    expect(update.airports).toEqual(current)
+    expect(fetched).toEqual(['/airports-version.json', '/airports.json'])
+  })
+
+  it('downloads the full dataset when nothing is stored', async () => {
+    expect((await fetchAirportsUpdate(null)).airports).toEqual(current)
+    expect(fetched).toEqual(['/airports-version.json', '/airports.json'])
+  })
+
+  it('falls back to the full dataset when the delta does not rebuild the deployed version', async () => {
+    served['/airports-delta.json'] = { ...delta, airports: [luton, gatwick] }
+    const update = await fetchAirportsUpdate({ version: versionOf(previous), airports: previous })
+
+    expect(update.airports).toEqual(current)
+    expect(fetched).toEqual(['/airports-version.json', '/airports-delta.json', '/airports.json'])
+  })
+
+  it('falls back to the full dataset when the delta is unavailable', async () => {
+    delete served['/airports-delta.json']
+    const update = await fetchAirportsUpdate({ version: versionOf(previous), airports: previous })
+
+    expect(update.airports).toEqual(current)
+  })
+
+  it('rejects when the data cannot be fetched', async () => {
+    served = {}
+    await expect(fetchAirportsUpdate(null)).rejects.toThrow('/airports-version.json returned HTTP 404')
+  })
+})
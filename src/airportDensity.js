@@ -0,0 +1,36 @@
+// Shared airport density rules so the 2D map and the 3D globe show the same
+// level-filtered set of airports for a given amount of screen space.
+
+export const AIRPORTS_PER_SQUARE_INCH = 20 // Target density for airport markers
+
+// Calculate how many airports to show for a viewport of the given pixel size
+export const getMaxAirportsForViewport = (pixelWidth, pixelHeight) => {
+  // Calculate screen area in square inches (approximate)
+  const dpi = window.devicePixelRatio * 96 // Approximate DPI
+  const screenWidthInches = pixelWidth / dpi
+  const screenHeightInches = pixelHeight / dpi
+  const screenAreaSqInches = screenWidthInches * screenHeightInches
+
+  // Calculate max airports based on target density
+  return Math.ceil(screenAreaSqInches * AIRPORTS_PER_SQUARE_INCH)
+}
+
+// Pick the airports to show from those in view, adding whole levels
+// (most important first) until the target count is reached
+export const selectAirportsByLevel = (visibleAirports, maxAirports, maxLevel) => {
+  let airportsToShow = []
+  let currentLevel = 1
+
+  while (airportsToShow.length < maxAirports && currentLevel <= maxLevel) {
+    const levelAirports = visibleAirports.filter(a => a.level === currentLevel)
+    airportsToShow = airportsToShow.concat(levelAirports)
+    currentLevel++
+  }
+
+  // If we still have too many, prioritize by level and limit
+  if (airportsToShow.length > maxAirports) {
+    airportsToShow = airportsToShow.slice(0, maxAirports)
+  }
+
+  return airportsToShow
+}
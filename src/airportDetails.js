@@ -0,0 +1,38 @@
+// Runway, frequency and link details for airports, produced by
+// scripts/build-airports.js. Details are split into shards by the first
+// character of the ICAO code, each fetched the first time an airport detail
+// panel needs it.
+
+const DETAILS_BASE_URL = '/airport-details/'
+
+export const AIRPORT_TYPE_LABELS = {
+  large_airport: 'Large airport',
+  medium_airport: 'Medium airport',
+  small_airport: 'Small airport',
+  heliport: 'Heliport',
+  seaplane_base: 'Seaplane base',
+  balloonport: 'Balloon port',
+  closed: 'Closed'
+}
+
+const shardPromises = new Map()
+
+// Load the details for an airport by ICAO code. Resolves to null when the airport
+// has no details and rejects when its shard can't be fetched; the failed shard is
+// forgotten so a later call retries.
+export const loadAirportDetails = async (icao) => {
+  const shard = icao[0]
+  if (!shardPromises.has(shard)) {
+    shardPromises.set(shard, fetch(`${DETAILS_BASE_URL}${encodeURIComponent(shard)}.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Airport details unavailable (HTTP ${res.status})`)
+        return res.json()
+      })
+      .catch(err => {
+        shardPromises.delete(shard)
+        throw err
+      }))
+  }
+  const details = await shardPromises.get(shard)
+  return details[icao] || null
+}
@@ -0,0 +1,32 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { loadAirportDetails } from './airportDetails.js'
+
+const response = (status, body = {}) => ({ ok: status === 200, status, json: async () => body })
+
+// Shards are cached for the session, so each test uses its own shard letter
+describe('loadAirportDetails', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('fetches the shard once and looks the airport up in it', async () => {
+    const fetch = vi.fn(async () => response(200, { EGLL: { runways: [], frequencies: [] } }))
+    vi.stubGlobal('fetch', fetch)
+
+    expect(await loadAirportDetails('EGLL')).toEqual({ runways: [], frequencies: [] })
+    expect(await loadAirportDetails('EGKK')).toBeNull()
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(fetch).toHaveBeenCalledWith('/airport-details/E.json')
+  })
+
+  it('rejects when the shard is unavailable, then retries on the next call', async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(response(404))
+      .mockResolvedValueOnce(response(200, { KJFK: { runways: [], frequencies: [] } }))
+    vi.stubGlobal('fetch', fetch)
+
+    await expect(loadAirportDetails('KJFK')).rejects.toThrow('Airport details unavailable (HTTP 404)')
+    expect(await loadAirportDetails('KJFK')).toEqual({ runways: [], frequencies: [] })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,173 @@
+// Static KD-tree over airport coordinates for fast bounding-box queries.
+//
+// The tree is stored in flat arrays: `ids` holds airport indices reordered so
+// that each node's median splits its range alternately by longitude and latitude,
+// and `coords` holds the matching [lon, lat] pairs. Ranges of NODE_SIZE or fewer
+// points are left unsorted and scanned linearly.
+
+const NODE_SIZE = 32
+const TILE_SIZE = 256 // Leaflet tile size in pixels, for clustering in screen space
+const MAX_MERCATOR_LAT = 85.0511
+
+// Helper function to sort a range of the tree by one axis (0 = lon, 1 = lat)
+const sortRange = (ids, coords, left, right, axis) => {
+  const order = []
+  for (let i = left; i <= right; i++) order.push(i)
+  order.sort((a, b) => coords[2 * a + axis] - coords[2 * b + axis])
+
+  const sortedIds = order.map(i => ids[i])
+  const sortedCoords = order.map(i => [coords[2 * i], coords[2 * i + 1]])
+  sortedIds.forEach((id, offset) => {
+    ids[left + offset] = id
+    coords[2 * (left + offset)] = sortedCoords[offset][0]
+    coords[2 * (left + offset) + 1] = sortedCoords[offset][1]
+  })
+}
+
+// Helper function to build the tree recursively around range medians
+const buildTree = (ids, coords, left, right, axis) => {
+  if (right - left <= NODE_SIZE) return
+  const middle = (left + right) >> 1
+  sortRange(ids, coords, left, right, axis)
+  buildTree(ids, coords, left, middle - 1, 1 - axis)
+  buildTree(ids, coords, middle + 1, right, 1 - axis)
+}
+
+// Build an index from a list of { lat, lon, level } points
+export const createAirportIndex = (points) => {
+  const ids = new Uint32Array(points.length)
+  const coords = new Float64Array(points.length * 2)
+  const levels = new Uint16Array(points.length)
+  points.forEach((point, i) => {
+    ids[i] = i
+    coords[2 * i] = point.lon
+    coords[2 * i + 1] = point.lat
+    levels[i] = point.level || 0
+  })
+  // Keep the coordinates in point order too, for lookups by index
+  const pointCoords = coords.slice()
+  buildTree(ids, coords, 0, points.length - 1, 0)
+  return { ids, coords, pointCoords, levels }
+}
+
+// Helper function to find the indices of all points inside a box within -180..180
+const queryBox = (index, { west, south, east, north }) => {
+  const { ids, coords } = index
+  const result = []
+  const stack = [0, ids.length - 1, 0]
+
+  while (stack.length) {
+    const axis = stack.pop()
+    const right = stack.pop()
+    const left = stack.pop()
+
+    if (right - left <= NODE_SIZE) {
+      for (let i = left; i <= right; i++) {
+        const lon = coords[2 * i]
+        const lat = coords[2 * i + 1]
+        if (lon >= west && lon <= east && lat >= south && lat <= north) result.push(ids[i])
+      }
+      continue
+    }
+
+    const middle = (left + right) >> 1
+    const lon = coords[2 * middle]
+    const lat = coords[2 * middle + 1]
+    if (lon >= west && lon <= east && lat >= south && lat <= north) result.push(ids[middle])
+
+    const value = axis === 0 ? lon : lat
+    if (axis === 0 ? west <= value : south <= value) stack.push(left, middle - 1, 1 - axis)
+    if (axis === 0 ? east >= value : north >= value) stack.push(middle + 1, right, 1 - axis)
+  }
+
+  return result
+}
+
+// Helper function to split bounds that may run past ±180°, as those of a map panned
+// across the antimeridian, into boxes within -180..180
+const splitBounds = ({ west, south, east, north }) => {
+  if (east - west >= 360) return [{ west: -180, south, east: 180, north }]
+  const shift = Math.floor((west + 180) / 360) * 360
+  const shiftedWest = west - shift
+  const shiftedEast = east - shift
+  if (shiftedEast <= 180) return [{ west: shiftedWest, south, east: shiftedEast, north }]
+  return [
+    { west: shiftedWest, south, east: 180, north },
+    { west: -180, south, east: shiftedEast - 360, north }
+  ]
+}
+
+// Shift a longitude by whole turns into the world copy shown in bounds that may run
+// past ±180°: the copy nearest the middle of the bounds
+export const shiftLonIntoView = (lon, { west, east }) => lon + Math.round(((west + east) / 2 - lon) / 360) * 360
+
+// Find the indices of all points inside a bounding box, which may run past ±180°;
+// see shiftLonIntoView for where to draw them
+export const queryBounds = (index, bounds) => {
+  const boxes = splitBounds(bounds)
+  if (boxes.length === 1) return queryBox(index, boxes[0])
+  // A point on the antimeridian falls in both boxes
+  return [...new Set(boxes.flatMap(box => queryBox(index, box)))]
+}
+
+// Pick the airports to show inside a bounding box, most important levels first,
+// matching selectAirportsByLevel in airportDensity.js. Returns point indices.
+export const queryAirportsToShow = (index, bounds, maxAirports, maxLevel) => {
+  const { levels } = index
+  return queryBounds(index, bounds)
+    .filter(id => levels[id] >= 1 && levels[id] <= maxLevel)
+    .sort((a, b) => levels[a] - levels[b] || a - b)
+    .slice(0, maxAirports)
+}
+
+// Helper function to project a point to Web Mercator pixels at a zoom level
+const projectToPixels = (lon, lat, zoom) => {
+  const worldSize = TILE_SIZE * 2 ** zoom
+  const sinLat = Math.sin(Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat)) * Math.PI / 180)
+  return [
+    (lon + 180) / 360 * worldSize,
+    (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize
+  ]
+}
+
+// Group the airports inside a bounding box into square grid cells of cellSize
+// pixels at the given zoom. The grid is anchored to the world rather than the
+// viewport so clusters stay put while panning. Cells holding one airport come
+// back as single airports; the others as clusters represented by their most
+// important (lowest level number) airport, with the bounds of their members in
+// the world copy in view.
+export const queryClusters = (index, bounds, zoom, cellSize) => {
+  const { pointCoords, levels } = index
+  const cells = new Map()
+  queryBounds(index, bounds).forEach(id => {
+    const lon = shiftLonIntoView(pointCoords[2 * id], bounds)
+    const lat = pointCoords[2 * id + 1]
+    const [x, y] = projectToPixels(lon, lat, zoom)
+    const key = `${Math.floor(x / cellSize)}/${Math.floor(y / cellSize)}`
+
+    const cell = cells.get(key)
+    if (!cell) {
+      cells.set(key, { key, ids: [id], representative: id, west: lon, south: lat, east: lon, north: lat })
+      return
+    }
+    cell.ids.push(id)
+    // Level 0 means unknown, so it ranks last
+    const rank = (point) => levels[point] || Infinity
+    if (rank(id) < rank(cell.representative)) cell.representative = id
+    cell.west = Math.min(cell.west, lon)
+    cell.east = Math.max(cell.east, lon)
+    cell.south = Math.min(cell.south, lat)
+    cell.north = Math.max(cell.north, lat)
+  })
+
+  const singles = []
+  const clusters = []
+  cells.forEach(({ key, ids, representative, west, south, east, north }) => {
+    if (ids.length === 1) {
+      singles.push(ids[0])
+    } else {
+      clusters.push({ key, count: ids.length, representative, bounds: { west, south, east, north } })
+    }
+  })
+  return { singles, clusters }
+}
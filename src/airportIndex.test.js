@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { createAirportIndex, queryBounds, queryAirportsToShow, queryClusters, shiftLonIntoView } from './airportIndex.js'
+
+// Made-up airports on both sides of the antimeridian, plus one far away
+const points = [
+  { lon: 170, lat: -40, level: 2 },
+  { lon: 179.5, lat: -17, level: 1 },
+  { lon: -179.5, lat: -17.2, level: 3 },
+  { lon: -150, lat: 20, level: 1 },
+  { lon: 0, lat: 50, level: 1 }
+]
+const index = createAirportIndex(points)
+const sorted = (ids) => [...ids].sort((a, b) => a - b)
+
+describe('queryBounds', () => {
+  it('finds points in bounds within -180..180', () => {
+    expect(sorted(queryBounds(index, { west: -10, south: 40, east: 10, north: 60 }))).toEqual([4])
+  })
+
+  it('finds points on both sides of the antimeridian in bounds panned past 180', () => {
+    expect(sorted(queryBounds(index, { west: 120, south: -60, east: 240, north: 60 }))).toEqual([0, 1, 2, 3])
+  })
+
+  it('finds points on both sides of the antimeridian in bounds panned past -180', () => {
+    expect(sorted(queryBounds(index, { west: -185, south: -60, east: -140, north: 60 }))).toEqual([1, 2, 3])
+  })
+
+  it('finds points in a world copy away from the antimeridian', () => {
+    expect(sorted(queryBounds(index, { west: 350, south: 40, east: 370, north: 60 }))).toEqual([4])
+  })
+
+  it('finds every point once when the bounds span more than the world', () => {
+    expect(sorted(queryBounds(index, { west: -300, south: -90, east: 300, north: 90 }))).toEqual([0, 1, 2, 3, 4])
+  })
+})
+
+describe('shiftLonIntoView', () => {
+  it('moves a longitude into the world copy in view', () => {
+    const bounds = { west: 120, east: 240 }
+    expect(shiftLonIntoView(-179.5, bounds)).toBe(180.5)
+    expect(shiftLonIntoView(170, bounds)).toBe(170)
+    expect(shiftLonIntoView(-150, { west: 160, east: 260 })).toBe(210)
+    expect(shiftLonIntoView(170, { west: -200, east: -140 })).toBe(-190)
+  })
+})
+
+describe('queryAirportsToShow', () => {
+  it('picks the most important airports across the antimeridian', () => {
+    expect(queryAirportsToShow(index, { west: 120, south: -60, east: 240, north: 60 }, 3, 3)).toEqual([1, 3, 0])
+  })
+})
+
+describe('queryClusters', () => {
+  it('clusters airports across the antimeridian with bounds in the world copy in view', () => {
+    const { singles, clusters } = queryClusters(index, { west: 120, south: -60, east: 240, north: 60 }, 2, 40)
+    expect(sorted(singles)).toEqual([0, 3])
+    expect(clusters).toHaveLength(1)
+    expect(clusters[0].count).toBe(2)
+    expect(clusters[0].representative).toBe(1)
+    expect(clusters[0].bounds).toEqual({ west: 179.5, south: -17.2, east: 180.5, north: -17 })
+  })
+})
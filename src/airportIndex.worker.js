@@ -0,0 +1,20 @@
+import { createAirportIndex, queryAirportsToShow, queryClusters } from './airportIndex.js'
+
+// Web Worker that keeps the airport KD-tree off the main thread.
+// Messages: { type: 'load', points } builds the index; { type: 'query', id, bounds,
+// maxAirports, maxLevel } replies with { id, indices } of the airports to show;
+// { type: 'cluster', id, bounds, zoom, cellSize } replies with { id, singles, clusters }.
+
+let index = null
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    index = createAirportIndex(data.points)
+  } else if (data.type === 'query') {
+    const indices = index ? queryAirportsToShow(index, data.bounds, data.maxAirports, data.maxLevel) : []
+    self.postMessage({ id: data.id, indices })
+  } else if (data.type === 'cluster') {
+    const result = index ? queryClusters(index, data.bounds, data.zoom, data.cellSize) : { singles: [], clusters: [] }
+    self.postMessage({ id: data.id, ...result })
+  }
+}
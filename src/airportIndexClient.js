@@ -0,0 +1,76 @@
+import { createAirportIndex, queryAirportsToShow, queryClusters } from './airportIndex.js'
+
+// Main-thread client for the airport index worker. Falls back to querying on
+// the main thread if workers are unavailable or the worker fails to load.
+
+export const createAirportIndexClient = (airports) => {
+  const points = airports.map(({ lat, lon, level }) => ({ lat, lon, level }))
+  const pending = new Map()
+  let nextQueryId = 0
+  let localIndex = null
+  let worker = null
+
+  // Run a query on the main thread, with the same result shape as the worker
+  const queryLocally = ({ type, ...params }) => {
+    if (!localIndex) localIndex = createAirportIndex(points)
+    if (type === 'cluster') {
+      return queryClusters(localIndex, params.bounds, params.zoom, params.cellSize)
+    }
+    return { indices: queryAirportsToShow(localIndex, params.bounds, params.maxAirports, params.maxLevel) }
+  }
+
+  // Answer outstanding queries on the main thread after a worker failure
+  const fallBackToMainThread = (error) => {
+    console.warn('Airport index worker unavailable, querying on the main thread:', error)
+    worker?.terminate()
+    worker = null
+    pending.forEach(({ request, resolve }) => resolve(queryLocally(request)))
+    pending.clear()
+  }
+
+  try {
+    worker = new Worker(new URL('./airportIndex.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const query = pending.get(data.id)
+      if (!query) return
+      pending.delete(data.id)
+      query.resolve(data)
+    }
+    worker.onerror = fallBackToMainThread
+    worker.postMessage({ type: 'load', points })
+  } catch (error) {
+    fallBackToMainThread(error)
+  }
+
+  // Helper function to send a query to the worker, or answer it locally
+  const send = (request) => {
+    if (!worker) return Promise.resolve(queryLocally(request))
+
+    return new Promise(resolve => {
+      const id = nextQueryId++
+      pending.set(id, { request, resolve })
+      worker.postMessage({ id, ...request })
+    })
+  }
+
+  return {
+    // Resolve to the airports to show in the bounds ({ west, south, east, north })
+    query: (bounds, maxAirports, maxLevel) =>
+      send({ type: 'query', bounds, maxAirports, maxLevel })
+        .then(({ indices }) => indices.map(i => airports[i])),
+
+    // Resolve to the single airports and clusters ({ key, count, representative,
+    // bounds }, with the representative airport resolved) in the bounds at a zoom level
+    cluster: (bounds, zoom, cellSize) =>
+      send({ type: 'cluster', bounds, zoom, cellSize })
+        .then(({ singles, clusters }) => ({
+          singles: singles.map(i => airports[i]),
+          clusters: clusters.map(cluster => ({ ...cluster, representative: airports[cluster.representative] }))
+        })),
+
+    terminate: () => {
+      worker?.terminate()
+      pending.clear()
+    }
+  }
+}
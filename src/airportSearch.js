@@ -0,0 +1,171 @@
+// Ranked airport search.
+//
+// Every query word must match the airport somewhere. Each word scores by how well
+// it matches (exact code > exact city > prefix > substring > country > typo) and
+// the scores are summed, plus a bonus for important (low level) airports. Text is
+// compared without case or diacritics, so "zurich" finds "Zürich". Ties are broken
+// by distance from the map center.
+
+const MAX_RESULTS = 10
+
+const SCORES = {
+  exactCode: 1000,
+  exactCity: 500,
+  exactName: 450,
+  cityPrefix: 400,
+  namePrefix: 350,
+  codePrefix: 300,
+  wordPrefix: 250,
+  exactCountry: 200,
+  substring: 150,
+  countryPrefix: 120,
+  typo: 100
+}
+const TYPO_PENALTY = 30 // Subtracted from the typo score per edit
+const MIN_TYPO_QUERY_LENGTH = 4
+const MAX_LEVEL_BONUS = 100 // Level 1 airports get the full bonus, level n gets 1/n of it
+
+// Letters that do not decompose into a base letter plus combining marks
+const SPECIAL_LETTERS = {
+  ø: 'o', æ: 'ae', œ: 'oe', ß: 'ss', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i'
+}
+
+const indexCache = new WeakMap()
+
+// Lowercase text and strip diacritics, e.g. "Zürich" -> "zurich"
+export const foldText = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[øæœßłđðþı]/g, letter => SPECIAL_LETTERS[letter])
+
+// Helper function to split folded text into words
+const splitWords = (text) => text.split(/[^a-z0-9]+/).filter(Boolean)
+
+// Helper function to build (and cache per airport list) the folded search fields
+const getSearchIndex = (airports) => {
+  if (!indexCache.has(airports)) {
+    indexCache.set(airports, airports.map(airport => {
+      const name = foldText(airport.name)
+      const city = foldText(airport.city)
+      const country = foldText(airport.country)
+      return {
+        airport,
+        iata: foldText(airport.iata),
+        icao: foldText(airport.icao),
+        name,
+        city,
+        country,
+        words: [...new Set([...splitWords(name), ...splitWords(city)])],
+        countryWords: splitWords(country)
+      }
+    }))
+  }
+  return indexCache.get(airports)
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// giving up early once the distance exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1
+
+  let previousPrevious = null
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMinimum = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1)
+      }
+      rowMinimum = Math.min(rowMinimum, current[j])
+    }
+    if (rowMinimum > maxDistance) return maxDistance + 1
+    previousPrevious = previous
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Helper function to score the closest typo match of a term against some words.
+// The term is also compared with word prefixes so partly typed words still match.
+const scoreTypo = (term, words) => {
+  if (term.length < MIN_TYPO_QUERY_LENGTH) return 0
+  const maxDistance = term.length >= 8 ? 2 : 1
+
+  let best = maxDistance + 1
+  words.forEach(word => {
+    best = Math.min(
+      best,
+      editDistance(term, word, maxDistance),
+      editDistance(term, word.slice(0, term.length), maxDistance)
+    )
+  })
+  return best <= maxDistance ? SCORES.typo - best * TYPO_PENALTY : 0
+}
+
+// Helper function to score a single query term against an airport entry
+const scoreTerm = (term, entry) => {
+  if (term === entry.iata || term === entry.icao) return SCORES.exactCode
+  if (term === entry.city) return SCORES.exactCity
+  if (term === entry.name) return SCORES.exactName
+  if (entry.city.startsWith(term)) return SCORES.cityPrefix
+  if (entry.name.startsWith(term)) return SCORES.namePrefix
+  if (term.length >= 2 && (entry.iata.startsWith(term) || entry.icao.startsWith(term))) return SCORES.codePrefix
+  if (entry.words.some(word => word.startsWith(term))) return SCORES.wordPrefix
+  if (term === entry.country) return SCORES.exactCountry
+  if (entry.name.includes(term) || entry.city.includes(term)) return SCORES.substring
+  if (entry.countryWords.some(word => word.startsWith(term))) return SCORES.countryPrefix
+  return scoreTypo(term, [...entry.words, ...entry.countryWords])
+}
+
+// Helper function to score an airport against the whole query (0 if any term misses)
+const scoreEntry = (query, terms, entry) => {
+  // Whole multi-word names like "new york" or "united kingdom" match as a phrase
+  if (terms.length > 1) {
+    const phraseScore = scoreTerm(query, entry)
+    if (phraseScore >= SCORES.countryPrefix) return phraseScore * terms.length
+  }
+
+  let total = 0
+  for (const term of terms) {
+    const score = scoreTerm(term, entry)
+    if (score === 0) return 0
+    total += score
+  }
+  return total
+}
+
+// Search airports for a free-text query, returning up to MAX_RESULTS ranked
+// matches. `center` ({ lat, lng }) breaks ties by distance and, without a
+// query, simply lists the nearest airports.
+export const searchAirports = (airports, rawQuery, center) => {
+  const query = foldText(rawQuery).trim().replace(/\s+/g, ' ')
+  const distanceFrom = (airport) => center
+    ? (airport.lat - center.lat) ** 2 + (Math.cos(center.lat * Math.PI / 180) * (((airport.lon - center.lng + 540) % 360) - 180)) ** 2
+    : 0
+
+  if (!query) {
+    return airports
+      .map(airport => ({ airport, distance: distanceFrom(airport) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_RESULTS)
+      .map(result => result.airport)
+  }
+
+  const terms = query.split(' ')
+  const results = []
+  getSearchIndex(airports).forEach(entry => {
+    const score = scoreEntry(query, terms, entry)
+    if (score === 0) return
+    const levelBonus = MAX_LEVEL_BONUS / Math.max(entry.airport.level || 1, 1)
+    results.push({ airport: entry.airport, score: score + levelBonus, distance: distanceFrom(entry.airport) })
+  })
+
+  return results
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+    .slice(0, MAX_RESULTS)
+    .map(result => result.airport)
+}
@@ -1,18 +1,50 @@
 import { useEffect, useRef, useState, useMemo } from 'preact/hooks'
 import L from 'leaflet'
-import * as turf from '@turf/turf'
 import 'leaflet/dist/leaflet.css'
 import './app.css'
 import { Globe } from './Globe.jsx'
+import { getMaxAirportsForViewport } from './airportDensity.js'
+import { createAirportIndexClient } from './airportIndexClient.js'
+import { shiftLonIntoView } from './airportIndex.js'
+import { createRangePlannerClient } from './rangePlannerClient.js'
+import { AUTO_AIRCRAFT_ID, getAircraftById, findFuelStop, checkRunway } from './aircraft.js'
+import { createRouteLegs, splitHours } from './routePlanning.js'
+import { createFlightTrack } from './flightPlayback.js'
+import { downloadRouteExport } from './routeExport.js'
+import { loadOfflineRegions, saveOfflineRegion, deleteOfflineRegion } from './offlineTiles.js'
+import { analyzeEtops, getNonCompliantSegments, getLegDiversionAirports } from './etops.js'
+import { parseRouteString, parseRouteFile, getImportedWaypoints } from './routeImport.js'
+import { searchAirports } from './airportSearch.js'
+import { loadStoredAirports, fetchAirportsUpdate } from './airportData.js'
+import { getAirportTimeZone, zonedTimeToDate, dateToZonedTime, describeLocalTimes } from './timezones.js'
+import { getWaypointRole, getWaypointLabel, getAirportPlace } from './waypoints.js'
+import { CUSTOM_AIRPORT_KINDS, loadCustomAirports, saveCustomAirport, deleteCustomAirport } from './customAirports.js'
+import { RouteInfo } from './RouteInfo.jsx'
+import { AirportDetailPanel } from './AirportDetailPanel.jsx'
+import { CustomAirportsPanel } from './CustomAirportsPanel.jsx'
+import { SavedRoutesPanel } from './SavedRoutesPanel.jsx'
+import { RouteImport } from './RouteImport.jsx'
+import { OfflineMapsPanel } from './OfflineMapsPanel.jsx'
+import { LayerSwitcher } from './LayerSwitcher.jsx'
+import { FlightPlayback } from './FlightPlayback.jsx'
+import { DEFAULT_BASE_MAP_ID, MAP_OVERLAYS, getBaseMap } from './baseMaps.js'
+import { createBaseLayer, createGraticuleLayer, createFirLayer } from './mapLayers.js'
+import { getDefaultRouteName, loadSavedRoutes, saveNewRoute, updateSavedRoute, updateRoutePositions, deleteSavedRoute, resolveSavedRouteWaypoints } from './savedRoutes.js'
+import { parsePermalink, buildPermalink, resolveWaypointCodes } from './permalink.js'
 
 // Constants
 const KM_TO_MILES_CONVERSION = 0.621371
-const TAXI_TAKEOFF_LANDING_HOURS = 0.5
 const ROUTE_LINE_DASH_PATTERN = '10, 10'
-const AIRPORTS_PER_SQUARE_INCH = 20 // Target density for airport markers
 const MIN_ZOOM_FOR_MARKERS = 5
+const MAP_MAX_ZOOM = 18
+const CLUSTER_CELL_SIZE = 60 // Grid cell size in pixels for grouping airports into clusters
+const CLUSTER_MIN_SIZE = 28 // Cluster bubble diameter in pixels, growing with the log of the count
+const CLUSTER_SIZE_PER_DECADE = 10
+const CLUSTER_PADDING = 40 // Padding in pixels when zooming into a cluster
 const ZOOM_INCREMENT = 2
 const MIN_CLICK_ZOOM = 10
+const CONNECTION_MINUTES = 60 // Assumed time on the ground at each stopover
+const MS_PER_HOUR = 60 * 60 * 1000
 const PRIVACY_POLICY_LAST_UPDATED = 'December 2025'
 
 // Airport level configuration - all airports now have same size and color
@@ -22,6 +54,10 @@ const AIRPORT_LEVEL_CONFIG = {
   default: { size: 10, color: '#FF4444' }
 }
 
+// Custom airports are purple diamonds, custom waypoints purple triangles
+const CUSTOM_AIRPORT_COLOR = '#7c3aed'
+const CUSTOM_AIRPORT_SIZE = 12
+
 // Helper function to create marker styles
 const createMarkerStyles = (iconSize, iconColor) => {
   return `width: ${iconSize}px;
@@ -33,10 +69,16 @@ const createMarkerStyles = (iconSize, iconColor) => {
     cursor: pointer;`
 }
 
-// Helper function to create route endpoint marker styles
+// Route marker colors by waypoint role
+const ROUTE_MARKER_COLORS = {
+  origin: '#10b981', // green
+  stopover: '#f59e0b', // amber
+  destination: '#ef4444' // red
+}
+
+// Helper function to create route waypoint marker styles
 const createRouteMarkerIcon = (type) => {
-  const isOrigin = type === 'origin'
-  const color = isOrigin ? '#10b981' : '#ef4444' // green for origin, red for destination
+  const color = ROUTE_MARKER_COLORS[type] || ROUTE_MARKER_COLORS.stopover
   const size = 16
   
   return L.divIcon({
@@ -54,36 +96,104 @@ const createRouteMarkerIcon = (type) => {
   })
 }
 
-// Aircraft configuration based on distance
-const AIRCRAFT_CONFIG = [
-  { maxDistance: 500, name: 'Regional Jet (e.g., Embraer E175)', speedKmh: 700 },
-  { maxDistance: 1500, name: 'Narrow Body (e.g., Boeing 737, Airbus A320)', speedKmh: 800 },
-  { maxDistance: 6000, name: 'Wide Body (e.g., Boeing 787, Airbus A350)', speedKmh: 900 },
-  { maxDistance: Infinity, name: 'Large Wide Body (e.g., Boeing 777, Airbus A380)', speedKmh: 920 }
-]
+// Plane for flight playback, pointing north until rotated to the heading
+const PLAYBACK_PLANE_SIZE = 32
+const playbackPlaneIcon = L.divIcon({
+  className: 'playback-plane-marker',
+  html: `<div class="playback-plane">
+    <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+      <path d="M21 16v-2l-8-5V3.5c0-.83-.67-1.5-1.5-1.5S10 2.67 10 3.5V9l-8 5v2l8-2.5V19l-2 1.5V22l3.5-1 3.5 1v-1.5L13 19v-5.5l8 2.5z"/>
+    </svg>
+  </div>`,
+  iconSize: [PLAYBACK_PLANE_SIZE, PLAYBACK_PLANE_SIZE],
+  iconAnchor: [PLAYBACK_PLANE_SIZE / 2, PLAYBACK_PLANE_SIZE / 2]
+})
+
+// Helper function to turn Leaflet bounds into a plain { south, west, north, east } object
+const toBoundsObject = (bounds) => ({
+  south: bounds.getSouth(),
+  west: bounds.getWest(),
+  north: bounds.getNorth(),
+  east: bounds.getEast()
+})
+
+// Helper function to escape user-entered text for popup HTML
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
 
 export function App() {
   const mapContainer = useRef(null)
   const mapRef = useRef(null)
   const markersRef = useRef([])
-  const airportMarkersRef = useRef([]) // Markers for all airports on the map
-  const routeLineRef = useRef(null)
+  const airportMarkersRef = useRef(new Map()) // Airport and cluster markers on the map, keyed by ICAO code or cluster
+  const routeLinesRef = useRef([]) // One polyline per leg of the itinerary
+  const playbackPositionRef = useRef(null) // Plane position during flight playback, read by the map and globe
+  const playbackMarkerRef = useRef(null)
+  const rangePlannerRef = useRef(null) // Range planner worker, started on first use
+  const previousWaypointCountRef = useRef(0)
+  const permalinkReadyRef = useRef(false) // Set once the route has been restored from the URL
   const privacyButtonRef = useRef(null)
   const privacyModalCloseRef = useRef(null)
   const [searchOpen, setSearchOpen] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [airports, setAirports] = useState([])
+  const [airportsStatus, setAirportsStatus] = useState('loading') // 'loading', 'ready' or 'error' (no data at all)
+  const [airportsLoadAttempt, setAirportsLoadAttempt] = useState(0) // Bumped to retry loading the airports
   const [filteredAirports, setFilteredAirports] = useState([])
-  const [originAirport, setOriginAirport] = useState(null)
-  const [destinationAirport, setDestinationAirport] = useState(null)
+  const [activeResultIndex, setActiveResultIndex] = useState(0) // Search result highlighted for keyboard selection
+  const [waypoints, setWaypoints] = useState([]) // Ordered list of airports in the itinerary
+  const [aircraftId, setAircraftId] = useState(AUTO_AIRCRAFT_ID) // Chosen aircraft type, or automatic
+  const [departureTime, setDepartureTime] = useState(null) // Local date-time at the origin, or null for the next hour
   const [routeInfo, setRouteInfo] = useState(null)
+  const [detailAirport, setDetailAirport] = useState(null) // Airport shown in the slide-out detail panel
+  const [customAirports, setCustomAirports] = useState(null) // User-defined airports and waypoints, null until loaded
+  const [showCustomAirports, setShowCustomAirports] = useState(false)
+  const [customAirportPosition, setCustomAirportPosition] = useState(null) // Position picked on the map for a new entry
+  const [savedRoutes, setSavedRoutes] = useState([]) // "My Routes", in the user's order
+  const [showSavedRoutes, setShowSavedRoutes] = useState(false)
+  const [offlineRegions, setOfflineRegions] = useState([]) // Map areas downloaded for offline use
+  const [showOfflineMaps, setShowOfflineMaps] = useState(false)
+  const [importResult, setImportResult] = useState(null) // Outcome of the last route import, per point
+  const [etopsOptions, setEtopsOptions] = useState({
+    enabled: false,
+    thresholdMinutes: 120,
+    maxLevel: 20, // Diversion airports up to this level (hub size)
+    requireSuitableRunway: false
+  })
+  const [routeLoadCount, setRouteLoadCount] = useState(0) // Bumped when a whole route is loaded, so the views fit it
   const [routeInfoExpanded, setRouteInfoExpanded] = useState(false)
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768)
-  const [viewMode, setViewMode] = useState('2d') // '2d' or '3d'
-  const [routeCoordinates, setRouteCoordinates] = useState([]) // Store route coordinates for globe
+  const [viewMode, setViewMode] = useState(() => parsePermalink(window.location.hash).viewMode || '2d') // '2d' or '3d'
+  const [routeLegs, setRouteLegs] = useState([]) // Store coordinates of each leg for globe
   const [showTour, setShowTour] = useState(false)
   const [showPrivacyModal, setShowPrivacyModal] = useState(false)
   const [mapCenter, setMapCenter] = useState({ lat: 0, lng: 0 }) // Track map center for search updates
+  const [mapZoom, setMapZoom] = useState(2) // Track map zoom for permalinks
+  const [baseMapId, setBaseMapId] = useState(() => {
+    try {
+      return getBaseMap(localStorage.getItem('mapBaseLayer')).id
+    } catch (err) {
+      return DEFAULT_BASE_MAP_ID
+    }
+  })
+  const [mapOverlays, setMapOverlays] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem('mapOverlays'))
+      if (Array.isArray(saved)) return saved.filter(id => MAP_OVERLAYS.some(overlay => overlay.id === id))
+    } catch (err) {
+      // Fall back to the defaults below
+    }
+    return MAP_OVERLAYS.filter(overlay => overlay.defaultOn).map(overlay => overlay.id)
+  })
+  const [showLayerSwitcher, setShowLayerSwitcher] = useState(false)
+  const [showPlayback, setShowPlayback] = useState(false)
+  const [vectorTiles, setVectorTiles] = useState(null) // { name, source } of a PMTiles file opened from the device
+  const [clusterAirports, setClusterAirports] = useState(() => {
+    try {
+      return localStorage.getItem('clusterAirports') !== 'false'
+    } catch (err) {
+      return true
+    }
+  })
 
   // Check if user is new and should see the tour
   useEffect(() => {
@@ -98,52 +208,222 @@ export function App() {
     }
   }, [])
 
-  // Load airports data
+  // Load airports from the copy on this device straight away, then update them in
+  // the background when a newer dataset has been deployed
   useEffect(() => {
-    fetch('/airports.json')
-      .then(res => res.json())
-      .then(data => {
-        setAirports(data)
+    let cancelled = false
+    setAirportsStatus('loading')
+
+    const loadAirports = async () => {
+      const stored = await loadStoredAirports()
+      if (cancelled) return
+      if (stored) {
+        setAirports(stored.airports)
+        setAirportsStatus('ready')
+      }
+
+      try {
+        const update = await fetchAirportsUpdate(stored)
+        if (cancelled) return
+        if (update) setAirports(update.airports)
+        setAirportsStatus('ready')
+      } catch (err) {
+        // With a stored copy the update can wait until the next start
+        console.error('Failed to load airports:', err)
+        if (!cancelled && !stored) setAirportsStatus('error')
+      }
+    }
+
+    loadAirports()
+    return () => {
+      cancelled = true
+    }
+  }, [airportsLoadAttempt])
+
+  // Try again as soon as the connection comes back if there is no airport data
+  useEffect(() => {
+    if (airportsStatus !== 'error') return
+    const retry = () => setAirportsLoadAttempt(attempt => attempt + 1)
+    window.addEventListener('online', retry)
+    return () => window.removeEventListener('online', retry)
+  }, [airportsStatus])
+
+  // Load the user's own airports and waypoints
+  useEffect(() => {
+    loadCustomAirports()
+      .then(setCustomAirports)
+      .catch(err => {
+        console.error('Failed to load custom airports:', err)
+        setCustomAirports([])
       })
-      .catch(err => console.error('Failed to load airports:', err))
   }, [])
 
-  // Initialize map
+  // Load saved routes
+  useEffect(() => {
+    loadSavedRoutes()
+      .then(setSavedRoutes)
+      .catch(err => console.error('Failed to load saved routes:', err))
+  }, [])
+
+  // Load the list of map areas downloaded for offline use
+  useEffect(() => {
+    loadOfflineRegions()
+      .then(setOfflineRegions)
+      .catch(err => console.error('Failed to load offline map regions:', err))
+  }, [])
+
+  // Built-in and custom airports together, for search, the map and permalinks
+  const allAirports = useMemo(() => {
+    return customAirports ? [...airports, ...customAirports] : airports
+  }, [airports, customAirports])
+  const allAirportsRef = useRef(allAirports)
+  allAirportsRef.current = allAirports
+  const customAirportsLoaded = customAirports !== null
+
+  // Restore the route and view from the URL once airports (including custom ones)
+  // are available, and follow the URL on back/forward navigation
+  useEffect(() => {
+    if (airports.length === 0 || !customAirportsLoaded) return
+
+    const applyPermalink = () => {
+      const permalink = parsePermalink(window.location.hash)
+      const restoredWaypoints = resolveWaypointCodes(permalink.waypointCodes, allAirportsRef.current)
+
+      if (permalink.mapView) {
+        const { lat, lng, zoom } = permalink.mapView
+        // Keep the map view from the URL instead of fitting the map to the route
+        previousWaypointCountRef.current = restoredWaypoints.length
+        setMapCenter({ lat, lng })
+        setMapZoom(zoom)
+        if (mapRef.current) {
+          mapRef.current.setView([lat, lng], zoom)
+        }
+      }
+
+      setWaypoints(restoredWaypoints)
+      setAircraftId(getAircraftById(permalink.aircraftId) ? permalink.aircraftId : AUTO_AIRCRAFT_ID)
+      setViewMode(permalink.viewMode || '2d')
+      permalinkReadyRef.current = true
+    }
+
+    applyPermalink()
+
+    window.addEventListener('popstate', applyPermalink)
+    return () => window.removeEventListener('popstate', applyPermalink)
+  }, [airports, customAirportsLoaded])
+
+  // Keep the URL in sync with the route, view mode and map position.
+  // Route and view changes add a history entry; map movements replace the current one.
+  useEffect(() => {
+    if (!permalinkReadyRef.current) return
+
+    const hash = buildPermalink({
+      waypoints,
+      aircraftId: aircraftId === AUTO_AIRCRAFT_ID ? null : aircraftId,
+      viewMode,
+      mapView: { lat: mapCenter.lat, lng: mapCenter.lng, zoom: mapZoom }
+    })
+    if (hash === window.location.hash) return
+
+    const current = parsePermalink(window.location.hash)
+    const routeChanged =
+      current.waypointCodes.join() !== waypoints.map(airport => airport.icao).join() ||
+      (current.aircraftId || AUTO_AIRCRAFT_ID) !== aircraftId ||
+      (current.viewMode || '2d') !== viewMode
+
+    if (routeChanged) {
+      window.history.pushState(null, '', hash)
+    } else {
+      window.history.replaceState(null, '', hash)
+    }
+  }, [waypoints, aircraftId, viewMode, mapCenter, mapZoom])
+
+  // Initialize map (the container only exists while the 2D view is shown)
   useEffect(() => {
-    if (!mapContainer.current) return
+    if (viewMode !== '2d' || !mapContainer.current) return
 
-    // Initialize the map centered on the world
+    // Initialize the map at the view from the URL, or centered on the world
+    const { mapView } = parsePermalink(window.location.hash)
     const map = L.map(mapContainer.current, {
-      center: [0, 0],
-      zoom: 2,
+      center: mapView ? [mapView.lat, mapView.lng] : [0, 0],
+      zoom: mapView ? mapView.zoom : 2,
       minZoom: 2,
-      maxZoom: 18,
+      maxZoom: MAP_MAX_ZOOM,
     })
 
     mapRef.current = map
     
-    // Set initial map center
+    // Set initial map center and zoom
     setMapCenter(map.getCenter())
+    setMapZoom(map.getZoom())
 
-    // Add OpenStreetMap tile layer (free and open source)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-      maxZoom: 18,
-    }).addTo(map)
-    
-    // Track map center changes for search updates
+    // Track map center and zoom changes for search updates and permalinks
     const updateMapCenter = () => {
       setMapCenter(map.getCenter())
+      setMapZoom(map.getZoom())
     }
     
     map.on('moveend', updateMapCenter)
 
-    // Cleanup function to remove map on unmount
+    // Long-press (right-click on desktop) to add a custom airport at that position
+    const handleContextMenu = (e) => {
+      setDetailAirport(null)
+      setShowSavedRoutes(false)
+      setShowOfflineMaps(false)
+      setCustomAirportPosition({ lat: e.latlng.lat, lon: e.latlng.wrap().lng })
+      setShowCustomAirports(true)
+    }
+
+    map.on('contextmenu', handleContextMenu)
+
+    // Cleanup function to remove map on unmount or view change
     return () => {
       map.off('moveend', updateMapCenter)
+      map.off('contextmenu', handleContextMenu)
       map.remove()
+      mapRef.current = null
+      markersRef.current = []
+      routeLinesRef.current = []
     }
-  }, [])
+  }, [viewMode])
+
+  // A vector base map needs tiles from its URL or a file opened this session; without
+  // either the default base map stands in
+  const chosenBaseMap = getBaseMap(baseMapId)
+  const baseMap = chosenBaseMap.vector && !chosenBaseMap.url && !vectorTiles
+    ? getBaseMap(DEFAULT_BASE_MAP_ID)
+    : chosenBaseMap
+
+  // Show the chosen base map behind everything else on the 2D map
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map) return
+
+    const layer = createBaseLayer(baseMap, MAP_MAX_ZOOM, vectorTiles?.source).addTo(map)
+    layer.bringToBack()
+    return () => layer.remove()
+  }, [viewMode, baseMap, vectorTiles])
+
+  // Latitude/longitude grid overlay
+  const showGraticule = mapOverlays.includes('graticule')
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map || !showGraticule) return
+
+    const layer = createGraticuleLayer().addTo(map)
+    return () => layer.remove()
+  }, [viewMode, showGraticule])
+
+  // FIR boundaries overlay, when a boundaries file is configured
+  const firOverlay = MAP_OVERLAYS.find(overlay => overlay.id === 'fir')
+  const showFirBoundaries = Boolean(firOverlay) && mapOverlays.includes('fir')
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map || !showFirBoundaries) return
+
+    const layer = createFirLayer(firOverlay.url).addTo(map)
+    return () => layer.remove()
+  }, [viewMode, showFirBoundaries])
 
   // Track window resize for mobile detection
   useEffect(() => {
@@ -186,276 +466,504 @@ export function App() {
     return airports.reduce((max, airport) => Math.max(max, airport.level || 1), 1)
   }, [airports])
 
+  // Spatial index of the airports, queried in a Web Worker
+  const airportIndex = useMemo(() => {
+    return airports.length > 0 ? createAirportIndexClient(airports) : null
+  }, [airports])
+
+  useEffect(() => {
+    return () => airportIndex?.terminate()
+  }, [airportIndex])
+
+  useEffect(() => {
+    return () => rangePlannerRef.current?.terminate()
+  }, [])
+
   // Update airport markers based on map position and zoom
+  const showAirportMarkers = mapOverlays.includes('airports')
   useEffect(() => {
-    if (!mapRef.current || airports.length === 0) return
+    if (!mapRef.current || !airportIndex || !showAirportMarkers) return
 
     const map = mapRef.current
+    const iconsByLevel = new Map()
+    const customIcons = new Map()
+    let latestQueryId = 0
+    let cancelled = false
+
+    // Helper function to share one icon between all markers of a level
+    const getAirportIcon = (level) => {
+      if (!iconsByLevel.has(level)) {
+        const config = AIRPORT_LEVEL_CONFIG[level] || AIRPORT_LEVEL_CONFIG.default
+        const iconSize = config.size
+        iconsByLevel.set(level, L.divIcon({
+          className: 'airport-marker',
+          html: `<div style="${createMarkerStyles(iconSize, config.color)}"></div>`,
+          iconSize: [iconSize + 4, iconSize + 4],
+          iconAnchor: [(iconSize + 4) / 2, (iconSize + 4) / 2]
+        }))
+      }
+      return iconsByLevel.get(level)
+    }
 
-    const updateAirportMarkers = () => {
-      // Save markers with open popups to preserve them
-      const markersToPreserve = airportMarkersRef.current.filter(marker => marker.isPopupOpen())
-      
-      // Clear existing airport markers except those with open popups
-      airportMarkersRef.current.forEach(marker => {
-        if (!marker.isPopupOpen()) {
-          marker.remove()
-        }
+    // Helper function to share one icon between all custom markers of a kind
+    const getCustomAirportIcon = (kind) => {
+      if (!customIcons.has(kind)) {
+        const shape = kind === 'waypoint'
+          ? 'clip-path: polygon(50% 0, 100% 100%, 0 100%);'
+          : 'transform: rotate(45deg); border: 2px solid white;'
+        customIcons.set(kind, L.divIcon({
+          className: 'airport-marker',
+          html: `<div style="width: ${CUSTOM_AIRPORT_SIZE}px; height: ${CUSTOM_AIRPORT_SIZE}px; background-color: ${CUSTOM_AIRPORT_COLOR}; box-shadow: 0 2px 4px rgba(0,0,0,0.3); cursor: pointer; ${shape}"></div>`,
+          iconSize: [CUSTOM_AIRPORT_SIZE + 4, CUSTOM_AIRPORT_SIZE + 4],
+          iconAnchor: [(CUSTOM_AIRPORT_SIZE + 4) / 2, (CUSTOM_AIRPORT_SIZE + 4) / 2]
+        }))
+      }
+      return customIcons.get(kind)
+    }
+
+    // Markers go at the given longitude, the airport's own shifted into the world copy in view
+    const createAirportMarker = (airport, lon) => {
+      const place = getAirportPlace(airport)
+      const popupContent = airport.custom ? `
+        <div class="airport-popup">
+          <strong>${escapeHtml(airport.name)}</strong><br/>
+          ${place ? `${escapeHtml(place)}<br/>` : ''}
+          Code: ${airport.icao} · <em>${CUSTOM_AIRPORT_KINDS[airport.kind]}</em><br/>
+          <a href="#" class="route-to-link">Route to →</a>
+          <a href="#" class="airport-delete-link">Delete</a>
+        </div>
+      ` : `
+        <div class="airport-popup">
+          <strong>${airport.name}</strong><br/>
+          ${place}<br/>
+          ICAO: ${airport.icao} | IATA: ${airport.iata}<br/>
+          <a href="#" class="route-to-link">Route to →</a>
+          <a href="#" class="airport-details-link">Details</a>
+        </div>
+      `
+
+      const icon = airport.custom ? getCustomAirportIcon(airport.kind) : getAirportIcon(airport.level)
+      const marker = L.marker([airport.lat, lon], { icon, zIndexOffset: airport.custom ? 1000 : 0 })
+        .bindPopup(popupContent)
+
+      // Handle "Route to" link click
+      const handleRouteLinkClick = (e) => {
+        e.preventDefault()
+        handleAirportSelect(airport)
+      }
+
+      // Handle "Details" link click: open the slide-out panel in place of the popup
+      const handleDetailsLinkClick = (e) => {
+        e.preventDefault()
+        marker.closePopup()
+        setShowCustomAirports(false)
+        setShowSavedRoutes(false)
+        setShowOfflineMaps(false)
+        setDetailAirport(airport)
+      }
+
+      // Handle "Delete" link click on a custom airport
+      const handleDeleteLinkClick = (e) => {
+        e.preventDefault()
+        marker.closePopup()
+        removeCustomAirport(airport)
+      }
+
+      marker.on('popupopen', () => {
+        const popup = marker.getPopup().getElement()
+        popup?.querySelector('.route-to-link')?.addEventListener('click', handleRouteLinkClick)
+        popup?.querySelector('.airport-details-link')?.addEventListener('click', handleDetailsLinkClick)
+        popup?.querySelector('.airport-delete-link')?.addEventListener('click', handleDeleteLinkClick)
       })
-      airportMarkersRef.current = [...markersToPreserve]
 
-      // Get map bounds and zoom
-      const bounds = map.getBounds()
-      const zoom = map.getZoom()
+      marker.on('popupclose', () => {
+        const popup = marker.getPopup().getElement()
+        popup?.querySelector('.route-to-link')?.removeEventListener('click', handleRouteLinkClick)
+        popup?.querySelector('.airport-details-link')?.removeEventListener('click', handleDetailsLinkClick)
+        popup?.querySelector('.airport-delete-link')?.removeEventListener('click', handleDeleteLinkClick)
+      })
 
-      // Only show markers when zoomed in enough
-      if (zoom < MIN_ZOOM_FOR_MARKERS) return
+      return marker
+    }
 
-      // Calculate screen area in square inches (approximate)
-      const container = map.getContainer()
-      const pixelWidth = container.clientWidth
-      const pixelHeight = container.clientHeight
-      const dpi = window.devicePixelRatio * 96 // Approximate DPI
-      const screenWidthInches = pixelWidth / dpi
-      const screenHeightInches = pixelHeight / dpi
-      const screenAreaSqInches = screenWidthInches * screenHeightInches
-      
-      // Calculate max airports based on target density
-      const dynamicMaxAirports = Math.ceil(screenAreaSqInches * AIRPORTS_PER_SQUARE_INCH)
+    const createClusterMarker = (cluster, lon) => {
+      const { count, representative, bounds } = cluster
+      const size = Math.round(CLUSTER_MIN_SIZE + Math.min(Math.log10(count), 3) * CLUSTER_SIZE_PER_DECADE)
+      const label = representative.iata || representative.icao
+
+      const icon = L.divIcon({
+        className: 'airport-cluster',
+        html: `
+          <div class="airport-cluster-count" style="width: ${size}px; height: ${size}px;">${count}</div>
+          <div class="airport-cluster-label">${label}</div>
+        `,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+      })
 
-      // Get airports in current view
-      const visibleAirports = airports.filter(airport => {
-        return bounds.contains([airport.lat, airport.lon])
+      const marker = L.marker([representative.lat, lon], {
+        icon,
+        title: `${count} airports around ${representative.name}`
       })
 
-      // Determine which levels to show based on count
-      let airportsToShow = []
-      let currentLevel = 1
+      // Zoom in far enough to split the cluster, always by at least one level
+      marker.on('click', () => {
+        const clusterBounds = L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east])
+        const fitZoom = map.getBoundsZoom(clusterBounds, false, L.point(CLUSTER_PADDING, CLUSTER_PADDING))
+        const zoom = Math.min(Math.max(fitZoom, map.getZoom() + 1), map.getMaxZoom())
+        map.setView(clusterBounds.getCenter(), zoom)
+      })
 
-      while (airportsToShow.length < dynamicMaxAirports && currentLevel <= maxLevel) {
-        const levelAirports = visibleAirports.filter(a => a.level === currentLevel)
-        airportsToShow = airportsToShow.concat(levelAirports)
-        currentLevel++
-      }
+      return marker
+    }
+
+    // Show exactly the given airports and clusters, keeping markers that are already
+    // on the map (and any marker with an open popup) instead of recreating them.
+    // Custom airports in view are always shown, at every zoom and never clustered.
+    // Across the antimeridian, markers move into the world copy in viewBounds.
+    const showMarkers = (viewBounds, airportsToShow, clusters = []) => {
+      const markers = airportMarkersRef.current
+      const wanted = new Map()
+      const customAirportsToShow = (customAirports || []).filter(airport => {
+        const lon = shiftLonIntoView(airport.lon, viewBounds)
+        return airport.lat >= viewBounds.south && airport.lat <= viewBounds.north && lon >= viewBounds.west && lon <= viewBounds.east
+      })
+      airportsToShow.concat(customAirportsToShow).forEach(airport => {
+        const lon = shiftLonIntoView(airport.lon, viewBounds)
+        wanted.set(airport.icao, { lon, create: () => createAirportMarker(airport, lon) })
+      })
+      clusters.forEach(cluster => {
+        const lon = shiftLonIntoView(cluster.representative.lon, viewBounds)
+        wanted.set(`cluster:${map.getZoom()}:${cluster.key}:${cluster.count}`, { lon, create: () => createClusterMarker(cluster, lon) })
+      })
+
+      markers.forEach((marker, key) => {
+        if (!wanted.has(key) && !marker.isPopupOpen()) {
+          marker.remove()
+          markers.delete(key)
+        }
+      })
+
+      wanted.forEach(({ lon, create }, key) => {
+        const marker = markers.get(key)
+        if (!marker) {
+          markers.set(key, create().addTo(map))
+        } else if (marker.getLatLng().lng !== lon) {
+          marker.setLatLng([marker.getLatLng().lat, lon])
+        }
+      })
+    }
+
+    const updateAirportMarkers = () => {
+      const queryId = ++latestQueryId
+      const isLatest = () => !cancelled && queryId === latestQueryId
 
-      // If we still have too many, prioritize by level and limit
-      if (airportsToShow.length > dynamicMaxAirports) {
-        airportsToShow = airportsToShow.slice(0, dynamicMaxAirports)
+      const bounds = map.getBounds()
+      const viewBounds = {
+        west: bounds.getWest(),
+        south: bounds.getSouth(),
+        east: bounds.getEast(),
+        north: bounds.getNorth()
       }
 
-      // Get ICAOs of airports that already have markers (preserved)
-      const preservedICAOs = new Set(
-        markersToPreserve
-          .map(m => m._airportData?.icao)
-          .filter(icao => icao !== undefined)
-      )
-
-      // Create markers for airports to show (excluding already preserved ones)
-      airportsToShow.forEach(airport => {
-        // Skip if this airport already has a preserved marker
-        if (preservedICAOs.has(airport.icao)) return
-        
-        // Get icon configuration based on level
-        const config = AIRPORT_LEVEL_CONFIG[airport.level] || AIRPORT_LEVEL_CONFIG.default
-        const iconSize = config.size
-        const iconColor = config.color
-        
-        const icon = L.divIcon({
-          className: 'airport-marker',
-          html: `<div style="${createMarkerStyles(iconSize, iconColor)}"></div>`,
-          iconSize: [iconSize + 4, iconSize + 4],
-          iconAnchor: [(iconSize + 4) / 2, (iconSize + 4) / 2]
+      // Clustering shows every airport at every zoom, grouped where they crowd together
+      if (clusterAirports) {
+        airportIndex.cluster(viewBounds, map.getZoom(), CLUSTER_CELL_SIZE).then(({ singles, clusters }) => {
+          if (isLatest()) showMarkers(viewBounds, singles, clusters)
         })
+        return
+      }
 
-        const popupContent = `
-          <div class="airport-popup">
-            <strong>${airport.name}</strong><br/>
-            ${airport.city}, ${airport.country}<br/>
-            ICAO: ${airport.icao} | IATA: ${airport.iata}<br/>
-            <a href="#" class="route-to-link">Route to →</a>
-          </div>
-        `
+      // Only show markers when zoomed in enough
+      if (map.getZoom() < MIN_ZOOM_FOR_MARKERS) {
+        showMarkers(viewBounds, [])
+        return
+      }
 
-        const marker = L.marker([airport.lat, airport.lon], { icon })
-          .addTo(map)
-          .bindPopup(popupContent)
-        
-        // Store airport data on marker for identification during updates
-        // This allows the popup preservation logic to track which airport a marker represents
-        marker._airportData = airport
-
-        // Handle "Route to" link click
-        const handleRouteLinkClick = (e) => {
-          e.preventDefault()
-          handleAirportSelect(airport)
-        }
-        
-        marker.on('popupopen', () => {
-          const popup = marker.getPopup().getElement()
-          if (popup) {
-            const routeLink = popup.querySelector('.route-to-link')
-            if (routeLink) {
-              routeLink.addEventListener('click', handleRouteLinkClick)
-            }
-          }
-        })
-        
-        marker.on('popupclose', () => {
-          const popup = marker.getPopup().getElement()
-          if (popup) {
-            const routeLink = popup.querySelector('.route-to-link')
-            if (routeLink) {
-              routeLink.removeEventListener('click', handleRouteLinkClick)
-            }
-          }
-        })
+      // Calculate max airports based on target density
+      const container = map.getContainer()
+      const dynamicMaxAirports = getMaxAirportsForViewport(container.clientWidth, container.clientHeight)
 
-        airportMarkersRef.current.push(marker)
+      // Ignore answers that arrive after the map has moved on
+      airportIndex.query(viewBounds, dynamicMaxAirports, maxLevel).then(airportsToShow => {
+        if (isLatest()) showMarkers(viewBounds, airportsToShow)
       })
     }
 
     // Update markers initially
     updateAirportMarkers()
 
-    // Update markers on map move or zoom
+    // Update markers once the map settles (zooming also ends with moveend)
     map.on('moveend', updateAirportMarkers)
-    map.on('zoomend', updateAirportMarkers)
 
     // Cleanup
     return () => {
+      cancelled = true
       map.off('moveend', updateAirportMarkers)
-      map.off('zoomend', updateAirportMarkers)
       airportMarkersRef.current.forEach(marker => marker.remove())
-      airportMarkersRef.current = []
+      airportMarkersRef.current.clear()
     }
-  }, [airports, maxLevel])
+  }, [airportIndex, maxLevel, viewMode, clusterAirports, customAirports, showAirportMarkers])
 
-  // Filter airports based on search query and map center
+  // Rank airports for the search query, breaking ties by distance from the map center
   useEffect(() => {
     if (!searchQuery && !searchOpen) {
       setFilteredAirports([])
       return
     }
 
-    let results = airports
-
-    // If there's a search query, filter by it
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase().trim()
-      results = airports.filter(airport => {
-        return (
-          airport.name.toLowerCase().includes(query) ||
-          airport.city.toLowerCase().includes(query) ||
-          airport.iata.toLowerCase().includes(query) ||
-          airport.icao.toLowerCase().includes(query)
+    const center = mapRef.current ? mapRef.current.getCenter() : null
+    setFilteredAirports(searchAirports(allAirports, searchQuery, center))
+    setActiveResultIndex(0)
+  }, [searchQuery, allAirports, searchOpen, mapCenter])
+
+  // Keep the highlighted search result visible while moving with the arrow keys
+  useEffect(() => {
+    const item = document.getElementById(`search-result-${activeResultIndex}`)
+    if (item) item.scrollIntoView({ block: 'nearest' })
+  }, [activeResultIndex])
+
+  // Departure instant, entered as a local date-time in the origin's time zone
+  const origin = waypoints[0]
+  const departureDate = useMemo(() => {
+    if (!origin) return null
+    if (departureTime) return zonedTimeToDate(departureTime, getAirportTimeZone(origin))
+    return new Date(Math.ceil(Date.now() / MS_PER_HOUR) * MS_PER_HOUR)
+  }, [origin, departureTime])
+
+  // Seasonal winds for the month of departure
+  const departureMonth = departureDate ? departureDate.getUTCMonth() : new Date().getMonth()
+
+  // Compute the legs of the itinerary whenever the waypoints change
+  const legs = useMemo(() => {
+    return createRouteLegs(waypoints, aircraftId, departureMonth)
+  }, [waypoints, aircraftId, departureMonth])
+
+  // Update route info and globe coordinates from the computed legs
+  useEffect(() => {
+    setRouteLegs(legs.map(leg => leg.coordinates))
+
+    if (legs.length === 0) {
+      setRouteInfo(null)
+      setRouteInfoExpanded(false)
+      setShowPlayback(false)
+      return
+    }
+
+    const totalDistanceKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0)
+    const totalHours = legs.reduce((sum, leg) => sum + leg.flightTimeHours, 0)
+    const totalReturnHours = legs.reduce((sum, leg) => sum + leg.returnFlightTimeHours, 0)
+    const sumEmissions = (key) => legs.reduce((sum, leg) => sum + leg.emissions[key], 0)
+
+    // Flag airports whose runways are too short (or unpaved) for the aircraft flying
+    // in or out of them, once per airport and aircraft
+    const runwayWarnings = []
+    legs.forEach(leg => {
+      [leg.origin, leg.destination].forEach(airport => {
+        const check = checkRunway(airport, leg.aircraft)
+        const alreadyFlagged = runwayWarnings.some(warning =>
+          warning.airport.icao === airport.icao && warning.aircraft.id === leg.aircraft.id
         )
+        if ((check.status === 'short' || check.status === 'unpaved') && !alreadyFlagged) {
+          runwayWarnings.push({ airport, aircraft: leg.aircraft, ...check })
+        }
       })
-    }
+    })
+
+    // Fly the legs back to back from the chosen departure, with a connection at each stopover
+    let legDeparture = departureDate
+    const localTimes = legs.map(leg => {
+      const arrival = new Date(legDeparture.getTime() + leg.flightTimeHours * MS_PER_HOUR)
+      const times = describeLocalTimes(leg.origin, leg.destination, legDeparture, arrival)
+      legDeparture = new Date(arrival.getTime() + CONNECTION_MINUTES * 60 * 1000)
+      return times
+    })
+
+    setRouteInfo({
+      legs: legs.map((leg, index) => ({
+        origin: leg.origin,
+        destination: leg.destination,
+        distanceKm: leg.distanceKm.toFixed(0),
+        distanceMiles: (leg.distanceKm * KM_TO_MILES_CONVERSION).toFixed(0),
+        hours: leg.hours,
+        minutes: leg.minutes,
+        returnTime: splitHours(leg.returnFlightTimeHours),
+        averageTailwindKmh: Math.round(leg.averageTailwindKmh),
+        aircraft: leg.aircraft,
+        withinRange: leg.withinRange,
+        emissions: leg.emissions,
+        localTimes: localTimes[index],
+        dateLineCrossing: leg.dateLineCrossing,
+        // Suggest a fuel stop for legs the aircraft cannot fly nonstop
+        fuelStop: leg.withinRange
+          ? null
+          : findFuelStop(leg.origin, leg.destination, leg.aircraft, airports)
+      })),
+      distanceKm: totalDistanceKm.toFixed(0),
+      distanceMiles: (totalDistanceKm * KM_TO_MILES_CONVERSION).toFixed(0),
+      ...splitHours(totalHours),
+      returnTime: splitHours(totalReturnHours),
+      localTimes: describeLocalTimes(
+        legs[0].origin,
+        legs[legs.length - 1].destination,
+        departureDate,
+        localTimes[localTimes.length - 1].arrival
+      ),
+      dateLineCrossing: legs.find(leg => leg.dateLineCrossing)?.dateLineCrossing || null,
+      runwayWarnings,
+      // Per-passenger and per-seat figures add up across legs for one traveller
+      emissions: {
+        fuelKg: sumEmissions('fuelKg'),
+        co2Kg: sumEmissions('co2Kg'),
+        co2PerPassengerKg: sumEmissions('co2PerPassengerKg'),
+        costUsd: sumEmissions('costUsd'),
+        costPerSeatUsd: sumEmissions('costPerSeatUsd')
+      }
+    })
+  }, [legs, airports, departureDate])
+
+  // Timed track of the whole itinerary for flight playback
+  const flightTrack = useMemo(() => legs.length > 0 ? createFlightTrack(legs) : null, [legs])
+
+  // Show the plane on the 2D map during flight playback; updatePlaybackPosition moves it
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map || !showPlayback || !flightTrack) return
+
+    const { lat, lon } = playbackPositionRef.current || flightTrack.points[0]
+    const marker = L.marker([lat, lon], {
+      icon: playbackPlaneIcon,
+      interactive: false,
+      keyboard: false,
+      zIndexOffset: 1000
+    }).addTo(map)
+    playbackMarkerRef.current = marker
+    if (playbackPositionRef.current) updatePlaybackPosition(playbackPositionRef.current)
 
-    // Sort by distance from map center
-    if (mapRef.current) {
-      const center = mapRef.current.getCenter()
-      results = results.map(airport => {
-        const distance = center.distanceTo([airport.lat, airport.lon])
-        return { ...airport, distance }
-      }).sort((a, b) => a.distance - b.distance)
+    return () => {
+      marker.remove()
+      playbackMarkerRef.current = null
     }
+  }, [viewMode, showPlayback, flightTrack])
 
-    // Limit to top 10 results
-    setFilteredAirports(results.slice(0, 10))
-  }, [searchQuery, airports, searchOpen, mapCenter])
+  // Take the plane off the globe when playback ends, including when the route is cleared
+  useEffect(() => {
+    if (!showPlayback) playbackPositionRef.current = null
+  }, [showPlayback])
 
-  // Calculate flight time based on distance and typical aircraft speed
-  const calculateFlightTime = (distanceKm) => {
-    // Determine typical aircraft and speed based on distance
-    const config = AIRCRAFT_CONFIG.find(cfg => distanceKm < cfg.maxDistance)
-    const aircraft = config.name
-    const speedKmh = config.speedKmh
-    
-    // Calculate flight time in hours (add time for taxi, takeoff, landing)
-    const flightTimeHours = (distanceKm / speedKmh) + TAXI_TAKEOFF_LANDING_HOURS
-    const hours = Math.floor(flightTimeHours)
-    const minutes = Math.round((flightTimeHours - hours) * 60)
-    
-    return { hours, minutes, aircraft }
-  }
+  // ETOPS diversion analysis, only worked out while it is switched on
+  const etopsAnalysis = useMemo(() => {
+    if (!etopsOptions.enabled || legs.length === 0) return null
+    return analyzeEtops(legs, airports, etopsOptions)
+  }, [legs, airports, etopsOptions])
 
-  const createRoute = (origin, destination) => {
-    if (!mapRef.current && viewMode === '2d') return
+  // Shade each diversion airport's reach under the chosen ETOPS rule, and mark the
+  // stretches of the route beyond it, on the 2D map
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map || !etopsAnalysis) return
+
+    const { thresholdMinutes } = etopsOptions
+    const layer = L.layerGroup().addTo(map)
+    etopsAnalysis.legs.forEach(leg => {
+      const radiusKm = thresholdMinutes / 60 * leg.speedKmh
+      getLegDiversionAirports(leg).forEach(({ airport, lon }) => {
+        L.circle([airport.lat, lon], {
+          radius: radiusKm * 1000,
+          color: '#10b981',
+          weight: 1,
+          fillOpacity: 0.08,
+          interactive: false
+        }).addTo(layer)
+      })
+      getNonCompliantSegments(leg, thresholdMinutes).forEach(segment => {
+        L.polyline(segment, { color: '#ef4444', weight: 6, opacity: 0.7 })
+          .bindTooltip(`Beyond ETOPS-${thresholdMinutes} (${Math.round(radiusKm).toLocaleString()} km from a diversion airport)`)
+          .addTo(layer)
+      })
+    })
 
-    // Create route line using turf.js
-    const from = turf.point([origin.lon, origin.lat])
-    const to = turf.point([destination.lon, destination.lat])
-    const distance = turf.distance(from, to, { units: 'kilometers' })
-    const distanceMiles = distance * KM_TO_MILES_CONVERSION
+    return () => layer.remove()
+  }, [etopsAnalysis, etopsOptions, viewMode])
 
-    // Create a great circle route line
-    const line = turf.greatCircle(from, to)
-    
-    // Convert to Leaflet coordinates (reverse lat/lon)
-    const coords = line.geometry.coordinates.map(coord => [coord[1], coord[0]])
-    
-    // Store coordinates for globe view
-    setRouteCoordinates(coords)
-    
-    // Only draw on 2D map if in 2D mode
-    if (viewMode === '2d' && mapRef.current) {
-      // Remove existing route line
-      if (routeLineRef.current) {
-        routeLineRef.current.remove()
-        routeLineRef.current = null
-      }
-      
-      // Draw the route on the map
-      const routeLine = L.polyline(coords, {
+  // Draw waypoint markers and one great-circle polyline per leg on the 2D map
+  useEffect(() => {
+    const map = mapRef.current
+    if (viewMode !== '2d' || !map) return
+
+    // Remove existing route markers and lines
+    markersRef.current.forEach(marker => marker.remove())
+    markersRef.current = []
+    routeLinesRef.current.forEach(line => line.remove())
+    routeLinesRef.current = []
+
+    waypoints.forEach((airport, index) => {
+      const role = getWaypointRole(index, waypoints.length)
+      const marker = L.marker([airport.lat, airport.lon], { icon: createRouteMarkerIcon(role) })
+        .addTo(map)
+        .bindPopup(`
+          <div class="airport-popup">
+            <strong>${airport.custom ? escapeHtml(airport.name) : airport.name}</strong><br/>
+            ${escapeHtml(getAirportPlace(airport))}<br/>
+            ${airport.custom ? `Code: ${airport.icao}` : `ICAO: ${airport.icao} | IATA: ${airport.iata}`}<br/>
+            <em>${getWaypointLabel(index, waypoints.length)} ${airport.custom ? CUSTOM_AIRPORT_KINDS[airport.kind] : 'Airport'}</em>
+          </div>
+        `)
+      markersRef.current.push(marker)
+    })
+
+    legs.forEach(leg => {
+      const routeLine = L.polyline(leg.coordinates, {
         color: '#4285F4',
         weight: 3,
         opacity: 0.8,
         dashArray: ROUTE_LINE_DASH_PATTERN
-      }).addTo(mapRef.current)
-      
-      routeLineRef.current = routeLine
-
-      // Fit map to show both airports
-      const bounds = L.latLngBounds([
-        [origin.lat, origin.lon],
-        [destination.lat, destination.lon]
-      ])
-      mapRef.current.fitBounds(bounds, { padding: [50, 50] })
-    }
+      }).addTo(map)
+      routeLinesRef.current.push(routeLine)
+    })
 
-    // Calculate flight time
-    const { hours, minutes, aircraft } = calculateFlightTime(distance)
+    // Only move the map when an airport was added, not when reordering or removing
+    const addedWaypoint = waypoints.length > previousWaypointCountRef.current
+    previousWaypointCountRef.current = waypoints.length
+    if (!addedWaypoint) return
 
-    // Set route info
-    setRouteInfo({
-      origin,
-      destination,
-      distanceKm: distance.toFixed(0),
-      distanceMiles: distanceMiles.toFixed(0),
-      hours,
-      minutes,
-      aircraft
-    })
-  }
+    markersRef.current[markersRef.current.length - 1].openPopup()
 
-  const clearRoute = () => {
-    // Clear route line
-    if (routeLineRef.current) {
-      routeLineRef.current.remove()
-      routeLineRef.current = null
+    if (waypoints.length === 1) {
+      // Zoom to the first airport
+      map.setView([waypoints[0].lat, waypoints[0].lon], 8, {
+        animate: true,
+        duration: 1
+      })
+    } else {
+      // Fit map to show the whole itinerary
+      const bounds = L.latLngBounds(legs.flatMap(leg => leg.coordinates))
+      map.fitBounds(bounds, { padding: [50, 50] })
     }
+  }, [waypoints, legs, viewMode])
 
-    // Clear markers
-    markersRef.current.forEach(marker => marker.remove())
-    markersRef.current = []
+  const clearRoute = () => {
+    setWaypoints([])
+  }
 
-    // Clear state
-    setOriginAirport(null)
-    setDestinationAirport(null)
-    setRouteInfo(null)
-    setRouteInfoExpanded(false)
-    setRouteCoordinates([])
+  const removeWaypoint = (index) => {
+    setWaypoints(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // Insert an airport into the itinerary, e.g. a suggested fuel stop
+  const insertWaypoint = (index, airport) => {
+    setWaypoints(prev => [...prev.slice(0, index), airport, ...prev.slice(index)])
+  }
+
+  // Move a waypoint one position earlier (-1) or later (+1) in the itinerary
+  const moveWaypoint = (index, direction) => {
+    setWaypoints(prev => {
+      const target = index + direction
+      if (target < 0 || target >= prev.length) return prev
+      const next = [...prev]
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
   }
 
   const handleSearchToggle = () => {
@@ -465,6 +973,34 @@ export function App() {
     }
   }
 
+  // Move through the search results with the arrow keys and pick one with Enter
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (filteredAirports.length === 0) return
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveResultIndex((activeResultIndex + step + filteredAirports.length) % filteredAirports.length)
+    } else if (e.key === 'Enter') {
+      const airport = filteredAirports[activeResultIndex]
+      if (airport) {
+        e.preventDefault()
+        handleAirportSelect(airport)
+      }
+    } else if (e.key === 'Escape') {
+      setSearchOpen(false)
+      setSearchQuery('')
+    }
+  }
+
+  const toggleClusterAirports = () => {
+    setClusterAirports(!clusterAirports)
+    try {
+      localStorage.setItem('clusterAirports', String(!clusterAirports))
+    } catch (err) {
+      // Ignore storage errors; the choice just won't be remembered
+    }
+  }
+
   const toggleRouteInfoExpanded = () => {
     setRouteInfoExpanded(!routeInfoExpanded)
   }
@@ -482,107 +1018,223 @@ export function App() {
     }
   }
 
-  const handleAirportSelect = (airport) => {
-    if (mapRef.current) {
-      // If no origin is selected, set this as origin
-      if (!originAirport) {
-        // Clear existing markers
-        markersRef.current.forEach(marker => marker.remove())
-        markersRef.current = []
-
-        // Add marker for origin airport with custom icon
-        const originIcon = createRouteMarkerIcon('origin')
-        const marker = L.marker([airport.lat, airport.lon], { icon: originIcon })
-          .addTo(mapRef.current)
-          .bindPopup(`
-            <div class="airport-popup">
-              <strong>${airport.name}</strong><br/>
-              ${airport.city}, ${airport.country}<br/>
-              ICAO: ${airport.icao} | IATA: ${airport.iata}<br/>
-              <em>Origin Airport</em>
-            </div>
-          `)
-          .openPopup()
+  // Save a new custom airport; errors are shown by the form
+  const addCustomAirport = async (airport) => {
+    await saveCustomAirport(airport)
+    setCustomAirports(prev => [...(prev || []), airport])
+  }
 
-        markersRef.current.push(marker)
+  const removeCustomAirport = (airport) => {
+    deleteCustomAirport(airport.icao)
+      .then(() => setCustomAirports(prev => prev.filter(existing => existing.icao !== airport.icao)))
+      .catch(err => console.error('Failed to delete custom airport:', err))
+  }
 
-        // Zoom to airport
-        mapRef.current.setView([airport.lat, airport.lon], 8, {
-          animate: true,
-          duration: 1
-        })
+  const openCustomAirports = () => {
+    setDetailAirport(null)
+    setShowSavedRoutes(false)
+    setShowOfflineMaps(false)
+    setCustomAirportPosition(null)
+    setShowCustomAirports(true)
+  }
 
-        // Set as origin
-        setOriginAirport(airport)
-
-        // Close search but don't clear query to allow easy second search
-        setSearchOpen(false)
-        setSearchQuery('')
-      } 
-      // If origin is selected but no destination, set this as destination
-      else if (!destinationAirport) {
-        // Add marker for destination airport with custom icon
-        const destinationIcon = createRouteMarkerIcon('destination')
-        const marker = L.marker([airport.lat, airport.lon], { icon: destinationIcon })
-          .addTo(mapRef.current)
-          .bindPopup(`
-            <div class="airport-popup">
-              <strong>${airport.name}</strong><br/>
-              ${airport.city}, ${airport.country}<br/>
-              ICAO: ${airport.icao} | IATA: ${airport.iata}<br/>
-              <em>Destination Airport</em>
-            </div>
-          `)
-          .openPopup()
+  const toggleSavedRoutes = () => {
+    setDetailAirport(null)
+    setShowCustomAirports(false)
+    setShowOfflineMaps(false)
+    setShowSavedRoutes(!showSavedRoutes)
+  }
 
-        markersRef.current.push(marker)
+  const toggleOfflineMaps = () => {
+    setDetailAirport(null)
+    setShowCustomAirports(false)
+    setShowSavedRoutes(false)
+    setShowOfflineMaps(!showOfflineMaps)
+  }
 
-        // Set as destination
-        setDestinationAirport(airport)
+  const addOfflineRegion = async (region) => {
+    const saved = await saveOfflineRegion(region)
+    setOfflineRegions(prev => [...prev, saved])
+  }
 
-        // Create route between origin and destination
-        createRoute(originAirport, airport)
+  const removeOfflineRegion = (region) => {
+    deleteOfflineRegion(region, offlineRegions)
+      .then(() => setOfflineRegions(prev => prev.filter(existing => existing.id !== region.id)))
+      .catch(err => console.error('Failed to delete offline region:', err))
+  }
 
-        // Close search
-        setSearchOpen(false)
-        setSearchQuery('')
-      }
-      // If both are selected, replace the route with a new one starting from this airport
-      else {
-        // Clear everything and start fresh
-        clearRoute()
-        
-        // Set this as new origin with custom icon
-        const originIcon = createRouteMarkerIcon('origin')
-        const marker = L.marker([airport.lat, airport.lon], { icon: originIcon })
-          .addTo(mapRef.current)
-          .bindPopup(`
-            <div class="airport-popup">
-              <strong>${airport.name}</strong><br/>
-              ${airport.city}, ${airport.country}<br/>
-              ICAO: ${airport.icao} | IATA: ${airport.iata}<br/>
-              <em>Origin Airport</em>
-            </div>
-          `)
-          .openPopup()
+  // Fit the 2D map to a downloaded region
+  const showOfflineRegion = ({ bounds }) => {
+    mapRef.current?.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]])
+  }
 
-        markersRef.current.push(marker)
+  // Save the current itinerary after the existing saved routes
+  const saveCurrentRoute = async ({ name, notes }) => {
+    const position = savedRoutes.reduce((max, route) => Math.max(max, route.position + 1), 0)
+    const route = await saveNewRoute({ name, notes, waypoints, aircraftId }, position)
+    setSavedRoutes(prev => [...prev, route])
+  }
 
-        // Zoom to airport
-        mapRef.current.setView([airport.lat, airport.lon], 8, {
-          animate: true,
-          duration: 1
-        })
+  const renameSavedRoute = async (route) => {
+    await updateSavedRoute(route)
+    setSavedRoutes(prev => prev.map(existing => existing.id === route.id ? route : existing))
+  }
 
-        setOriginAirport(airport)
-        setSearchOpen(false)
-        setSearchQuery('')
-      }
+  // Move a saved route one position up (-1) or down (+1) in the list
+  const moveSavedRoute = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= savedRoutes.length) return
+    const next = [...savedRoutes]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    const reordered = next.map((route, position) => ({ ...route, position }))
+    setSavedRoutes(reordered)
+    updateRoutePositions(reordered).catch(err => console.error('Failed to reorder saved routes:', err))
+  }
+
+  const removeSavedRoute = (route) => {
+    deleteSavedRoute(route.id)
+      .then(() => setSavedRoutes(prev => prev.filter(existing => existing.id !== route.id)))
+      .catch(err => console.error('Failed to delete saved route:', err))
+  }
+
+  // Replace the itinerary with a whole route and fit the map or globe to it
+  const loadRoute = (routeWaypoints, routeAircraftId) => {
+    previousWaypointCountRef.current = 0
+    setWaypoints(routeWaypoints)
+    setAircraftId(getAircraftById(routeAircraftId) ? routeAircraftId : AUTO_AIRCRAFT_ID)
+    setRouteLoadCount(count => count + 1)
+  }
+
+  const changeBaseMap = (id) => {
+    setBaseMapId(id)
+    try {
+      localStorage.setItem('mapBaseLayer', id)
+    } catch (err) {
+      // Ignore storage errors; the choice just won't be remembered
     }
   }
 
+  // Move the playback plane on the 2D map; the globe reads the position each frame
+  const updatePlaybackPosition = (position) => {
+    playbackPositionRef.current = position
+    const marker = playbackMarkerRef.current
+    if (!marker) return
+    marker.setLatLng([position.lat, position.lon])
+    const plane = marker.getElement()?.querySelector('.playback-plane')
+    if (plane) plane.style.transform = `rotate(${position.heading}deg)`
+  }
+
+  // Use a PMTiles file from the device for the vector base maps, switching to one
+  const openVectorTiles = (tiles) => {
+    setVectorTiles(tiles)
+    if (!baseMap.vector) changeBaseMap('vector')
+  }
+
+  const toggleMapOverlay = (id) => {
+    const next = mapOverlays.includes(id)
+      ? mapOverlays.filter(overlay => overlay !== id)
+      : [...mapOverlays, id]
+    setMapOverlays(next)
+    try {
+      localStorage.setItem('mapOverlays', JSON.stringify(next))
+    } catch (err) {
+      // Ignore storage errors; the choice just won't be remembered
+    }
+  }
+
+  // Range for the stop planner: the chosen aircraft's, or the shortest-ranged typical aircraft on the route
+  const selectedAircraft = getAircraftById(aircraftId)
+  const planningRangeKm = selectedAircraft
+    ? selectedAircraft.rangeKm
+    : Math.min(...legs.map(leg => leg.aircraft.rangeKm))
+
+  // Replace the itinerary with the shortest route from origin to destination whose
+  // hops are all within range, stopping only at airports up to a level (hub size)
+  // whose runways suit the chosen aircraft
+  const planRangeRoute = async ({ rangeKm, maxLevel }) => {
+    if (!rangePlannerRef.current) rangePlannerRef.current = createRangePlannerClient()
+    const candidates = airports.filter(airport =>
+      airport.level <= maxLevel &&
+      (!selectedAircraft || !['short', 'unpaved'].includes(checkRunway(airport, selectedAircraft).status))
+    )
+    const path = await rangePlannerRef.current.findPath(waypoints[0], waypoints[waypoints.length - 1], candidates, rangeKm)
+    if (!path) return { found: false }
+    loadRoute(path, aircraftId)
+    return { found: true, stops: path.length - 2 }
+  }
+
+  // Download the current route as GPX, KML or GeoJSON
+  const exportCurrentRoute = (format) => {
+    downloadRouteExport(format, getDefaultRouteName(waypoints), waypoints, legs)
+  }
+
+  // Download a saved route, with block times for this month's winds
+  const exportSavedRoute = (route, format) => {
+    const routeWaypoints = resolveSavedRouteWaypoints(route, allAirports)
+    const exportLegs = createRouteLegs(routeWaypoints, route.aircraftId || AUTO_AIRCRAFT_ID, new Date().getMonth())
+    downloadRouteExport(format, route.name, routeWaypoints, exportLegs)
+  }
+
+  // Draw an imported route from its resolved items and show the outcome for each point
+  const applyImport = (source, items) => {
+    const importedWaypoints = getImportedWaypoints(items)
+    const error = importedWaypoints.length < 2
+      ? 'At least two airports are needed to draw a route.'
+      : null
+    if (!error) loadRoute(importedWaypoints, aircraftId)
+    setImportResult({ source, items, error })
+    setDetailAirport(null)
+    setShowCustomAirports(false)
+    setShowOfflineMaps(false)
+    setShowSavedRoutes(true)
+  }
+
+  const importRouteString = (text) => {
+    if (!text.trim()) return
+    applyImport('Route', parseRouteString(text, allAirports))
+  }
+
+  const importRouteFile = (file) => {
+    file.text()
+      .then(text => applyImport(file.name, parseRouteFile(file.name, text, allAirports)))
+      .catch(err => {
+        setImportResult({ source: file.name, items: [], error: err.message })
+        setShowSavedRoutes(true)
+      })
+  }
+
+  // Accept GPX, KML and GeoJSON files dropped anywhere on the map or globe
+  const handleDragOver = (e) => {
+    if (e.dataTransfer?.types.includes('Files')) e.preventDefault()
+  }
+
+  const handleDrop = (e) => {
+    const file = e.dataTransfer?.files[0]
+    if (!file) return
+    e.preventDefault()
+    importRouteFile(file)
+  }
+
+  const openSavedRoute = (route) => {
+    loadRoute(resolveSavedRouteWaypoints(route, allAirports), route.aircraftId)
+    setShowSavedRoutes(false)
+  }
+
+  const handleAirportSelect = (airport) => {
+    // Append the airport to the itinerary, ignoring a repeat of the last waypoint
+    setWaypoints(prev => {
+      const last = prev[prev.length - 1]
+      if (last && last.icao === airport.icao) return prev
+      return [...prev, airport]
+    })
+
+    // Close search but clear query to allow easy next search
+    setSearchOpen(false)
+    setSearchQuery('')
+  }
+
   return (
-    <div class="app-container">
+    <div class="app-container" onDragOver={handleDragOver} onDrop={handleDrop}>
       {/* 2D Map View */}
       {viewMode === '2d' && (
         <div ref={mapContainer} class="map-container"></div>
@@ -591,10 +1243,18 @@ export function App() {
       {/* 3D Globe View */}
       {viewMode === '3d' && (
         <Globe 
-          airports={airports}
-          originAirport={originAirport}
-          destinationAirport={destinationAirport}
-          routeCoordinates={routeCoordinates}
+          airports={allAirports}
+          waypoints={waypoints}
+          routeLegs={routeLegs}
+          routeLoadCount={routeLoadCount}
+          playbackPositionRef={playbackPositionRef}
+          onAirportClick={handleAirportSelect}
+          onAirportDetails={(airport) => {
+            setShowCustomAirports(false)
+            setShowSavedRoutes(false)
+            setShowOfflineMaps(false)
+            setDetailAirport(airport)
+          }}
         />
       )}
       
@@ -616,139 +1276,92 @@ export function App() {
         )}
       </button>
       
-      {/* Intro Tour Modal */}
-      {showTour && (
-        <div class="tour-overlay">
-          <div class="tour-modal">
-            <div class="tour-header">
-              <h2>Welcome to PlaneCode! ✈️</h2>
-              <button 
-                class="tour-close-button" 
-                onClick={() => closeTour(true)}
-                aria-label="Close tour"
-              >
-                ×
-              </button>
-            </div>
-            <div class="tour-content">
-              <div class="tour-step">
-                <div class="tour-step-number">1</div>
-                <div class="tour-step-text">
-                  <h3>Search for an Airport</h3>
-                  <p>Click the search button in the top right corner to search for airports by city, name, or ICAO/IATA code.</p>
-                </div>
-              </div>
-              <div class="tour-step">
-                <div class="tour-step-number">2</div>
-                <div class="tour-step-text">
-                  <h3>Select Your Origin</h3>
-                  <p>Choose an airport from the search results to set it as your starting point, or click on any airport marker on the map.</p>
-                </div>
-              </div>
-              <div class="tour-step">
-                <div class="tour-step-number">3</div>
-                <div class="tour-step-text">
-                  <h3>Create Your Route</h3>
-                  <p>Search and select a second airport as your destination. A route will be drawn showing distance, flight time, and aircraft type!</p>
-                </div>
-              </div>
-            </div>
-            <div class="tour-footer">
-              <button 
-                class="tour-button tour-button-primary" 
-                onClick={() => closeTour(true)}
-              >
-                Got it!
-              </button>
-              <button 
-                class="tour-button tour-button-secondary" 
-                onClick={() => closeTour(false)}
-              >
-                Remind me later
-              </button>
-            </div>
-          </div>
-        </div>
+      {/* Airport Clustering Toggle (2D map only) */}
+      {viewMode === '2d' && (
+        <button
+          class={`map-cluster-button ${clusterAirports ? 'active' : ''}`}
+          onClick={toggleClusterAirports}
+          aria-pressed={clusterAirports}
+          aria-label={clusterAirports ? 'Show airports by importance' : 'Group airports into clusters'}
+          title={clusterAirports ? 'Show airports by importance' : 'Group airports into clusters'}
+        >
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <circle cx="7" cy="8" r="4"/>
+            <circle cx="17" cy="7" r="3"/>
+            <circle cx="14" cy="17" r="5"/>
+          </svg>
+        </button>
       )}
-      
-      {/* Privacy Modal */}
-      {showPrivacyModal && (
-        <div 
-          class="privacy-modal-overlay" 
-          onClick={() => setShowPrivacyModal(false)}
-          role="dialog"
-          aria-modal="true"
-          aria-labelledby="privacy-modal-title"
+
+      {/* Custom Airports Button (2D map only) */}
+      {viewMode === '2d' && (
+        <button
+          class="map-custom-airports-button"
+          onClick={openCustomAirports}
+          aria-label="Add custom airports and waypoints"
+          title="My airports & waypoints"
         >
-          <div class="privacy-modal-content" onClick={(e) => e.stopPropagation()}>
-            <div class="privacy-modal-header">
-              <h2 id="privacy-modal-title">Privacy & Data Information</h2>
-              <button 
-                ref={privacyModalCloseRef}
-                class="privacy-modal-close" 
-                onClick={() => setShowPrivacyModal(false)}
-                aria-label="Close privacy information"
-              >
-                ×
-              </button>
-            </div>
-            <div class="privacy-modal-body">
-              <section>
-                <h3>🔒 Your Privacy is Protected</h3>
-                <p>
-                  PlaneCode is designed with privacy as a core principle. We are committed to protecting your personal information and complying with data protection regulations including GDPR (EU) and similar privacy laws.
-                </p>
-              </section>
-              
-              <section>
-                <h3>📊 No Tracking or Analytics</h3>
-                <p>
-                  We do not use any tracking, analytics, or monitoring services. Your browsing behavior, searches, and interactions with this application are never recorded, transmitted, or shared with any third parties.
-                </p>
-              </section>
-              
-              <section>
-                <h3>💾 Local Storage Only</h3>
-                <p>
-                  PlaneCode stores data only on your device for functionality purposes:
-                </p>
-                <ul>
-                  <li><strong>Map Tiles:</strong> OpenStreetMap tiles are cached locally using a service worker to enable offline viewing of previously visited map areas.</li>
-                  <li><strong>No Personal Data:</strong> We do not collect, store, or process any personal information, user accounts, or identifiable data.</li>
-                </ul>
-              </section>
-              
-              <section>
-                <h3>🍪 No Cookies</h3>
-                <p>
-                  This application does not use cookies or similar tracking technologies. All data remains on your device and is never transmitted to external servers except for loading map tiles from OpenStreetMap.
-                </p>
-              </section>
-              
-              <section>
-                <h3>🌐 Third-Party Services</h3>
-                <p>
-                  PlaneCode uses OpenStreetMap for map tiles, which are loaded directly from their servers. Please refer to <a href="https://osmfoundation.org/wiki/Privacy_Policy" target="_blank" rel="noopener noreferrer">OpenStreetMap's Privacy Policy</a> for information about their data practices.
-                </p>
-              </section>
-              
-              <section>
-                <h3>✅ Your Rights</h3>
-                <p>
-                  Since we do not collect or process any personal data, there is no data to access, correct, or delete. You can clear locally cached map tiles by clearing your browser's cache or uninstalling the application.
-                </p>
-              </section>
-              
-              <section class="privacy-modal-footer">
-                <p>
-                  <em>Last updated: {PRIVACY_POLICY_LAST_UPDATED}</em>
-                </p>
-              </section>
-            </div>
-          </div>
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm4 8h-3v3h-2v-3H8V8h3V5h2v3h3v2z"/>
+          </svg>
+        </button>
+      )}
+
+      {/* Map Layers Button and Switcher (2D map only) */}
+      {viewMode === '2d' && (
+        <button
+          class="map-layers-button"
+          onClick={() => setShowLayerSwitcher(!showLayerSwitcher)}
+          aria-label="Choose map layers"
+          aria-expanded={showLayerSwitcher}
+          title="Map layers"
+        >
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path d="M11.99 18.54l-7.37-5.73L3 14.07l9 7 9-7-1.63-1.27-7.38 5.74zM12 16l7.36-5.73L21 9l-9-7-9 7 1.63 1.27L12 16z"/>
+          </svg>
+        </button>
+      )}
+      {viewMode === '2d' && showLayerSwitcher && (
+        <LayerSwitcher
+          baseMapId={baseMap.id}
+          activeOverlays={mapOverlays}
+          vectorTilesName={vectorTiles?.name}
+          onBaseMapChange={changeBaseMap}
+          onVectorTilesOpen={openVectorTiles}
+          onOverlayToggle={toggleMapOverlay}
+          onClose={() => setShowLayerSwitcher(false)}
+        />
+      )}
+
+      {/* Airport data status, shown until there are airports to show */}
+      {airportsStatus !== 'ready' && (
+        <div class="airports-status" role={airportsStatus === 'error' ? 'alert' : 'status'}>
+          {airportsStatus === 'error' ? (
+            <>
+              ⚠️ Airport data could not be loaded. Check your connection.
+              <button onClick={() => setAirportsLoadAttempt(airportsLoadAttempt + 1)}>Retry</button>
+            </>
+          ) : (
+            'Loading airports…'
+          )}
         </div>
       )}
-      
+
+      {/* Offline Maps Button (2D map only) */}
+      {viewMode === '2d' && (
+        <button
+          class="map-offline-button"
+          onClick={toggleOfflineMaps}
+          aria-label="Download map areas for offline use"
+          aria-expanded={showOfflineMaps}
+          title="Offline maps"
+        >
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path d="M19.35 10.04A7.49 7.49 0 0 0 12 4C9.11 4 6.6 5.64 5.35 8.04A5.994 5.994 0 0 0 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM17 13l-5 5-5-5h3V9h4v4h3z"/>
+          </svg>
+        </button>
+      )}
+
       {/* Intro Tour Modal */}
       {showTour && (
         <div class="tour-overlay">
@@ -782,7 +1395,7 @@ export function App() {
                 <div class="tour-step-number">3</div>
                 <div class="tour-step-text">
                   <h3>Create Your Route</h3>
-                  <p>Search and select a second airport as your destination. A route will be drawn showing distance, flight time, and aircraft type!</p>
+                  <p>Search and select a second airport as your destination. A route will be drawn showing distance, flight time, and aircraft type! Keep adding airports to plan stopovers.</p>
                 </div>
               </div>
             </div>
@@ -846,7 +1459,9 @@ export function App() {
                   PlaneCode stores data only on your device for functionality purposes:
                 </p>
                 <ul>
-                  <li><strong>Map Tiles:</strong> OpenStreetMap tiles are cached locally using a service worker to enable offline viewing of previously visited map areas.</li>
+                  <li><strong>Map Tiles:</strong> Map tiles are cached locally using a service worker to enable offline viewing of previously visited map areas. Areas you download under Offline Maps stay on your device until you delete them there.</li>
+                  <li><strong>Custom Airports:</strong> Airports and waypoints you add are kept in your browser's IndexedDB and never leave your device.</li>
+                  <li><strong>Saved Routes:</strong> Routes you save under My Routes (with their names and notes) are kept in your browser's IndexedDB and never leave your device.</li>
                   <li><strong>No Personal Data:</strong> We do not collect, store, or process any personal information, user accounts, or identifiable data.</li>
                 </ul>
               </section>
@@ -854,14 +1469,14 @@ export function App() {
               <section>
                 <h3>🍪 No Cookies</h3>
                 <p>
-                  This application does not use cookies or similar tracking technologies. All data remains on your device and is never transmitted to external servers except for loading map tiles from OpenStreetMap.
+                  This application does not use cookies or similar tracking technologies. All data remains on your device and is never transmitted to external servers except for loading map tiles from the base map you choose.
                 </p>
               </section>
               
               <section>
                 <h3>🌐 Third-Party Services</h3>
                 <p>
-                  PlaneCode uses OpenStreetMap for map tiles, which are loaded directly from their servers. Please refer to <a href="https://osmfoundation.org/wiki/Privacy_Policy" target="_blank" rel="noopener noreferrer">OpenStreetMap's Privacy Policy</a> for information about their data practices.
+                  PlaneCode uses OpenStreetMap for map tiles by default, loaded directly from their servers. Please refer to <a href="https://osmfoundation.org/wiki/Privacy_Policy" target="_blank" rel="noopener noreferrer">OpenStreetMap's Privacy Policy</a> for information about their data practices. The dark and topographic base maps load tiles from <a href="https://carto.com/privacy" target="_blank" rel="noopener noreferrer">CARTO</a> and <a href="https://opentopomap.org/about" target="_blank" rel="noopener noreferrer">OpenTopoMap</a> instead.
                 </p>
               </section>
               
@@ -882,87 +1497,105 @@ export function App() {
         </div>
       )}
       
+      {/* Airport Detail Panel */}
+      {detailAirport && (
+        <AirportDetailPanel
+          airport={detailAirport}
+          aircraft={getAircraftById(aircraftId)}
+          onClose={() => setDetailAirport(null)}
+          onRouteTo={(airport) => {
+            setDetailAirport(null)
+            handleAirportSelect(airport)
+          }}
+        />
+      )}
+
+      {/* Custom Airports Panel */}
+      {showCustomAirports && (
+        <CustomAirportsPanel
+          customAirports={customAirports || []}
+          position={customAirportPosition}
+          existingAirports={allAirports}
+          onAdd={addCustomAirport}
+          onDelete={removeCustomAirport}
+          onRouteTo={(airport) => {
+            setShowCustomAirports(false)
+            handleAirportSelect(airport)
+          }}
+          onClose={() => setShowCustomAirports(false)}
+        />
+      )}
+
+      {/* Saved Routes Panel */}
+      {showSavedRoutes && (
+        <SavedRoutesPanel
+          savedRoutes={savedRoutes}
+          waypoints={waypoints}
+          onSave={saveCurrentRoute}
+          onUpdate={renameSavedRoute}
+          onMove={moveSavedRoute}
+          onDelete={removeSavedRoute}
+          onOpen={openSavedRoute}
+          onExport={exportSavedRoute}
+          onClose={() => setShowSavedRoutes(false)}
+        >
+          <RouteImport
+            result={importResult}
+            onImportText={importRouteString}
+            onImportFile={importRouteFile}
+          />
+        </SavedRoutesPanel>
+      )}
+
+      {/* Offline Maps Panel (2D map only) */}
+      {showOfflineMaps && viewMode === '2d' && mapRef.current && (
+        <OfflineMapsPanel
+          regions={offlineRegions}
+          visibleBounds={toBoundsObject(mapRef.current.getBounds())}
+          mapZoom={mapZoom}
+          routePaths={routeLegs}
+          routeName={getDefaultRouteName(waypoints)}
+          onDownloaded={addOfflineRegion}
+          onDelete={removeOfflineRegion}
+          onShow={showOfflineRegion}
+          onClose={() => setShowOfflineMaps(false)}
+        />
+      )}
+
       {/* Route Info Box */}
       {routeInfo && (
-        <div class={`route-info-box ${routeInfoExpanded ? 'expanded' : ''}`}>
-          <div 
-            class="route-info-header" 
-            onClick={() => isMobile && toggleRouteInfoExpanded()}
-            onKeyDown={(e) => isMobile && (e.key === 'Enter' || e.key === ' ') && (e.preventDefault(), toggleRouteInfoExpanded())}
-            role={isMobile ? 'button' : undefined}
-            tabIndex={isMobile ? 0 : undefined}
-            aria-expanded={isMobile ? routeInfoExpanded : undefined}
-          >
-            <h3>Route Information</h3>
-            <div class="header-buttons">
-              {isMobile && (
-                <button 
-                  class="expand-button" 
-                  onClick={(e) => {
-                    e.stopPropagation()
-                    toggleRouteInfoExpanded()
-                  }}
-                  aria-label={routeInfoExpanded ? "Collapse" : "Expand"}
-                >
-                  {routeInfoExpanded ? '−' : '+'}
-                </button>
-              )}
-              <button class="close-button" onClick={(e) => {
-                e.stopPropagation()
-                clearRoute()
-              }} aria-label="Clear route">
-                ×
-              </button>
-            </div>
-          </div>
-          
-          <div class="route-info-content">
-            <div class="route-airports">
-              <div class="route-airport">
-                <div class="route-label">Origin</div>
-                <div class="route-name">{routeInfo.origin.iata}</div>
-                {(!isMobile || routeInfoExpanded) && (
-                  <div class="route-city">{routeInfo.origin.city}</div>
-                )}
-              </div>
-              
-              <div class="route-arrow">→</div>
-              
-              <div class="route-airport">
-                <div class="route-label">Destination</div>
-                <div class="route-name">{routeInfo.destination.iata}</div>
-                {(!isMobile || routeInfoExpanded) && (
-                  <div class="route-city">{routeInfo.destination.city}</div>
-                )}
-              </div>
-            </div>
-            
-            {(!isMobile || routeInfoExpanded) && (
-              <div class="route-details">
-                <div class="route-detail-item">
-                  <div class="route-detail-label">Distance</div>
-                  <div class="route-detail-value">
-                    {routeInfo.distanceKm} km / {routeInfo.distanceMiles} mi
-                  </div>
-                </div>
-                
-                <div class="route-detail-item">
-                  <div class="route-detail-label">Typical Flight Time</div>
-                  <div class="route-detail-value">
-                    {routeInfo.hours}h {routeInfo.minutes}m
-                  </div>
-                </div>
-                
-                <div class="route-detail-item">
-                  <div class="route-detail-label">Typical Aircraft</div>
-                  <div class="route-detail-value route-aircraft">
-                    {routeInfo.aircraft}
-                  </div>
-                </div>
-              </div>
-            )}
-          </div>
-        </div>
+        <RouteInfo
+          routeInfo={routeInfo}
+          waypoints={waypoints}
+          isMobile={isMobile}
+          expanded={routeInfoExpanded}
+          onToggleExpanded={toggleRouteInfoExpanded}
+          onClear={clearRoute}
+          onMoveWaypoint={moveWaypoint}
+          onRemoveWaypoint={removeWaypoint}
+          onInsertWaypoint={insertWaypoint}
+          aircraftId={aircraftId}
+          onAircraftChange={setAircraftId}
+          departureTime={departureTime || (departureDate && dateToZonedTime(departureDate, getAirportTimeZone(origin)))}
+          onDepartureTimeChange={(value) => setDepartureTime(value || null)}
+          onExport={exportCurrentRoute}
+          planningRangeKm={planningRangeKm}
+          onPlanRoute={planRangeRoute}
+          etopsAnalysis={etopsAnalysis}
+          etopsOptions={etopsOptions}
+          onEtopsOptionsChange={setEtopsOptions}
+          playing={showPlayback}
+          onPlay={() => setShowPlayback(true)}
+        />
+      )}
+
+      {/* Flight Playback Controls */}
+      {showPlayback && flightTrack && (
+        <FlightPlayback
+          track={flightTrack}
+          onPositionChange={updatePlaybackPosition}
+          onClose={() => setShowPlayback(false)}
+        />
       )}
       
       <div class="search-overlay">
@@ -972,26 +1605,41 @@ export function App() {
               type="text"
               class="search-input"
               placeholder={
-                originAirport && !destinationAirport
+                waypoints.length === 1
                   ? "Search for destination airport..."
-                  : "Search by city, airport, ICAO, or IATA code..."
+                  : waypoints.length > 1
+                    ? "Search for next stop..."
+                    : "Search by city, airport, ICAO, or IATA code..."
               }
               value={searchQuery}
               onInput={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              role="combobox"
+              aria-expanded={filteredAirports.length > 0}
+              aria-controls="search-results"
+              aria-activedescendant={filteredAirports.length > 0 ? `search-result-${activeResultIndex}` : undefined}
               autoFocus
             />
             {filteredAirports.length > 0 && (
-              <div class="search-results">
-                {filteredAirports.map(airport => (
+              <div class="search-results" id="search-results" role="listbox">
+                {filteredAirports.map((airport, index) => (
                   <div
                     key={airport.icao}
-                    class="search-result-item"
+                    id={`search-result-${index}`}
+                    class={`search-result-item ${index === activeResultIndex ? 'active' : ''}`}
+                    role="option"
+                    aria-selected={index === activeResultIndex}
                     onClick={() => handleAirportSelect(airport)}
+                    onMouseEnter={() => setActiveResultIndex(index)}
                   >
                     <strong>{airport.name}</strong>
-                    <span>{airport.city}, {airport.country}</span>
+                    <span>
+                      {airport.custom && <span class="search-result-custom">{CUSTOM_AIRPORT_KINDS[airport.kind]}</span>}
+                      {airport.custom && getAirportPlace(airport) && ' · '}
+                      {getAirportPlace(airport)}
+                    </span>
                     <span class="search-result-codes">
-                      ICAO: {airport.icao} | IATA: {airport.iata}
+                      {airport.custom ? `Code: ${airport.icao}` : `ICAO: ${airport.icao} | IATA: ${airport.iata}`}
                     </span>
                   </div>
                 ))}
@@ -1010,6 +1658,18 @@ export function App() {
           </svg>
         </button>
         
+        <button
+          class="saved-routes-button"
+          onClick={toggleSavedRoutes}
+          aria-label="My routes"
+          aria-expanded={showSavedRoutes}
+          title="My Routes"
+        >
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+            <path d="M17 3H7c-1.1 0-2 .9-2 2v16l7-3 7 3V5c0-1.1-.9-2-2-2zm0 15-5-2.18L7 18V5h10v13z"/>
+          </svg>
+        </button>
+
         <button
           ref={privacyButtonRef}
           class="privacy-button"
@@ -0,0 +1,114 @@
+// Base maps and overlays for the 2D map. This module is plain data so that
+// vite.config.js can read it too: every base map with a `cache` entry gets a
+// service worker rule caching the tiles viewed from its host.
+//
+// The local base map is a self-hosted source for fully offline use, set at build
+// time with VITE_LOCAL_TILES_URL: either a PMTiles archive of raster tiles (a URL
+// ending in .pmtiles) or an {z}/{x}/{y} URL template, e.g. from a server for an
+// MBTiles file. FIR boundaries come from a GeoJSON file set with
+// VITE_FIR_BOUNDARIES_URL. Each is only offered when configured.
+//
+// The vector base maps draw a PMTiles archive of Protomaps vector tiles in the
+// browser with one of the styles in mapLayers.js. The archive is set with
+// VITE_VECTOR_TILES_URL (e.g. a file in public/) or opened from the device in
+// the layer switcher; without either they can't be chosen.
+
+const env = import.meta.env || {}
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+const PROTOMAPS_ATTRIBUTION = `<a href="https://protomaps.com">Protomaps</a> ${OSM_ATTRIBUTION}`
+
+// Tiles viewed are kept for 30 days, up to this many per base map
+const CACHED_TILES_PER_MAP = 500
+
+export const BASE_MAPS = [
+  {
+    id: 'osm',
+    label: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 19,
+    attribution: OSM_ATTRIBUTION,
+    offlineDownloads: true, // Areas downloaded under Offline Maps are OpenStreetMap tiles
+    cache: { name: 'openstreetmap-tiles', urlPattern: /^https:\/\/[a-c]\.tile\.openstreetmap\.org\/.*/i }
+  },
+  {
+    id: 'dark',
+    label: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    maxZoom: 20,
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+    cache: { name: 'carto-dark-tiles', urlPattern: /^https:\/\/[a-d]\.basemaps\.cartocdn\.com\/dark_all\/.*/i }
+  },
+  {
+    id: 'topo',
+    label: 'Topographic',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 17,
+    attribution: `${OSM_ATTRIBUTION}, SRTM | Style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+    cache: { name: 'opentopomap-tiles', urlPattern: /^https:\/\/[a-c]\.tile\.opentopomap\.org\/.*/i }
+  },
+  ...(env.VITE_LOCAL_TILES_URL
+    ? [{
+        id: 'local',
+        label: 'Local tiles (offline)',
+        url: env.VITE_LOCAL_TILES_URL,
+        pmtiles: /\.pmtiles(\?|$)/i.test(env.VITE_LOCAL_TILES_URL),
+        maxZoom: 18,
+        attribution: env.VITE_LOCAL_TILES_ATTRIBUTION || OSM_ATTRIBUTION
+      }]
+    : []),
+  {
+    id: 'vector',
+    label: 'Vector',
+    url: env.VITE_VECTOR_TILES_URL,
+    vector: true,
+    style: 'day',
+    maxZoom: 15, // Deepest zoom of the tiles; the map draws them larger beyond it
+    attribution: PROTOMAPS_ATTRIBUTION
+  },
+  {
+    id: 'vector-night',
+    label: 'Vector (night flying)',
+    url: env.VITE_VECTOR_TILES_URL,
+    vector: true,
+    style: 'night',
+    maxZoom: 15,
+    attribution: PROTOMAPS_ATTRIBUTION
+  }
+]
+
+export const DEFAULT_BASE_MAP_ID = 'osm'
+
+export const MAP_OVERLAYS = [
+  { id: 'airports', label: 'Airports', defaultOn: true },
+  { id: 'graticule', label: 'Latitude/longitude grid', defaultOn: false },
+  ...(env.VITE_FIR_BOUNDARIES_URL
+    ? [{ id: 'fir', label: 'FIR boundaries', url: env.VITE_FIR_BOUNDARIES_URL, defaultOn: false }]
+    : [])
+]
+
+// Look up a base map, falling back to the default for unknown (e.g. no longer
+// configured) ids
+export const getBaseMap = (id) => BASE_MAPS.find(baseMap => baseMap.id === id) ||
+  BASE_MAPS.find(baseMap => baseMap.id === DEFAULT_BASE_MAP_ID)
+
+// Workbox runtime caching rules for the base maps' tile hosts
+export const getTileCachingRules = () => BASE_MAPS
+  .filter(baseMap => baseMap.cache)
+  .map(({ cache }) => ({
+    urlPattern: cache.urlPattern,
+    handler: 'CacheFirst',
+    options: {
+      cacheName: cache.name,
+      expiration: {
+        maxEntries: CACHED_TILES_PER_MAP,
+        maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
+      },
+      cacheableResponse: {
+        statuses: [0, 200]
+      }
+    }
+  }))
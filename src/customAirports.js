@@ -0,0 +1,59 @@
+import { getAllRecords, putRecord, deleteRecord } from './db.js'
+
+// Airports and waypoints added by the user, e.g. private strips or fixes that
+// are not in airports.json. They are stored in IndexedDB and have the same shape
+// as the built-in airports (plus `custom` and `kind`), so search, the map and the
+// itinerary treat them alike. Their code doubles as ICAO and IATA code.
+
+const STORE = 'customAirports'
+const CODE_PATTERN = /^[A-Z0-9]{2,7}$/ // No separators, so codes survive in permalinks
+const MAX_NAME_LENGTH = 80
+
+export const CUSTOM_AIRPORT_KINDS = {
+  airport: 'Custom airport',
+  waypoint: 'Waypoint'
+}
+
+export const loadCustomAirports = () => getAllRecords(STORE)
+
+export const saveCustomAirport = (airport) => putRecord(STORE, airport)
+
+export const deleteCustomAirport = (icao) => deleteRecord(STORE, icao)
+
+// Helper function to parse a coordinate typed by the user, or NaN
+const parseCoordinate = (value) => {
+  const text = String(value).trim()
+  return text === '' ? NaN : Number(text)
+}
+
+// Build a custom airport from form values, throwing an Error with a message for
+// the user if a field is invalid or the code is already taken
+export const createCustomAirport = ({ name, code, kind, place, lat, lon }, existingAirports) => {
+  const trimmedName = name.trim()
+  const normalizedCode = code.trim().toUpperCase()
+  const latitude = parseCoordinate(lat)
+  const longitude = parseCoordinate(lon)
+
+  if (!trimmedName) throw new Error('Enter a name')
+  if (trimmedName.length > MAX_NAME_LENGTH) throw new Error(`Keep the name under ${MAX_NAME_LENGTH} characters`)
+  if (!CODE_PATTERN.test(normalizedCode)) throw new Error('The code must be 2 to 7 letters or digits')
+  if (existingAirports.some(airport => airport.icao === normalizedCode || airport.iata === normalizedCode)) {
+    throw new Error(`${normalizedCode} is already used by another airport`)
+  }
+  if (!(latitude >= -90 && latitude <= 90)) throw new Error('Latitude must be between -90 and 90')
+  if (!(longitude >= -180 && longitude <= 180)) throw new Error('Longitude must be between -180 and 180')
+
+  return {
+    icao: normalizedCode,
+    iata: normalizedCode,
+    name: trimmedName,
+    city: place.trim(),
+    country: '',
+    lat: latitude,
+    lon: longitude,
+    level: 1,
+    custom: true,
+    kind: CUSTOM_AIRPORT_KINDS[kind] ? kind : 'airport',
+    createdAt: new Date().toISOString()
+  }
+}
@@ -0,0 +1,63 @@
+// Promise wrapper around the app's IndexedDB database, which keeps data the
+// user creates on this device. Add new object stores to STORES and bump
+// DB_VERSION so existing databases are upgraded.
+
+const DB_NAME = 'plane-code'
+const DB_VERSION = 4
+const STORES = {
+  customAirports: { keyPath: 'icao' },
+  savedRoutes: { keyPath: 'id', autoIncrement: true },
+  offlineRegions: { keyPath: 'id', autoIncrement: true },
+  datasets: { keyPath: 'name' }
+}
+
+let databasePromise = null
+
+// Open (and create or upgrade) the database once, retrying on the next call after a failure
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options)
+        })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(err => {
+      databasePromise = null
+      throw err
+    })
+  }
+  return databasePromise
+}
+
+// Helper function to run requests in their own transaction, resolving with the
+// result of the returned request (if any) once the transaction has committed
+const runRequest = (storeName, mode, createRequest) => openDatabase().then(db => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode)
+  const request = createRequest(transaction.objectStore(storeName))
+  transaction.oncomplete = () => resolve(request?.result)
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+}))
+
+export const getAllRecords = (storeName) => runRequest(storeName, 'readonly', store => store.getAll())
+
+// Read one record by key, resolving to undefined if there is none
+export const getRecord = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key))
+
+export const putRecord = (storeName, record) => runRequest(storeName, 'readwrite', store => store.put(record))
+
+// Write several records in one transaction, so either all or none are saved
+export const putRecords = (storeName, records) => runRequest(storeName, 'readwrite', store => {
+  records.forEach(record => store.put(record))
+})
+
+export const deleteRecord = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key))
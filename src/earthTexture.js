@@ -0,0 +1,83 @@
+import { feature } from 'topojson-client'
+
+// Equirectangular Earth texture drawn from the Natural Earth land polygons
+// bundled with world-atlas, so the globe renders without network access.
+
+const TEXTURE_WIDTH = 4096
+const TEXTURE_HEIGHT = 2048
+const OCEAN_COLOR = '#1f5f8b'
+const LAND_COLOR = '#5b8c5a'
+const COASTLINE_COLOR = '#2f5e3a'
+const GRATICULE_COLOR = 'rgba(255, 255, 255, 0.15)'
+const GRATICULE_STEP_DEGREES = 30
+
+// Convert lon/lat to pixel coordinates on the equirectangular canvas
+const project = ([lon, lat]) => [
+  (lon + 180) / 360 * TEXTURE_WIDTH,
+  (90 - lat) / 180 * TEXTURE_HEIGHT
+]
+
+// Helper function to trace a polygon (outer ring plus holes) onto the canvas path
+const tracePolygon = (ctx, rings) => {
+  rings.forEach(ring => {
+    ring.forEach((coord, index) => {
+      const [x, y] = project(coord)
+      if (index === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    })
+    ctx.closePath()
+  })
+}
+
+// Helper function to draw latitude/longitude lines
+const drawGraticule = (ctx) => {
+  ctx.strokeStyle = GRATICULE_COLOR
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  for (let lon = -180; lon <= 180; lon += GRATICULE_STEP_DEGREES) {
+    const [x] = project([lon, 0])
+    ctx.moveTo(x, 0)
+    ctx.lineTo(x, TEXTURE_HEIGHT)
+  }
+  for (let lat = -90 + GRATICULE_STEP_DEGREES; lat < 90; lat += GRATICULE_STEP_DEGREES) {
+    const [, y] = project([0, lat])
+    ctx.moveTo(0, y)
+    ctx.lineTo(TEXTURE_WIDTH, y)
+  }
+  ctx.stroke()
+}
+
+// Draw the Earth texture onto a canvas. The land data is loaded lazily so it
+// lives in its own chunk and is only fetched once the globe is opened.
+export const createEarthCanvas = async () => {
+  const { default: land } = await import('world-atlas/land-50m.json')
+  const landGeoJson = feature(land, land.objects.land)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = TEXTURE_WIDTH
+  canvas.height = TEXTURE_HEIGHT
+  const ctx = canvas.getContext('2d')
+
+  // Ocean background
+  ctx.fillStyle = OCEAN_COLOR
+  ctx.fillRect(0, 0, TEXTURE_WIDTH, TEXTURE_HEIGHT)
+
+  // Landmasses with coastlines
+  ctx.beginPath()
+  landGeoJson.features.forEach(({ geometry }) => {
+    if (geometry.type === 'Polygon') {
+      tracePolygon(ctx, geometry.coordinates)
+    } else if (geometry.type === 'MultiPolygon') {
+      geometry.coordinates.forEach(polygon => tracePolygon(ctx, polygon))
+    }
+  })
+  ctx.fillStyle = LAND_COLOR
+  ctx.fill('evenodd')
+  ctx.strokeStyle = COASTLINE_COLOR
+  ctx.lineWidth = 1.5
+  ctx.stroke()
+
+  drawGraticule(ctx)
+
+  return canvas
+}
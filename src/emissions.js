@@ -0,0 +1,72 @@
+// Fuel, CO2 and operating cost estimates for a leg.
+//
+// Methodology (simplified from the ICAO Carbon Emissions Calculator):
+// 1. The great-circle distance is corrected for routing and stacking with a fixed
+//    amount per distance band (ICAO GCD correction factor).
+// 2. Fuel = LTO cycle fuel + cruise burn per km × corrected distance. Cruise burn
+//    rises with stage length because more fuel has to be carried, by up to
+//    FUEL_WEIGHT_PENALTY at the aircraft's maximum range.
+// 3. CO2 = fuel × 3.16 kg CO2 per kg of jet fuel (3.10 for avgas).
+// 4. CO2 per passenger = CO2 × passenger share (the rest is belly freight on wide
+//    bodies) / (seats × passenger load factor).
+// 5. Operating cost = block hours × cost per block hour (excluding fuel) + fuel cost.
+//
+// Results are rough estimates for comparing trips, not for reporting.
+
+// ICAO great-circle distance correction by distance band (km)
+const DISTANCE_CORRECTION_BANDS = [
+  { maxDistance: 550, correctionKm: 50 },
+  { maxDistance: 5500, correctionKm: 100 },
+  { maxDistance: Infinity, correctionKm: 125 }
+]
+
+const FUEL_WEIGHT_PENALTY = 0.15
+
+// kg CO2 emitted per kg of fuel burned
+const CO2_PER_KG_FUEL = {
+  'jet-a': 3.16,
+  avgas: 3.10
+}
+
+// Fuel price in USD per kg
+const FUEL_PRICE_USD_PER_KG = {
+  'jet-a': 0.85,
+  avgas: 2.0
+}
+
+export const PASSENGER_LOAD_FACTOR = 0.8
+
+// Share of fuel attributed to passengers rather than cargo
+const PASSENGER_SHARE_BY_CATEGORY = {
+  'Wide Body': 0.9,
+  default: 1.0
+}
+
+// Correct a great-circle distance for typical routing inefficiency
+export const getCorrectedDistance = (distanceKm) => {
+  const band = DISTANCE_CORRECTION_BANDS.find(b => distanceKm < b.maxDistance)
+  return distanceKm + band.correctionKm
+}
+
+// Estimate fuel burn (kg) for a leg of the given great-circle distance
+export const estimateFuelKg = (distanceKm, aircraft) => {
+  const correctedDistance = getCorrectedDistance(distanceKm)
+  const stageFactor = 1 + FUEL_WEIGHT_PENALTY * Math.min(correctedDistance / aircraft.rangeKm, 1)
+  return aircraft.fuel.ltoKg + aircraft.fuel.cruiseKgPerKm * correctedDistance * stageFactor
+}
+
+// Estimate fuel, CO2 and operating cost for a leg
+export const estimateLegEmissions = (distanceKm, blockHours, aircraft) => {
+  const fuelType = aircraft.fuel.type || 'jet-a'
+  const fuelKg = estimateFuelKg(distanceKm, aircraft)
+  const co2Kg = fuelKg * CO2_PER_KG_FUEL[fuelType]
+
+  const passengerShare = PASSENGER_SHARE_BY_CATEGORY[aircraft.category] ?? PASSENGER_SHARE_BY_CATEGORY.default
+  const passengers = aircraft.seats * PASSENGER_LOAD_FACTOR
+  const co2PerPassengerKg = co2Kg * passengerShare / passengers
+
+  const costUsd = blockHours * aircraft.costPerBlockHourUsd + fuelKg * FUEL_PRICE_USD_PER_KG[fuelType]
+  const costPerSeatUsd = costUsd / aircraft.seats
+
+  return { fuelKg, co2Kg, co2PerPassengerKg, costUsd, costPerSeatUsd }
+}
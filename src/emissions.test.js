@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest'
+import { PASSENGER_LOAD_FACTOR, getCorrectedDistance, estimateFuelKg, estimateLegEmissions } from './emissions.js'
+
+// Made-up aircraft so the expected numbers don't move when the catalog is retuned
+const narrowBody = {
+  category: 'Narrow Body',
+  rangeKm: 10000,
+  seats: 200,
+  fuel: { ltoKg: 500, cruiseKgPerKm: 3 },
+  costPerBlockHourUsd: 4000
+}
+const wideBody = { ...narrowBody, category: 'Wide Body' }
+const pistonSingle = {
+  category: 'Piston',
+  rangeKm: 1000,
+  seats: 4,
+  fuel: { type: 'avgas', ltoKg: 5, cruiseKgPerKm: 0.1 },
+  costPerBlockHourUsd: 100
+}
+
+describe('getCorrectedDistance', () => {
+  it('adds the ICAO correction for the distance band', () => {
+    expect(getCorrectedDistance(300)).toBe(350)
+    expect(getCorrectedDistance(549)).toBe(599)
+    expect(getCorrectedDistance(550)).toBe(650)
+    expect(getCorrectedDistance(5499)).toBe(5599)
+    expect(getCorrectedDistance(5500)).toBe(5625)
+    expect(getCorrectedDistance(12000)).toBe(12125)
+  })
+})
+
+describe('estimateFuelKg', () => {
+  it('adds LTO fuel to the cruise burn over the corrected distance, with the stage-length penalty', () => {
+    // 1,100 km corrected, penalty 0.15 × 1,100 / 10,000
+    expect(estimateFuelKg(1000, narrowBody)).toBeCloseTo(500 + 3 * 1100 * 1.0165, 6)
+  })
+
+  it('caps the stage-length penalty at the aircraft range', () => {
+    expect(estimateFuelKg(20000, narrowBody)).toBeCloseTo(500 + 3 * 20125 * 1.15, 6)
+  })
+})
+
+describe('estimateLegEmissions', () => {
+  it('works out CO2, per-passenger CO2 and cost for jet fuel', () => {
+    const fuelKg = 500 + 3 * 1100 * 1.0165
+    const result = estimateLegEmissions(1000, 2, narrowBody)
+
+    expect(result.fuelKg).toBeCloseTo(fuelKg, 6)
+    expect(result.co2Kg).toBeCloseTo(fuelKg * 3.16, 6)
+    expect(result.co2PerPassengerKg).toBeCloseTo(fuelKg * 3.16 / (200 * PASSENGER_LOAD_FACTOR), 6)
+    expect(result.costUsd).toBeCloseTo(2 * 4000 + fuelKg * 0.85, 6)
+    expect(result.costPerSeatUsd).toBeCloseTo((2 * 4000 + fuelKg * 0.85) / 200, 6)
+  })
+
+  it('leaves part of a wide body\'s CO2 to belly freight', () => {
+    const narrow = estimateLegEmissions(1000, 2, narrowBody)
+    const wide = estimateLegEmissions(1000, 2, wideBody)
+
+    expect(wide.co2Kg).toBeCloseTo(narrow.co2Kg, 6)
+    expect(wide.co2PerPassengerKg).toBeCloseTo(narrow.co2PerPassengerKg * 0.9, 6)
+  })
+
+  it('uses the avgas CO2 factor and price', () => {
+    const fuelKg = 5 + 0.1 * 350 * (1 + 0.15 * 0.35)
+    const result = estimateLegEmissions(300, 1.5, pistonSingle)
+
+    expect(result.fuelKg).toBeCloseTo(fuelKg, 6)
+    expect(result.co2Kg).toBeCloseTo(fuelKg * 3.10, 6)
+    expect(result.costUsd).toBeCloseTo(1.5 * 100 + fuelKg * 2.0, 6)
+  })
+
+  it('pins the figures for a known leg', () => {
+    const result = estimateLegEmissions(1000, 2, narrowBody)
+
+    expect(result.fuelKg).toBeCloseTo(3854.45, 2)
+    expect(result.co2Kg).toBeCloseTo(12180.06, 2)
+    expect(result.co2PerPassengerKg).toBeCloseTo(76.13, 2)
+    expect(result.costUsd).toBeCloseTo(11276.28, 2)
+    expect(result.costPerSeatUsd).toBeCloseTo(56.38, 2)
+  })
+})
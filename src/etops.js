@@ -0,0 +1,164 @@
+import { checkRunway } from './aircraft.js'
+
+// ETOPS (extended-range twin-engine operations) analysis: how far a route ever is
+// from a diversion airport, in minutes at one-engine-inoperative speed in still air.
+// Each leg is sampled along its great circle and the nearest qualifying airport found
+// at every sample; the worst sample decides which ETOPS approval the leg needs.
+// This is a planning aid, not an operational ETOPS calculation.
+
+export const ETOPS_THRESHOLDS_MINUTES = [60, 120, 180]
+
+const EARTH_RADIUS_KM = 6371.0088 // Mean radius, as used by turf
+const SAMPLE_SPACING_KM = 50
+const ONE_ENGINE_SPEED_FACTOR = 0.8 // One-engine-inoperative cruise as a share of normal cruise
+
+// One-engine-inoperative diversion speed for an aircraft in km/h
+export const getDiversionSpeedKmh = (aircraft) => Math.round(aircraft.cruiseSpeedKmh * ONE_ENGINE_SPEED_FACTOR)
+
+// Helper function to convert a position into a unit vector
+const toUnitVector = (lat, lon) => {
+  const latRad = lat * Math.PI / 180
+  const lonRad = lon * Math.PI / 180
+  return [Math.cos(latRad) * Math.cos(lonRad), Math.cos(latRad) * Math.sin(lonRad), Math.sin(latRad)]
+}
+
+const angleToKm = (cosine) => Math.acos(Math.min(1, Math.max(-1, cosine))) * EARTH_RADIUS_KM
+
+// Helper function to shift a longitude by whole turns so it lies nearest a reference,
+// keeping shapes next to an unwrapped route line on the map
+const unwrapLon = (lon, referenceLon) => {
+  let unwrapped = lon
+  while (unwrapped - referenceLon > 180) unwrapped -= 360
+  while (unwrapped - referenceLon < -180) unwrapped += 360
+  return unwrapped
+}
+
+// Helper function to sample a great circle every SAMPLE_SPACING_KM or so, including
+// both ends. Longitudes are unwrapped from the origin, matching the drawn route.
+const sampleGreatCircle = (origin, destination) => {
+  const a = toUnitVector(origin.lat, origin.lon)
+  const b = toUnitVector(destination.lat, destination.lon)
+  const cosine = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]))
+  const angle = Math.acos(cosine)
+  const count = Math.max(1, Math.ceil(angle * EARTH_RADIUS_KM / SAMPLE_SPACING_KM))
+
+  const samples = []
+  let previousLon = origin.lon
+  for (let i = 0; i <= count; i++) {
+    const fraction = i / count
+    // Spherical linear interpolation; coincident ends need no interpolation
+    const [wa, wb] = angle < 1e-9
+      ? [1, 0]
+      : [Math.sin((1 - fraction) * angle) / Math.sin(angle), Math.sin(fraction * angle) / Math.sin(angle)]
+    const x = wa * a[0] + wb * b[0]
+    const y = wa * a[1] + wb * b[1]
+    const z = wa * a[2] + wb * b[2]
+    const lat = Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI
+    const lon = unwrapLon(Math.atan2(y, x) * 180 / Math.PI, previousLon)
+    previousLon = lon
+    samples.push({ lat, lon, vector: [x, y, z], distanceAlongKm: fraction * angle * EARTH_RADIUS_KM })
+  }
+  return samples
+}
+
+// Diversion airports for an aircraft: airports up to a level (hub size), optionally
+// only those whose runways are known to suit the aircraft
+export const getDiversionAirports = (airports, aircraft, { maxLevel, requireSuitableRunway }) => airports.filter(airport =>
+  airport.level <= maxLevel &&
+  (requireSuitableRunway
+    ? checkRunway(airport, aircraft).status === 'ok'
+    : !['short', 'unpaved'].includes(checkRunway(airport, aircraft).status))
+)
+
+// The smallest ETOPS threshold covering a diversion time, 0 if none is needed (within
+// 60 minutes) or null if the time is beyond the largest threshold
+export const getRequiredEtops = (minutes) => {
+  if (minutes <= ETOPS_THRESHOLDS_MINUTES[0]) return 0
+  return ETOPS_THRESHOLDS_MINUTES.find(threshold => minutes <= threshold) ?? null
+}
+
+// Analyse one leg: the nearest diversion airport and time at each sample, and the worst one
+const analyzeLeg = (leg, candidates) => {
+  const speedKmh = getDiversionSpeedKmh(leg.aircraft)
+  const vectors = candidates.map(airport => toUnitVector(airport.lat, airport.lon))
+
+  const samples = sampleGreatCircle(leg.origin, leg.destination).map(({ lat, lon, vector, distanceAlongKm }) => {
+    let nearest = null
+    let bestCosine = -Infinity
+    vectors.forEach((candidate, index) => {
+      const cosine = candidate[0] * vector[0] + candidate[1] * vector[1] + candidate[2] * vector[2]
+      if (cosine > bestCosine) {
+        bestCosine = cosine
+        nearest = candidates[index]
+      }
+    })
+    const distanceKm = nearest ? angleToKm(bestCosine) : Infinity
+    return { lat, lon, distanceAlongKm, airport: nearest, distanceKm, minutes: distanceKm / speedKmh * 60 }
+  })
+
+  const worst = samples.reduce((max, sample) => sample.minutes > max.minutes ? sample : max, samples[0])
+  return {
+    origin: leg.origin,
+    destination: leg.destination,
+    aircraft: leg.aircraft,
+    twinEngine: leg.aircraft.engines === 2,
+    speedKmh,
+    samples,
+    maxDiversion: worst,
+    requiredEtops: getRequiredEtops(worst.minutes)
+  }
+}
+
+// Analyse every leg of an itinerary against the diversion airports each leg's
+// aircraft could use. Returns { legs, maxDiversion, requiredEtops }.
+export const analyzeEtops = (legs, airports, options) => {
+  const candidatesByAircraft = new Map()
+  const legAnalyses = legs.map(leg => {
+    if (!candidatesByAircraft.has(leg.aircraft.id)) {
+      candidatesByAircraft.set(leg.aircraft.id, getDiversionAirports(airports, leg.aircraft, options))
+    }
+    return analyzeLeg(leg, candidatesByAircraft.get(leg.aircraft.id))
+  })
+
+  const worstLeg = legAnalyses.reduce((max, leg) => leg.maxDiversion.minutes > max.maxDiversion.minutes ? leg : max, legAnalyses[0])
+  return {
+    legs: legAnalyses,
+    maxDiversion: { ...worstLeg.maxDiversion, leg: worstLeg },
+    requiredEtops: getRequiredEtops(worstLeg.maxDiversion.minutes)
+  }
+}
+
+// Stretches of a leg further than a threshold from a diversion airport, as lists of
+// [lat, lon] pairs ready to draw. Each stretch runs to the neighbouring compliant
+// samples, since the threshold is crossed somewhere between them.
+export const getNonCompliantSegments = (legAnalysis, thresholdMinutes) => {
+  const segments = []
+  let current = null
+  legAnalysis.samples.forEach((sample, index) => {
+    const point = [sample.lat, sample.lon]
+    if (sample.minutes > thresholdMinutes) {
+      if (!current) {
+        const previous = legAnalysis.samples[index - 1]
+        current = previous ? [[previous.lat, previous.lon]] : []
+        segments.push(current)
+      }
+      current.push(point)
+    } else if (current) {
+      current.push(point)
+      current = null
+    }
+  })
+  return segments.filter(segment => segment.length > 1)
+}
+
+// The diversion airports a leg relies on, each with a longitude shifted next to the
+// route so that its circle is drawn beside the unwrapped line
+export const getLegDiversionAirports = (legAnalysis) => {
+  const byIcao = new Map()
+  legAnalysis.samples.forEach(sample => {
+    if (sample.airport && !byIcao.has(sample.airport.icao)) {
+      byIcao.set(sample.airport.icao, { airport: sample.airport, lon: unwrapLon(sample.airport.lon, sample.lon) })
+    }
+  })
+  return [...byIcao.values()]
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import { analyzeEtops, getDiversionSpeedKmh, getNonCompliantSegments, getRequiredEtops } from './etops.js'
+
+// A made-up twin diverting at 640 km/h, so 60 minutes is 640 km, flying along the
+// equator where a degree of longitude is about 111.2 km
+const twin = { id: 'twin', engines: 2, cruiseSpeedKmh: 800, runway: { minLengthM: 2000, pavedOnly: true } }
+const KM_PER_DEGREE = 6371.0088 * Math.PI / 180
+
+const airport = (icao, lon, fields = {}) => ({
+  icao,
+  lat: 0,
+  lon,
+  level: 1,
+  longestRunwayM: 3000,
+  longestPavedRunwayM: 3000,
+  ...fields
+})
+
+// About 2,999 km, so the 50 km samples fall exactly on the midpoint and quarter points
+const LEG_DEGREES = 26.97
+const origin = airport('AAAA', 0)
+const destination = airport('BBBB', LEG_DEGREES)
+const options = { maxLevel: 60, requireSuitableRunway: true }
+
+describe('getRequiredEtops', () => {
+  it('picks the smallest threshold that covers the diversion time', () => {
+    expect(getRequiredEtops(45)).toBe(0)
+    expect(getRequiredEtops(60)).toBe(0)
+    expect(getRequiredEtops(61)).toBe(120)
+    expect(getRequiredEtops(180)).toBe(180)
+    expect(getRequiredEtops(181)).toBeNull()
+  })
+})
+
+describe('analyzeEtops', () => {
+  it('finds the worst diversion halfway between the only airports', () => {
+    const analysis = analyzeEtops([{ origin, destination, aircraft: twin }], [origin, destination], options)
+    const [leg] = analysis.legs
+
+    expect(getDiversionSpeedKmh(twin)).toBe(640)
+    expect(leg.twinEngine).toBe(true)
+    expect(leg.samples[0].minutes).toBeCloseTo(0, 6)
+    expect(leg.maxDiversion.lon).toBeCloseTo(LEG_DEGREES / 2, 6)
+    expect(leg.maxDiversion.distanceKm).toBeCloseTo(LEG_DEGREES / 2 * KM_PER_DEGREE, 3)
+    expect(leg.maxDiversion.minutes).toBeCloseTo(LEG_DEGREES / 2 * KM_PER_DEGREE / 640 * 60, 3)
+    expect(leg.requiredEtops).toBe(180)
+    expect(analysis.requiredEtops).toBe(180)
+    expect(analysis.maxDiversion.leg).toBe(leg)
+  })
+
+  it('uses an airport on the way when its runway suits the aircraft', () => {
+    const midway = airport('CCCC', LEG_DEGREES / 2)
+    const analysis = analyzeEtops([{ origin, destination, aircraft: twin }], [origin, destination, midway], options)
+
+    expect(analysis.maxDiversion.minutes).toBeCloseTo(LEG_DEGREES / 4 * KM_PER_DEGREE / 640 * 60, 3)
+    expect(analysis.requiredEtops).toBe(120)
+  })
+
+  it('skips airports with runways too short for the aircraft', () => {
+    const shortStrip = airport('CCCC', LEG_DEGREES / 2, { longestRunwayM: 1000, longestPavedRunwayM: 1000 })
+    const analysis = analyzeEtops([{ origin, destination, aircraft: twin }], [origin, destination, shortStrip], options)
+
+    expect(analysis.maxDiversion.airport.icao).not.toBe('CCCC')
+    expect(analysis.requiredEtops).toBe(180)
+  })
+
+  it('reports the worst leg of an itinerary', () => {
+    const shortHop = airport('DDDD', LEG_DEGREES + 5)
+    const analysis = analyzeEtops([
+      { origin, destination, aircraft: twin },
+      { origin: destination, destination: shortHop, aircraft: twin }
+    ], [origin, destination, shortHop], options)
+
+    expect(analysis.legs.map(leg => leg.requiredEtops)).toEqual([180, 0])
+    expect(analysis.maxDiversion.leg).toBe(analysis.legs[0])
+  })
+})
+
+describe('getNonCompliantSegments', () => {
+  const [leg] = analyzeEtops([{ origin, destination, aircraft: twin }], [origin, destination], options).legs
+
+  it('fails the stretch beyond the diversion limit', () => {
+    // 120 minutes is 1,280 km, about 11.5° from either airport
+    const limitDegrees = 1280 / KM_PER_DEGREE
+    const segments = getNonCompliantSegments(leg, 120)
+
+    expect(segments).toHaveLength(1)
+    const [segment] = segments
+    const lons = segment.map(([, lon]) => lon)
+    // The stretch runs from the last compliant sample to the next compliant one
+    expect(lons[0]).toBeLessThan(limitDegrees)
+    expect(lons[1]).toBeGreaterThan(limitDegrees)
+    expect(lons[lons.length - 2]).toBeLessThan(LEG_DEGREES - limitDegrees)
+    expect(lons[lons.length - 1]).toBeGreaterThan(LEG_DEGREES - limitDegrees)
+    expect(lons).toContain(leg.maxDiversion.lon)
+  })
+
+  it('passes a leg that stays inside the diversion limit', () => {
+    expect(getNonCompliantSegments(leg, 180)).toEqual([])
+  })
+})
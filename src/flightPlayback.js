@@ -0,0 +1,82 @@
+import * as turf from '@turf/turf'
+
+// Flight playback: the legs' great-circle coordinates joined into one track, timed
+// so each leg takes its estimated flight time at an even ground speed
+
+export const PLAYBACK_SPEEDS = [60, 300, 600, 1200, 3600] // Simulated seconds per real second
+export const DEFAULT_PLAYBACK_SPEED = 600
+
+// Build the track of an itinerary's legs. Each point is { lat, lon, distanceKm,
+// hours, heading, legIndex } with the distance and time from the first departure;
+// longitudes are unwrapped per leg like the map's route lines.
+export const createFlightTrack = (legs) => {
+  const points = []
+  let startKm = 0
+  let startHours = 0
+
+  legs.forEach((leg, legIndex) => {
+    const { coordinates } = leg
+    const segmentKm = coordinates.slice(1).map(([lat, lon], index) => {
+      const [previousLat, previousLon] = coordinates[index]
+      return turf.distance([previousLon, previousLat], [lon, lat], { units: 'kilometers' })
+    })
+    // Scale the sampled distances to the leg's distance so the totals match the route info
+    const sampledKm = segmentKm.reduce((sum, km) => sum + km, 0)
+    const scale = sampledKm > 0 ? leg.distanceKm / sampledKm : 0
+
+    let alongKm = 0
+    coordinates.forEach(([lat, lon], index) => {
+      if (index > 0) alongKm += segmentKm[index - 1] * scale
+      const [fromLat, fromLon] = coordinates[Math.min(index, coordinates.length - 2)]
+      const [toLat, toLon] = coordinates[Math.min(index + 1, coordinates.length - 1)]
+      points.push({
+        lat,
+        lon,
+        distanceKm: startKm + alongKm,
+        hours: startHours + (leg.distanceKm > 0 ? alongKm / leg.distanceKm : 0) * leg.flightTimeHours,
+        heading: (turf.bearing([fromLon, fromLat], [toLon, toLat]) + 360) % 360,
+        legIndex
+      })
+    })
+
+    startKm += leg.distanceKm
+    startHours += leg.flightTimeHours
+  })
+
+  return {
+    points,
+    totalKm: startKm,
+    totalHours: startHours,
+    legs: legs.map(({ origin, destination }) => ({ origin, destination }))
+  }
+}
+
+// Position on a track after a number of hours: { lat, lon, heading, legIndex,
+// elapsedHours, flownKm, remainingKm }, interpolated between the track's points
+export const getTrackPosition = (track, hours) => {
+  const { points } = track
+  const elapsedHours = Math.max(0, Math.min(track.totalHours, hours))
+
+  // Find the last point at or before the elapsed time
+  let low = 0
+  let high = points.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (points[middle].hours <= elapsedHours) low = middle
+    else high = middle - 1
+  }
+  const from = points[low]
+  const to = points[Math.min(low + 1, points.length - 1)]
+  const fraction = to.hours > from.hours ? (elapsedHours - from.hours) / (to.hours - from.hours) : 0
+
+  const flownKm = from.distanceKm + (to.distanceKm - from.distanceKm) * fraction
+  return {
+    lat: from.lat + (to.lat - from.lat) * fraction,
+    lon: from.lon + (to.lon - from.lon) * fraction,
+    heading: from.heading,
+    legIndex: from.legIndex,
+    elapsedHours,
+    flownKm,
+    remainingKm: Math.max(0, track.totalKm - flownKm)
+  }
+}
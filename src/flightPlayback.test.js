@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import { createFlightTrack, getTrackPosition } from './flightPlayback.js'
+
+const KM_PER_DEGREE = 6371.0088 * Math.PI / 180
+
+// Legs in the shape built for the route: [lat, lon] coordinates along the great circle,
+// longitudes unwrapped, with the leg's distance and flight time
+const leg = (iatas, coordinates, distanceKm, flightTimeHours) => ({
+  origin: { iata: iatas[0] },
+  destination: { iata: iatas[1] },
+  coordinates,
+  distanceKm,
+  flightTimeHours
+})
+
+// Two legs east along the equator: 10° in 2 hours, then 10° in 1 hour
+const firstLeg = leg(['AAA', 'BBB'], [[0, 0], [0, 5], [0, 10]], 10 * KM_PER_DEGREE, 2)
+const secondLeg = leg(['BBB', 'CCC'], [[0, 10], [0, 15], [0, 20]], 10 * KM_PER_DEGREE, 1)
+const track = createFlightTrack([firstLeg, secondLeg])
+
+describe('createFlightTrack', () => {
+  it('joins the legs with distances and times from the first departure', () => {
+    expect(track.totalKm).toBeCloseTo(20 * KM_PER_DEGREE, 6)
+    expect(track.totalHours).toBe(3)
+    expect(track.points.map(point => point.legIndex)).toEqual([0, 0, 0, 1, 1, 1])
+    expect(track.points.map(point => point.hours)).toEqual([0, 1, 2, 2, 2.5, 3].map(hours => expect.closeTo(hours, 9)))
+    expect(track.points.every(point => Math.abs(point.heading - 90) < 1e-6)).toBe(true)
+    expect(track.legs).toEqual([
+      { origin: { iata: 'AAA' }, destination: { iata: 'BBB' } },
+      { origin: { iata: 'BBB' }, destination: { iata: 'CCC' } }
+    ])
+  })
+
+  it('scales the sampled distances to the leg distance', () => {
+    const scaled = createFlightTrack([leg(['AAA', 'BBB'], [[0, 0], [0, 5], [0, 10]], 1000, 2)])
+    expect(scaled.points.map(point => point.distanceKm)).toEqual([0, 500, 1000].map(km => expect.closeTo(km, 6)))
+  })
+})
+
+describe('getTrackPosition', () => {
+  it('interpolates within each leg at its own speed', () => {
+    const firstHalf = getTrackPosition(track, 1.5)
+    expect(firstHalf.lon).toBeCloseTo(7.5, 9)
+    expect(firstHalf.legIndex).toBe(0)
+    expect(firstHalf.flownKm).toBeCloseTo(7.5 * KM_PER_DEGREE, 6)
+
+    const secondHalf = getTrackPosition(track, 2.25)
+    expect(secondHalf.lon).toBeCloseTo(12.5, 9)
+    expect(secondHalf.legIndex).toBe(1)
+    expect(secondHalf.remainingKm).toBeCloseTo(7.5 * KM_PER_DEGREE, 6)
+  })
+
+  it('clamps to the departure at t=0 and before', () => {
+    [0, -1].forEach(hours => {
+      expect(getTrackPosition(track, hours)).toMatchObject({
+        lat: 0,
+        lon: 0,
+        legIndex: 0,
+        elapsedHours: 0,
+        flownKm: 0,
+        remainingKm: track.totalKm
+      })
+    })
+  })
+
+  it('clamps to the destination at t=end and after', () => {
+    [3, 10].forEach(hours => {
+      const position = getTrackPosition(track, hours)
+      expect(position).toMatchObject({ lat: 0, lon: 20, legIndex: 1, elapsedHours: 3, remainingKm: 0 })
+      expect(position.flownKm).toBeCloseTo(track.totalKm, 6)
+    })
+  })
+
+  it('keeps moving east across the antimeridian on unwrapped longitudes', () => {
+    const pacific = createFlightTrack([leg(['AAA', 'BBB'], [[0, 170], [0, 180], [0, 190]], 20 * KM_PER_DEGREE, 2)])
+
+    expect(getTrackPosition(pacific, 1).lon).toBeCloseTo(180, 9)
+    expect(getTrackPosition(pacific, 1.5).lon).toBeCloseTo(185, 9)
+    expect(getTrackPosition(pacific, 2).lon).toBe(190)
+    expect(pacific.points.every(point => Math.abs(point.heading - 90) < 1e-6)).toBe(true)
+  })
+})
@@ -0,0 +1,179 @@
+import L from 'leaflet'
+import { leafletRasterLayer, FileSource, PMTiles, TileType } from 'pmtiles'
+import { leafletLayer, paintRules, labelRules } from 'protomaps-leaflet'
+import { namedFlavor } from '@protomaps/basemaps'
+import { OfflineTileLayer } from './offlineTiles.js'
+
+// Leaflet layers for the base maps and overlays described in baseMaps.js
+
+const GRATICULE_STYLE = { color: '#666', weight: 1, opacity: 0.5, interactive: false }
+const FIR_STYLE = { color: '#7c3aed', weight: 1.5, opacity: 0.8, fillOpacity: 0.03 }
+const GRATICULE_MAX_LATITUDE = 85
+
+// Night flying: the dark style made darker still, with dim amber labels that are
+// easier on night-adapted eyes and aerodromes and runways standing out
+const DARK_FLAVOR = namedFlavor('dark')
+const NIGHT_FLYING_FLAVOR = {
+  ...DARK_FLAVOR,
+  background: '#0d0f12',
+  earth: '#121416',
+  water: '#080a0e',
+  buildings: '#0b0b0b',
+  aerodrome: '#1f1c16',
+  runway: '#5c5240',
+  boundaries: '#3e4350',
+  ocean_label: '#4b4f58',
+  roads_label_minor: '#4a4032',
+  roads_label_minor_halo: '#0d0f12',
+  roads_label_major: '#5e5140',
+  roads_label_major_halo: '#0d0f12',
+  subplace_label: '#5e5140',
+  subplace_label_halo: '#0d0f12',
+  city_label: '#8c7a5c',
+  city_label_halo: '#0d0f12',
+  state_label: '#4a4032',
+  state_label_halo: '#0d0f12',
+  country_label: '#6e604a',
+  address_label: '#4a4032',
+  address_label_halo: '#0d0f12',
+  pois: Object.fromEntries(Object.keys(DARK_FLAVOR.pois).map(key => [key, '#6e604a']))
+}
+
+const VECTOR_STYLES = {
+  day: namedFlavor('light'),
+  night: NIGHT_FLYING_FLAVOR
+}
+
+// Grid spacing in degrees for a zoom level, so the grid stays readable
+const getGraticuleStep = (zoom) => {
+  if (zoom <= 2) return 30
+  if (zoom <= 4) return 10
+  if (zoom <= 6) return 5
+  if (zoom <= 8) return 1
+  return 0.5
+}
+
+// Open a PMTiles archive from the device for the vector base maps. Rejects unless
+// it holds vector tiles.
+export const openVectorTilesFile = async (file) => {
+  const source = new PMTiles(new FileSource(file))
+  const header = await source.getHeader()
+  if (header.tileType !== TileType.Mvt) throw new Error('This file has no vector tiles')
+  return source
+}
+
+// Options for the protomaps-leaflet layer of a vector base map, drawn with its style.
+// Reads vectorSource, an archive from openVectorTilesFile, in place of the base
+// map's URL when given.
+export const getVectorLayerOptions = (baseMap, mapMaxZoom, vectorSource = null) => {
+  const flavor = VECTOR_STYLES[baseMap.style]
+  return {
+    url: vectorSource || baseMap.url,
+    paintRules: paintRules(flavor),
+    labelRules: labelRules(flavor, 'en'),
+    backgroundColor: flavor.background,
+    maxDataZoom: baseMap.maxZoom,
+    maxZoom: mapMaxZoom,
+    attribution: baseMap.attribution
+  }
+}
+
+// Helper function to cancel a vector layer's pending tile reads. protomaps-leaflet
+// only cancels them when the zoom changes, so a removed layer would otherwise keep
+// reading its archive. There is no public API for this: it uses the internals of
+// protomaps-leaflet 5.1.0, which package.json pins exactly, and does nothing if
+// their shape changes.
+const abortPendingTileReads = (layer) => {
+  if (!(layer.views instanceof Map)) return
+  layer.views.forEach(view => {
+    const source = view?.tileCache?.source
+    if (!Array.isArray(source?.zoomaborts)) return
+    source.zoomaborts.forEach(pending => pending?.controller?.abort?.())
+    source.zoomaborts = []
+  })
+}
+
+// Create the tile layer for a base map. Beyond the base map's own maximum zoom its
+// tiles are scaled up to the map's maximum zoom. Vector base maps read vectorSource
+// when given (see getVectorLayerOptions) and stop reading tiles once removed.
+export const createBaseLayer = (baseMap, mapMaxZoom, vectorSource = null) => {
+  if (baseMap.vector) {
+    const layer = leafletLayer(getVectorLayerOptions(baseMap, mapMaxZoom, vectorSource))
+    return layer.on('remove', () => abortPendingTileReads(layer))
+  }
+
+  const options = {
+    attribution: baseMap.attribution,
+    maxNativeZoom: baseMap.maxZoom,
+    maxZoom: mapMaxZoom,
+    subdomains: baseMap.subdomains || 'abc'
+  }
+  if (baseMap.pmtiles) return leafletRasterLayer(new PMTiles(baseMap.url), options)
+  // OpenStreetMap can show areas downloaded for offline use from the device
+  if (baseMap.offlineDownloads) return new OfflineTileLayer(baseMap.url, options)
+  return L.tileLayer(baseMap.url, options)
+}
+
+// Latitude/longitude grid that redraws for the visible area at a spacing suited
+// to the zoom level
+const GraticuleLayer = L.LayerGroup.extend({
+  onAdd(map) {
+    L.LayerGroup.prototype.onAdd.call(this, map)
+    map.on('moveend', this._redraw, this)
+    this._redraw()
+  },
+
+  onRemove(map) {
+    map.off('moveend', this._redraw, this)
+    L.LayerGroup.prototype.onRemove.call(this, map)
+  },
+
+  _redraw() {
+    const map = this._map
+    const bounds = map.getBounds()
+    const step = getGraticuleStep(map.getZoom())
+    const south = Math.max(-GRATICULE_MAX_LATITUDE, Math.floor(bounds.getSouth() / step) * step)
+    const north = Math.min(GRATICULE_MAX_LATITUDE, Math.ceil(bounds.getNorth() / step) * step)
+    const west = Math.floor(bounds.getWest() / step) * step
+    const east = Math.ceil(bounds.getEast() / step) * step
+
+    this.clearLayers()
+    for (let lat = Math.ceil(south / step) * step; lat <= north; lat += step) {
+      this.addLayer(L.polyline([[lat, west], [lat, east]], GRATICULE_STYLE))
+    }
+    for (let lon = west; lon <= east; lon += step) {
+      this.addLayer(L.polyline([[south, lon], [north, lon]], GRATICULE_STYLE))
+    }
+  }
+})
+
+export const createGraticuleLayer = () => new GraticuleLayer()
+
+// FIR boundaries from a GeoJSON file, labelled by the features' id or name. The
+// file is fetched when the overlay is first shown.
+export const createFirLayer = (url) => {
+  const layer = L.geoJSON(null, {
+    style: FIR_STYLE,
+    onEachFeature: (feature, featureLayer) => {
+      const { id, name, ICAO } = feature.properties || {}
+      const label = [ICAO || id, name].filter(Boolean).join(' · ')
+      if (label) featureLayer.bindTooltip(label, { sticky: true })
+    }
+  })
+  let loaded = false
+  layer.on('add', () => {
+    if (loaded) return
+    loaded = true
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json()
+      })
+      .then(geojson => layer.addData(geojson))
+      .catch(err => {
+        loaded = false
+        console.error('Failed to load FIR boundaries:', err)
+      })
+  })
+  return layer
+}
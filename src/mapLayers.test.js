@@ -0,0 +1,98 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import L from 'leaflet'
+import { createBaseLayer, getVectorLayerOptions } from './mapLayers.js'
+import { getBaseMap } from './baseMaps.js'
+
+const MAP_MAX_ZOOM = 18
+
+// Colour of a style's land, from its paint rules
+const getEarthColor = (options) => options.paintRules.find(rule => rule.dataLayer === 'earth').symbolizer.fill.get(0)
+
+// Fixed fill and line colours of a style's paint rules
+const getPaintColors = (options) => options.paintRules
+  .map(({ symbolizer }) => (symbolizer.fill || symbolizer.color)?.str)
+  .filter(color => typeof color === 'string')
+
+describe('getVectorLayerOptions', () => {
+  const archive = { name: 'tiles.pmtiles' }
+
+  it('builds the day style', () => {
+    const options = getVectorLayerOptions(getBaseMap('vector'), MAP_MAX_ZOOM, archive)
+
+    expect(options).toMatchObject({ url: archive, maxDataZoom: 15, maxZoom: MAP_MAX_ZOOM, backgroundColor: '#cccccc' })
+    expect(getEarthColor(options)).toBe('#e2dfda')
+    expect(options.labelRules.length).toBeGreaterThan(0)
+    expect(options.attribution).toContain('Protomaps')
+  })
+
+  it('builds the night-flying style', () => {
+    const options = getVectorLayerOptions(getBaseMap('vector-night'), MAP_MAX_ZOOM, archive)
+
+    expect(options).toMatchObject({ url: archive, maxDataZoom: 15, maxZoom: MAP_MAX_ZOOM, backgroundColor: '#0d0f12' })
+    expect(getEarthColor(options)).toBe('#121416')
+    // Aerodromes and runways stand out from the darkened land
+    expect(getPaintColors(options)).toEqual(expect.arrayContaining(['#1f1c16', '#5c5240']))
+  })
+
+  it('falls back to the base map URL without an archive', () => {
+    const baseMap = { ...getBaseMap('vector'), url: '/tiles.pmtiles' }
+    expect(getVectorLayerOptions(baseMap, MAP_MAX_ZOOM).url).toBe('/tiles.pmtiles')
+  })
+})
+
+describe('createBaseLayer', () => {
+  let container
+  let map
+
+  beforeEach(() => {
+    // jsdom has no 2D canvas; the vector layer only needs one to draw
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null)
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    map = L.map(container, { center: [51.5, 0], zoom: 4 })
+  })
+
+  afterEach(() => {
+    map.remove()
+    container.remove()
+    vi.restoreAllMocks()
+  })
+
+  it('removes the vector layer and stops its tile reads when switching back to raster', () => {
+    // An archive whose reads never finish, recording the signal of each
+    const signals = []
+    const archive = {
+      getZxy: (z, x, y, signal) => {
+        signals.push(signal)
+        return new Promise(() => {})
+      }
+    }
+
+    const vectorLayer = createBaseLayer(getBaseMap('vector'), MAP_MAX_ZOOM, archive).addTo(map)
+    const vectorTiles = container.querySelectorAll('canvas.leaflet-tile')
+    expect(vectorTiles.length).toBeGreaterThan(0)
+    expect(signals.length).toBeGreaterThan(0)
+
+    vectorLayer.remove()
+    const rasterLayer = createBaseLayer(getBaseMap('osm'), MAP_MAX_ZOOM).addTo(map)
+
+    const layers = []
+    map.eachLayer(layer => layers.push(layer))
+    expect(layers).toEqual([rasterLayer])
+    expect(container.querySelectorAll('canvas.leaflet-tile')).toHaveLength(0)
+    expect(signals.every(signal => signal.aborted)).toBe(true)
+  })
+
+  it('still switches back to raster if protomaps-leaflet internals change shape', () => {
+    const archive = { getZxy: () => new Promise(() => {}) }
+    const shapes = [undefined, new Map([['', {}]]), new Map([['', { tileCache: { source: { zoomaborts: [null, {}] } } }]])]
+
+    shapes.forEach(views => {
+      const vectorLayer = createBaseLayer(getBaseMap('vector'), MAP_MAX_ZOOM, archive).addTo(map)
+      vectorLayer.views = views
+      expect(() => vectorLayer.remove()).not.toThrow()
+      expect(map.hasLayer(vectorLayer)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,227 @@
+import L from 'leaflet'
+import * as turf from '@turf/turf'
+import { getAllRecords, putRecord, deleteRecord } from './db.js'
+
+// Offline map regions: OpenStreetMap tiles for a bounding box or a corridor around
+// the route, downloaded ahead of time into their own Cache Storage cache (separate
+// from the service worker's cache of viewed tiles, so they are never evicted) and
+// listed in IndexedDB so they can be deleted again. The map's tile layer looks in
+// this cache before going to the network.
+//
+// Downloads are capped and fetched two at a time to stay within the OpenStreetMap
+// tile usage policy, which discourages bulk downloading.
+
+const STORE = 'offlineRegions'
+const TILE_CACHE = 'offline-map-tiles'
+const TILE_URL = 'https://tile.openstreetmap.org'
+const MAX_TILE_LATITUDE = 85.0511 // Web Mercator cuts off the poles
+const KM_PER_DEGREE_LATITUDE = 111.32
+const AVERAGE_TILE_BYTES = 15 * 1024
+const DOWNLOAD_CONCURRENCY = 2
+const QUOTA_HEADROOM = 0.9 // Leave some of the free storage for the rest of the app
+
+export const MAX_REGION_TILES = 5000
+export const MAX_DOWNLOAD_ZOOM = 14
+
+// Network URL of a tile, from its "z/x/y" key
+const getTileUrl = (key) => `${TILE_URL}/${key}.png`
+
+const lonToTileX = (lon, zoom) => Math.floor((lon + 180) / 360 * 2 ** zoom)
+
+const latToTileY = (lat, zoom) => {
+  const rad = Math.max(-MAX_TILE_LATITUDE, Math.min(MAX_TILE_LATITUDE, lat)) * Math.PI / 180
+  const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** zoom)
+  return Math.max(0, Math.min(2 ** zoom - 1, y))
+}
+
+// Helper function to add the tiles covering a box at one zoom level. Returns false
+// once the total exceeds MAX_REGION_TILES, without listing huge boxes first.
+const addBoxTiles = (keys, { south, west, north, east }, zoom) => {
+  const count = 2 ** zoom
+  const xStart = lonToTileX(west, zoom)
+  const xEnd = east - west >= 360 ? xStart + count - 1 : lonToTileX(east, zoom)
+  const yStart = latToTileY(north, zoom)
+  const yEnd = latToTileY(south, zoom)
+  if ((xEnd - xStart + 1) * (yEnd - yStart + 1) > MAX_REGION_TILES) return false
+
+  for (let x = xStart; x <= xEnd; x++) {
+    for (let y = yStart; y <= yEnd; y++) {
+      keys.add(`${zoom}/${((x % count) + count) % count}/${y}`)
+    }
+  }
+  return keys.size <= MAX_REGION_TILES
+}
+
+// Helper function to cover a route corridor with small boxes: the paths are walked in
+// steps of half the corridor width and a box of the corridor width drawn around each
+// step, so neighbouring boxes overlap and leave no gaps
+const getCorridorBoxes = (paths, widthKm) => {
+  const boxes = []
+  const addBox = (lat, lon) => {
+    const latDelta = widthKm / KM_PER_DEGREE_LATITUDE
+    const lonDelta = widthKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+    boxes.push({
+      south: Math.max(-90, lat - latDelta),
+      north: Math.min(90, lat + latDelta),
+      west: lon - Math.min(lonDelta, 180),
+      east: lon + Math.min(lonDelta, 180)
+    })
+  }
+
+  paths.forEach(path => {
+    path.forEach(([lat, lon], index) => {
+      if (index === 0) {
+        addBox(lat, lon)
+        return
+      }
+      const [previousLat, previousLon] = path[index - 1]
+      const distanceKm = turf.distance([previousLon, previousLat], [lon, lat], { units: 'kilometers' })
+      const steps = Math.max(1, Math.ceil(distanceKm / (widthKm / 2)))
+      for (let step = 1; step <= steps; step++) {
+        const fraction = step / steps
+        addBox(previousLat + (lat - previousLat) * fraction, previousLon + (lon - previousLon) * fraction)
+      }
+    })
+  })
+  return boxes
+}
+
+// List the tiles of an area, which is { bounds: { south, west, north, east } } for a
+// bounding box or { paths, widthKm } for a corridor around [lat, lon] paths. Returns
+// { keys, bounds, tooMany } where tooMany is set (and keys incomplete) once the area
+// needs more than MAX_REGION_TILES tiles.
+export const listRegionTiles = (area, minZoom, maxZoom) => {
+  const boxes = area.bounds ? [area.bounds] : getCorridorBoxes(area.paths, area.widthKm)
+  const bounds = {
+    south: Math.min(...boxes.map(box => box.south)),
+    west: Math.min(...boxes.map(box => box.west)),
+    north: Math.max(...boxes.map(box => box.north)),
+    east: Math.max(...boxes.map(box => box.east))
+  }
+
+  const keys = new Set()
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    for (const box of boxes) {
+      if (!addBoxTiles(keys, box, zoom)) return { keys: [...keys], bounds, tooMany: true }
+    }
+  }
+  return { keys: [...keys], bounds, tooMany: false }
+}
+
+// Rough download size of a number of tiles in bytes
+export const estimateTileBytes = (tileCount) => tileCount * AVERAGE_TILE_BYTES
+
+// Check that the browser will let us store about this many more bytes. Resolves to
+// { ok, availableBytes }, where availableBytes is null if the browser cannot tell.
+export const checkStorageQuota = async (bytes) => {
+  if (!navigator.storage?.estimate) return { ok: true, availableBytes: null }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+  const availableBytes = Math.max(0, quota - usage)
+  return { ok: bytes <= availableBytes * QUOTA_HEADROOM, availableBytes }
+}
+
+let tileCachePromise = null
+
+// Helper function to open the offline tile cache once, or resolve to null where Cache
+// Storage is unavailable (e.g. outside a secure context)
+const openTileCache = () => {
+  if (!tileCachePromise) {
+    tileCachePromise = typeof caches === 'undefined'
+      ? Promise.resolve(null)
+      : caches.open(TILE_CACHE).catch(() => null)
+  }
+  return tileCachePromise
+}
+
+// Download tiles into the offline cache, skipping those already there. Calls
+// onProgress({ done, total, failed, bytes }) after each tile and rejects with an
+// AbortError if the signal is aborted. Resolves to { failed, bytes }.
+export const downloadTiles = async (keys, { onProgress, signal }) => {
+  const cache = await openTileCache()
+  if (!cache) throw new Error('This browser cannot store map tiles offline')
+  // Ask the browser not to clear the tiles when it runs low on space
+  await navigator.storage?.persist?.().catch(() => false)
+
+  const progress = { done: 0, total: keys.length, failed: 0, bytes: 0 }
+  let next = 0
+  const downloadNext = async () => {
+    while (next < keys.length) {
+      signal.throwIfAborted()
+      const url = getTileUrl(keys[next++])
+      try {
+        let response = await cache.match(url)
+        if (!response) {
+          response = await fetch(url, { signal })
+          if (!response.ok) throw new Error(`HTTP ${response.status}`)
+          await cache.put(url, response.clone())
+        }
+        progress.bytes += (await response.blob()).size
+      } catch (err) {
+        if (err.name === 'AbortError') throw err
+        progress.failed += 1
+      }
+      progress.done += 1
+      onProgress({ ...progress })
+    }
+  }
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, downloadNext))
+  return { failed: progress.failed, bytes: progress.bytes }
+}
+
+// Remove tiles from the offline cache unless one of the kept regions still uses them
+export const discardTiles = async (keys, keptRegions) => {
+  const cache = await openTileCache()
+  if (!cache) return
+  const kept = new Set(keptRegions.flatMap(region => region.tiles))
+  await Promise.all(keys.filter(key => !kept.has(key)).map(key => cache.delete(getTileUrl(key))))
+}
+
+export const loadOfflineRegions = () => getAllRecords(STORE)
+  .then(regions => regions.sort((a, b) => a.createdAt.localeCompare(b.createdAt)))
+
+// Record a downloaded region. Resolves to the stored region with its id.
+export const saveOfflineRegion = async (region) => {
+  const record = { ...region, createdAt: new Date().toISOString() }
+  const id = await putRecord(STORE, record)
+  return { ...record, id }
+}
+
+// Delete a region and the tiles no other region uses
+export const deleteOfflineRegion = async (region, allRegions) => {
+  await discardTiles(region.tiles, allRegions.filter(other => other.id !== region.id))
+  await deleteRecord(STORE, region.id)
+}
+
+// Helper function to find a tile in the offline cache, or null
+const findOfflineTile = async (key) => {
+  const cache = await openTileCache()
+  const response = cache && await cache.match(getTileUrl(key))
+  return response ? response.blob() : null
+}
+
+// Tile layer that shows downloaded tiles from the offline cache and loads the rest
+// from the network as usual
+export const OfflineTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img')
+    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile))
+    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile))
+    tile.alt = ''
+    tile.setAttribute('role', 'presentation')
+
+    const networkUrl = this.getTileUrl(coords)
+    findOfflineTile(`${coords.z}/${coords.x}/${coords.y}`)
+      .catch(() => null)
+      .then(blob => {
+        if (!blob) {
+          tile.src = networkUrl
+          return
+        }
+        const objectUrl = URL.createObjectURL(blob)
+        tile.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true })
+        tile.src = objectUrl
+      })
+    return tile
+  }
+})
@@ -0,0 +1,77 @@
+// Shareable route permalinks stored in the URL hash, e.g.
+// #route=EGLL-OMDB-YSSY&aircraft=B789&view=2d&map=6/51.4700/-0.4500
+
+const WAYPOINT_SEPARATOR = '-'
+const COORDINATE_PRECISION = 4
+const VIEW_MODES = ['2d', '3d']
+
+// Parse a location hash into waypoint codes, aircraft, view mode and map view.
+// Missing or malformed parts are returned as null so callers can keep their defaults.
+export const parsePermalink = (hash) => {
+  const params = {}
+  hash.replace(/^#/, '').split('&').forEach(pair => {
+    if (!pair) return
+    const [key, ...rest] = pair.split('=')
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(rest.join('='))
+    } catch (err) {
+      // Skip badly encoded parts, e.g. from a link cut off mid-escape
+    }
+  })
+
+  const waypointCodes = params.route
+    ? params.route.split(WAYPOINT_SEPARATOR).filter(Boolean)
+    : []
+
+  const aircraftId = params.aircraft || null
+
+  const viewMode = VIEW_MODES.includes(params.view) ? params.view : null
+
+  let mapView = null
+  if (params.map) {
+    const [zoom, lat, lng] = params.map.split('/').map(Number)
+    if ([zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90) {
+      mapView = { zoom, lat, lng }
+    }
+  }
+
+  return { waypointCodes, aircraftId, viewMode, mapView }
+}
+
+// Build a location hash for the given itinerary, aircraft, view mode and map view
+export const buildPermalink = ({ waypoints, aircraftId, viewMode, mapView }) => {
+  const parts = []
+
+  if (waypoints.length > 0) {
+    const codes = waypoints.map(airport => encodeURIComponent(airport.icao))
+    parts.push(`route=${codes.join(WAYPOINT_SEPARATOR)}`)
+  }
+
+  if (aircraftId) {
+    parts.push(`aircraft=${encodeURIComponent(aircraftId)}`)
+  }
+
+  parts.push(`view=${viewMode}`)
+
+  if (mapView) {
+    const lat = mapView.lat.toFixed(COORDINATE_PRECISION)
+    const lng = mapView.lng.toFixed(COORDINATE_PRECISION)
+    parts.push(`map=${Math.round(mapView.zoom)}/${lat}/${lng}`)
+  }
+
+  return `#${parts.join('&')}`
+}
+
+// Resolve waypoint codes from a permalink against the loaded airport list
+export const resolveWaypointCodes = (codes, airports) => {
+  const byIcao = new Map(airports.map(airport => [airport.icao, airport]))
+  return codes
+    .map(code => {
+      const airport = byIcao.get(code.toUpperCase())
+      if (!airport) {
+        console.warn(`Unknown airport in permalink: ${code}`)
+      }
+      return airport
+    })
+    .filter(Boolean)
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { parsePermalink, buildPermalink } from './permalink.js'
+
+describe('parsePermalink', () => {
+  it('reads the route, aircraft, view mode and map view', () => {
+    expect(parsePermalink('#route=EGLL-OMDB-YSSY&aircraft=B789&view=3d&map=6/51.4700/-0.4500')).toEqual({
+      waypointCodes: ['EGLL', 'OMDB', 'YSSY'],
+      aircraftId: 'B789',
+      viewMode: '3d',
+      mapView: { zoom: 6, lat: 51.47, lng: -0.45 }
+    })
+  })
+
+  it('returns the null defaults for an empty hash', () => {
+    expect(parsePermalink('')).toEqual({ waypointCodes: [], aircraftId: null, viewMode: null, mapView: null })
+  })
+
+  it('skips badly encoded parts instead of throwing', () => {
+    expect(parsePermalink('#route=%E0%A4%A&view=2d')).toEqual({
+      waypointCodes: [],
+      aircraftId: null,
+      viewMode: '2d',
+      mapView: null
+    })
+    expect(parsePermalink('#%E0%A4%A=EGLL')).toEqual({ waypointCodes: [], aircraftId: null, viewMode: null, mapView: null })
+  })
+
+  it('ignores an unknown view mode and an out-of-range map view', () => {
+    const result = parsePermalink('#view=4d&map=6/95/0')
+    expect(result.viewMode).toBeNull()
+    expect(result.mapView).toBeNull()
+  })
+})
+
+describe('buildPermalink', () => {
+  it('round-trips through parsePermalink', () => {
+    const hash = buildPermalink({
+      waypoints: [{ icao: 'EGLL' }, { icao: 'KJFK' }],
+      aircraftId: 'B789',
+      viewMode: '2d',
+      mapView: { zoom: 5.6, lat: 51.47, lng: -0.45 }
+    })
+    expect(hash).toBe('#route=EGLL-KJFK&aircraft=B789&view=2d&map=6/51.4700/-0.4500')
+    expect(parsePermalink(hash).waypointCodes).toEqual(['EGLL', 'KJFK'])
+  })
+})
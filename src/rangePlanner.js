@@ -0,0 +1,111 @@
+// Shortest multi-stop path between two airports for an aircraft with a limited
+// range: an A* search over the graph whose edges join every pair of airports
+// within range of each other, weighted by great-circle distance. The graph is
+// implicit, so each step scans all airports; positions are kept as unit vectors
+// so that the range check and distances need only a dot product.
+
+const EARTH_RADIUS_KM = 6371.0088 // Mean radius, as used by turf
+
+// Helper function to convert [lat, lon] pairs into unit vectors
+const toUnitVectors = (coords) => {
+  const count = coords.length / 2
+  const vectors = new Float64Array(count * 3)
+  for (let i = 0; i < count; i++) {
+    const lat = coords[2 * i] * Math.PI / 180
+    const lon = coords[2 * i + 1] * Math.PI / 180
+    vectors[3 * i] = Math.cos(lat) * Math.cos(lon)
+    vectors[3 * i + 1] = Math.cos(lat) * Math.sin(lon)
+    vectors[3 * i + 2] = Math.sin(lat)
+  }
+  return vectors
+}
+
+// Helper function for the dot product of two unit vectors (the cosine of their angle)
+const dot = (vectors, a, b) =>
+  vectors[3 * a] * vectors[3 * b] + vectors[3 * a + 1] * vectors[3 * b + 1] + vectors[3 * a + 2] * vectors[3 * b + 2]
+
+const angleToKm = (cosine) => Math.acos(Math.min(1, Math.max(-1, cosine))) * EARTH_RADIUS_KM
+
+// Minimal binary heap of node indices ordered by a priority array
+const createHeap = (priorities) => {
+  const items = []
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]] }
+  return {
+    size: () => items.length,
+    push: (node) => {
+      items.push(node)
+      let i = items.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (priorities[items[parent]] <= priorities[items[i]]) break
+        swap(i, parent)
+        i = parent
+      }
+    },
+    pop: () => {
+      const top = items[0]
+      const last = items.pop()
+      if (items.length > 0) {
+        items[0] = last
+        let i = 0
+        for (;;) {
+          const left = 2 * i + 1
+          const right = left + 1
+          let smallest = i
+          if (left < items.length && priorities[items[left]] < priorities[items[smallest]]) smallest = left
+          if (right < items.length && priorities[items[right]] < priorities[items[smallest]]) smallest = right
+          if (smallest === i) break
+          swap(i, smallest)
+          i = smallest
+        }
+      }
+      return top
+    }
+  }
+}
+
+// Find the shortest path from origin to destination using hops of at most rangeKm.
+// `coords` is a flat array of [lat, lon] pairs; returns the list of point indices
+// from origin to destination, or null if no path exists.
+export const findShortestPath = (coords, originIndex, destinationIndex, rangeKm) => {
+  const count = coords.length / 2
+  const vectors = toUnitVectors(coords)
+  const minCosine = Math.cos(Math.min(rangeKm / EARTH_RADIUS_KM, Math.PI))
+
+  const distances = new Float64Array(count).fill(Infinity)
+  const estimates = new Float64Array(count).fill(Infinity) // Distance so far plus straight line to go
+  const previous = new Int32Array(count).fill(-1)
+  const visited = new Uint8Array(count)
+  const heap = createHeap(estimates)
+
+  distances[originIndex] = 0
+  estimates[originIndex] = angleToKm(dot(vectors, originIndex, destinationIndex))
+  heap.push(originIndex)
+
+  while (heap.size() > 0) {
+    const current = heap.pop()
+    if (visited[current]) continue // Stale entry left behind by a shorter path
+    visited[current] = 1
+
+    if (current === destinationIndex) {
+      const path = [current]
+      while (previous[path[0]] !== -1) path.unshift(previous[path[0]])
+      return path
+    }
+
+    for (let next = 0; next < count; next++) {
+      if (visited[next]) continue
+      const cosine = dot(vectors, current, next)
+      if (cosine < minCosine) continue
+      const distance = distances[current] + angleToKm(cosine)
+      if (distance < distances[next]) {
+        distances[next] = distance
+        previous[next] = current
+        estimates[next] = distance + angleToKm(dot(vectors, next, destinationIndex))
+        heap.push(next)
+      }
+    }
+  }
+
+  return null
+}
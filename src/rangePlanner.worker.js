@@ -0,0 +1,10 @@
+import { findShortestPath } from './rangePlanner.js'
+
+// Web Worker that runs the range-constrained path search off the main thread.
+// Messages: { id, coords, originIndex, destinationIndex, rangeKm } replies with
+// { id, path } where path lists point indices, or is null if no path exists.
+
+self.onmessage = ({ data }) => {
+  const path = findShortestPath(data.coords, data.originIndex, data.destinationIndex, data.rangeKm)
+  self.postMessage({ id: data.id, path })
+}
@@ -0,0 +1,68 @@
+import { findShortestPath } from './rangePlanner.js'
+
+// Main-thread client for the range planner worker. Falls back to searching on
+// the main thread if workers are unavailable or the worker fails to load.
+
+export const createRangePlannerClient = () => {
+  const pending = new Map()
+  let nextRequestId = 0
+  let worker = null
+
+  const searchLocally = ({ coords, originIndex, destinationIndex, rangeKm }) => ({
+    path: findShortestPath(coords, originIndex, destinationIndex, rangeKm)
+  })
+
+  // Answer outstanding requests on the main thread after a worker failure
+  const fallBackToMainThread = (error) => {
+    console.warn('Range planner worker unavailable, searching on the main thread:', error)
+    worker?.terminate()
+    worker = null
+    pending.forEach(({ request, resolve }) => resolve(searchLocally(request)))
+    pending.clear()
+  }
+
+  try {
+    worker = new Worker(new URL('./rangePlanner.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id)
+      if (!request) return
+      pending.delete(data.id)
+      request.resolve(data)
+    }
+    worker.onerror = fallBackToMainThread
+  } catch (error) {
+    fallBackToMainThread(error)
+  }
+
+  const send = (request) => {
+    if (!worker) return Promise.resolve(searchLocally(request))
+
+    return new Promise(resolve => {
+      const id = nextRequestId++
+      pending.set(id, { request, resolve })
+      worker.postMessage({ id, ...request })
+    })
+  }
+
+  return {
+    // Resolve to the shortest list of airports from origin to destination with no
+    // hop longer than rangeKm, stopping only at the candidate airports, or null
+    findPath: (origin, destination, candidates, rangeKm) => {
+      const points = [origin, destination, ...candidates.filter(airport =>
+        airport.icao !== origin.icao && airport.icao !== destination.icao
+      )]
+      const coords = new Float64Array(points.length * 2)
+      points.forEach((airport, i) => {
+        coords[2 * i] = airport.lat
+        coords[2 * i + 1] = airport.lon
+      })
+      return send({ coords, originIndex: 0, destinationIndex: 1, rangeKm })
+        .then(({ path }) => path && path.map(i => points[i]))
+    },
+
+    terminate: () => {
+      worker?.terminate()
+      pending.clear()
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import { getWaypointRole, getWaypointLabel, getAirportPlace } from './waypoints.js'
+
+// Export a route as GPX 1.1 (waypoints plus a great-circle track), KML (styled
+// placemarks for Google Earth) or a GeoJSON FeatureCollection, for flight-sim
+// tools and EFB apps. Every format carries the airports' codes, names and places
+// and each leg's distance, block time and aircraft.
+
+const KM_PER_NM = 1.852
+const FEET_TO_METRES = 0.3048
+const COORDINATE_DECIMALS = 6
+
+export const EXPORT_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+}
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+  origin: 'ff81b910',
+  stopover: 'ff0b9ef5',
+  destination: 'ff4444ef',
+  route: 'fff48542'
+}
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const round = (value) => Number(value.toFixed(COORDINATE_DECIMALS))
+
+// Helper function to bring an unwrapped longitude (as drawn on the map) back into -180..180
+const normalizeLon = (lon) => ((lon + 180) % 360 + 360) % 360 - 180
+
+const formatDuration = (hours) => {
+  const totalMinutes = Math.round(hours * 60)
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`
+}
+
+// Helper function to describe a leg, e.g. "LHR → JFK: 5,555 km (2,999 nm), 7h 55m, Boeing 777-300ER"
+const describeLeg = (leg) =>
+  `${leg.origin.iata} → ${leg.destination.iata}: ${Math.round(leg.distanceKm).toLocaleString('en')} km ` +
+  `(${Math.round(leg.distanceKm / KM_PER_NM).toLocaleString('en')} nm), ${formatDuration(leg.flightTimeHours)}, ${leg.aircraft.name}`
+
+// Helper function to describe an airport for descriptions and properties
+const describeAirport = (airport, index, count) => ({
+  role: getWaypointRole(index, count),
+  label: getWaypointLabel(index, count),
+  icao: airport.icao,
+  iata: airport.iata,
+  name: airport.name,
+  place: getAirportPlace(airport),
+  custom: Boolean(airport.custom),
+  elevationM: airport.elevationFt == null ? null : Math.round(airport.elevationFt * FEET_TO_METRES)
+})
+
+// Helper function to split a leg's path into parts that do not cross the antimeridian,
+// as [lon, lat] pairs
+const splitAtAntimeridian = (latLngs) => {
+  const parts = [[]]
+  latLngs.forEach(([lat, rawLon], i) => {
+    const lon = normalizeLon(rawLon)
+    const part = parts[parts.length - 1]
+    if (i > 0) {
+      const [previousLat, previousRawLon] = latLngs[i - 1]
+      const previousLon = normalizeLon(previousRawLon)
+      if (Math.abs(lon - previousLon) > 180) {
+        // Interpolate the latitude where the leg meets the antimeridian
+        const edge = previousLon > 0 ? 180 : -180
+        const fraction = (edge - previousLon) / (rawLon - previousRawLon)
+        const crossingLat = round(previousLat + (lat - previousLat) * fraction)
+        part.push([edge, crossingLat])
+        parts.push([[-edge, crossingLat]])
+      }
+    }
+    parts[parts.length - 1].push([round(lon), round(lat)])
+  })
+  return parts
+}
+
+// Summary of a route: name, totals and a description of its legs
+const summarizeRoute = (name, legs) => {
+  const distanceKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0)
+  const flightTimeHours = legs.reduce((sum, leg) => sum + leg.flightTimeHours, 0)
+  return {
+    name,
+    distanceKm: Math.round(distanceKm),
+    distanceNm: Math.round(distanceKm / KM_PER_NM),
+    flightTimeHours: Number(flightTimeHours.toFixed(2)),
+    description: [
+      `Total ${Math.round(distanceKm).toLocaleString('en')} km (${Math.round(distanceKm / KM_PER_NM).toLocaleString('en')} nm), ${formatDuration(flightTimeHours)} block time`,
+      ...legs.map(describeLeg)
+    ].join('\n')
+  }
+}
+
+const buildGpx = (name, waypoints, legs) => {
+  const summary = summarizeRoute(name, legs)
+  const wpts = waypoints.map((airport, index) => {
+    const info = describeAirport(airport, index, waypoints.length)
+    return `  <wpt lat="${round(airport.lat)}" lon="${round(airport.lon)}">
+${info.elevationM == null ? '' : `    <ele>${info.elevationM}</ele>\n`}    <name>${escapeXml(airport.icao)}</name>
+    <cmt>${escapeXml(airport.name)}</cmt>
+    <desc>${escapeXml([info.label, airport.name, info.place, `IATA ${airport.iata}`].filter(Boolean).join(' · '))}</desc>
+    <sym>Airport</sym>
+    <type>${info.role}</type>
+  </wpt>`
+  })
+  const segments = legs.map(leg => `    <trkseg>
+${leg.coordinates.map(([lat, lon]) => `      <trkpt lat="${round(lat)}" lon="${round(normalizeLon(lon))}"/>`).join('\n')}
+    </trkseg>`)
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="PlaneCode" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(summary.description)}</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${wpts.join('\n')}
+  <rte>
+    <name>${escapeXml(name)}</name>
+${waypoints.map(airport => `    <rtept lat="${round(airport.lat)}" lon="${round(airport.lon)}"><name>${escapeXml(airport.icao)}</name></rtept>`).join('\n')}
+  </rte>
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(summary.description)}</desc>
+${segments.join('\n')}
+  </trk>
+</gpx>
+`
+}
+
+const buildKml = (name, waypoints, legs) => {
+  const summary = summarizeRoute(name, legs)
+  const styles = Object.entries(KML_STYLES).map(([id, color]) => id === 'route'
+    ? `    <Style id="${id}"><LineStyle><color>${color}</color><width>3</width></LineStyle></Style>`
+    : `    <Style id="${id}"><IconStyle><color>${color}</color><Icon><href>https://maps.google.com/mapfiles/kml/shapes/airports.png</href></Icon></IconStyle></Style>`)
+
+  const placemarks = waypoints.map((airport, index) => {
+    const info = describeAirport(airport, index, waypoints.length)
+    const data = Object.entries(info)
+      .filter(([, value]) => value !== null && value !== '')
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+    return `    <Placemark>
+      <name>${escapeXml(airport.iata || airport.icao)}</name>
+      <description>${escapeXml([info.label, airport.name, info.place].filter(Boolean).join('\n'))}</description>
+      <styleUrl>#${info.role}</styleUrl>
+      <ExtendedData>
+${data.join('\n')}
+      </ExtendedData>
+      <Point><coordinates>${round(airport.lon)},${round(airport.lat)}</coordinates></Point>
+    </Placemark>`
+  })
+
+  const lines = legs.map(leg => `    <Placemark>
+      <name>${escapeXml(`${leg.origin.iata} → ${leg.destination.iata}`)}</name>
+      <description>${escapeXml(describeLeg(leg))}</description>
+      <styleUrl>#route</styleUrl>
+      <ExtendedData>
+        <Data name="distanceKm"><value>${Math.round(leg.distanceKm)}</value></Data>
+        <Data name="flightTimeHours"><value>${leg.flightTimeHours.toFixed(2)}</value></Data>
+        <Data name="aircraft"><value>${escapeXml(leg.aircraft.name)}</value></Data>
+      </ExtendedData>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${leg.coordinates.map(([lat, lon]) => `${round(normalizeLon(lon))},${round(lat)}`).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>`)
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${escapeXml(summary.description)}</description>
+${styles.join('\n')}
+${placemarks.join('\n')}
+${lines.join('\n')}
+  </Document>
+</kml>
+`
+}
+
+const buildGeoJson = (name, waypoints, legs) => {
+  const { description, ...summary } = summarizeRoute(name, legs)
+  const points = waypoints.map((airport, index) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [round(airport.lon), round(airport.lat)] },
+    properties: describeAirport(airport, index, waypoints.length)
+  }))
+  const lines = legs.map(leg => {
+    const parts = splitAtAntimeridian(leg.coordinates)
+    return {
+      type: 'Feature',
+      geometry: parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0] }
+        : { type: 'MultiLineString', coordinates: parts },
+      properties: {
+        role: 'leg',
+        origin: leg.origin.icao,
+        destination: leg.destination.icao,
+        distanceKm: Math.round(leg.distanceKm),
+        distanceNm: Math.round(leg.distanceKm / KM_PER_NM),
+        flightTimeHours: Number(leg.flightTimeHours.toFixed(2)),
+        aircraft: leg.aircraft.name
+      }
+    }
+  })
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    // Foreign member describing the whole route (RFC 7946 section 6.1)
+    properties: { ...summary, generator: 'PlaneCode', exportedAt: new Date().toISOString() },
+    features: [...points, ...lines]
+  }, null, 2)
+}
+
+const BUILDERS = { gpx: buildGpx, kml: buildKml, geojson: buildGeoJson }
+
+// Build the file contents for a route in one of the EXPORT_FORMATS
+export const buildRouteExport = (format, name, waypoints, legs) => BUILDERS[format](name, waypoints, legs)
+
+// Helper function to turn a route name into a file name, e.g. "LHR → JFK" -> "lhr-jfk"
+const toFileName = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '') || 'route'
+
+// Export a route and download it as a file
+export const downloadRouteExport = (format, name, waypoints, legs) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format]
+  const blob = new Blob([buildRouteExport(format, name, waypoints, legs)], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${toFileName(name)}.${extension}`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,237 @@
+import * as turf from '@turf/turf'
+
+// Import routes from GPX, KML and GeoJSON files or from route strings such as
+// "EGLL DCT KJFK" or "LHR-JFK-LAX". Every point or token becomes an item that is
+// either resolved to an airport (by ICAO/IATA code, or the nearest airport to its
+// coordinates) or carries an error saying why it was not, so nothing is dropped
+// silently.
+
+const MAX_MATCH_DISTANCE_KM = 10 // How far a point may be from the airport it is matched to
+const TOKEN_SEPARATORS = /[\s,;>→–—-]+/
+const CODE_PATTERN = /^[A-Z0-9]{2,7}$/
+const SPEED_LEVEL_PATTERN = /^[NKM]\d{3,4}([FASM]\d{3,4})?$/ // e.g. N0450F350
+const AIRWAY_PATTERN = /^[A-Z]{1,2}\d{1,4}[A-Z]?$/ // e.g. UL9, J80, N864
+const FIX_PATTERN = /^[A-Z]{5}$/ // e.g. DOGAL
+const IGNORED_TOKENS = ['DCT', 'SID', 'STAR', 'IFR', 'VFR']
+
+const lookupCache = new WeakMap()
+
+// Helper function to build (and cache per airport list) code lookups. Where several
+// airports share an IATA code the most important one wins.
+const getLookups = (airports) => {
+  if (!lookupCache.has(airports)) {
+    const byIcao = new Map()
+    const byIata = new Map()
+    airports.forEach(airport => {
+      byIcao.set(airport.icao, airport)
+      const existing = byIata.get(airport.iata)
+      if (!existing || (airport.level || Infinity) < (existing.level || Infinity)) {
+        byIata.set(airport.iata, airport)
+      }
+    })
+    lookupCache.set(airports, { byIcao, byIata })
+  }
+  return lookupCache.get(airports)
+}
+
+// Helper function to find an airport by code, trying ICAO first for four-character codes
+const findByCode = (code, airports) => {
+  const { byIcao, byIata } = getLookups(airports)
+  return code.length === 3
+    ? byIata.get(code) || byIcao.get(code)
+    : byIcao.get(code) || byIata.get(code)
+}
+
+// Helper function to find the nearest airport to a position, with its distance
+const findNearest = (lat, lon, airports) => {
+  const point = turf.point([lon, lat])
+  let nearest = null
+  let nearestKm = Infinity
+  airports.forEach(airport => {
+    const km = turf.distance(point, turf.point([airport.lon, airport.lat]), { units: 'kilometers' })
+    if (km < nearestKm) {
+      nearest = airport
+      nearestKm = km
+    }
+  })
+  return { airport: nearest, distanceKm: nearestKm }
+}
+
+// Helper function to explain why a route string token is not an airport
+const describeUnknownToken = (token) => {
+  if (AIRWAY_PATTERN.test(token)) return 'looks like an airway; only airports can be used as route points'
+  if (FIX_PATTERN.test(token)) return 'looks like a fix or navaid; add it as a custom waypoint to use it'
+  return 'unknown airport code'
+}
+
+// Resolve a route string into items, skipping DCT and speed/level groups
+export const parseRouteString = (text, airports) => text
+  .toUpperCase()
+  .split(TOKEN_SEPARATORS)
+  .filter(Boolean)
+  .filter(token => !IGNORED_TOKENS.includes(token) && !SPEED_LEVEL_PATTERN.test(token))
+  .map(token => {
+    const code = token.split('/')[0] // Drop runway or time suffixes, e.g. EGLL/27R
+    const airport = CODE_PATTERN.test(code) ? findByCode(code, airports) : null
+    return airport
+      ? { label: token, airport }
+      : { label: token, error: describeUnknownToken(code) }
+  })
+
+// Helper function to resolve a point from a file by its code hint, then by position
+const resolvePoint = ({ label, code, lat, lon }, airports) => {
+  const normalizedCode = code?.trim().toUpperCase()
+  if (normalizedCode && CODE_PATTERN.test(normalizedCode)) {
+    const airport = findByCode(normalizedCode, airports)
+    if (airport) return { label, airport }
+  }
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) {
+    return { label, error: 'has no valid coordinates' }
+  }
+
+  const { airport, distanceKm } = findNearest(lat, lon, airports)
+  if (!airport || distanceKm > MAX_MATCH_DISTANCE_KM) {
+    return { label, error: `no airport within ${MAX_MATCH_DISTANCE_KM} km of ${lat.toFixed(4)}, ${lon.toFixed(4)}` }
+  }
+  return { label, airport, note: `nearest airport, ${distanceKm.toFixed(1)} km away` }
+}
+
+// Helper function to read the text of a child element, if present
+const childText = (element, tagName) => element.getElementsByTagName(tagName)[0]?.textContent.trim() || ''
+
+// Helper function to keep the first and last point of each line, for files that only
+// contain tracks
+const lineEndpoints = (lines) => lines.flatMap(line => line.length > 1 ? [line[0], line[line.length - 1]] : line)
+
+const extractGpxPoints = (xml) => {
+  const toPoint = (element, index) => {
+    const name = childText(element, 'name')
+    return {
+      label: name || `Point ${index + 1}`,
+      code: name,
+      lat: Number(element.getAttribute('lat')),
+      lon: Number(element.getAttribute('lon'))
+    }
+  }
+
+  // Prefer the planned route, then waypoints, then the ends of each track segment
+  const route = xml.getElementsByTagName('rte')[0]
+  if (route) return [...route.getElementsByTagName('rtept')].map(toPoint)
+
+  const waypoints = [...xml.getElementsByTagName('wpt')]
+  if (waypoints.length > 0) return waypoints.map(toPoint)
+
+  const segments = [...xml.getElementsByTagName('trkseg')].map(segment => [...segment.getElementsByTagName('trkpt')])
+  return lineEndpoints(segments).map(toPoint)
+}
+
+const extractKmlPoints = (xml) => {
+  const placemarks = [...xml.getElementsByTagName('Placemark')]
+
+  // Helper function to read "lon,lat[,alt]" tuples
+  const parseCoordinates = (text) => text.trim().split(/\s+/).map(tuple => {
+    const [lon, lat] = tuple.split(',').map(Number)
+    return { lat, lon }
+  })
+
+  // Helper function to read an ExtendedData value, e.g. the ICAO code from our own export
+  const dataValue = (placemark, name) => [...placemark.getElementsByTagName('Data')]
+    .find(data => data.getAttribute('name') === name)
+    ?.getElementsByTagName('value')[0]?.textContent.trim()
+
+  const points = placemarks
+    .filter(placemark => placemark.getElementsByTagName('Point').length > 0)
+    .map((placemark, index) => {
+      const name = childText(placemark, 'name')
+      const [position] = parseCoordinates(childText(placemark.getElementsByTagName('Point')[0], 'coordinates'))
+      return { label: name || `Placemark ${index + 1}`, code: dataValue(placemark, 'icao') || name, ...position }
+    })
+  if (points.length > 0) return points
+
+  const lines = placemarks
+    .flatMap(placemark => [...placemark.getElementsByTagName('LineString')])
+    .map(line => parseCoordinates(childText(line, 'coordinates')))
+  return lineEndpoints(lines).map((position, index) => ({ label: `Line point ${index + 1}`, ...position }))
+}
+
+const extractGeoJsonPoints = (geojson) => {
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features
+    : geojson.type === 'Feature'
+      ? [geojson]
+      : [{ type: 'Feature', geometry: geojson, properties: {} }]
+
+  const points = []
+  const lines = []
+  features.forEach(feature => {
+    const { geometry } = feature
+    const properties = feature.properties || {}
+    const code = properties.icao || properties.iata || properties.code || properties.ident || properties.name
+    const label = properties.name || properties.icao || properties.iata
+    if (!geometry) return
+    if (geometry.type === 'Point') {
+      points.push({ label, code, lon: geometry.coordinates[0], lat: geometry.coordinates[1] })
+    } else if (geometry.type === 'MultiPoint') {
+      geometry.coordinates.forEach(([lon, lat]) => points.push({ label, code, lon, lat }))
+    } else if (geometry.type === 'LineString') {
+      lines.push(geometry.coordinates.map(([lon, lat]) => ({ lon, lat })))
+    } else if (geometry.type === 'MultiLineString') {
+      // Parts of one line split at the antimeridian: only the overall ends matter
+      const coordinates = geometry.coordinates.flat()
+      lines.push(coordinates.map(([lon, lat]) => ({ lon, lat })))
+    }
+  })
+
+  const result = points.length > 0 ? points : lineEndpoints(lines)
+  return result.map((point, index) => ({ ...point, label: point.label || `Point ${index + 1}` }))
+}
+
+// Helper function to tell the file format from its name, or failing that its contents
+const detectFormat = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase()
+  if (extension === 'gpx' || extension === 'kml') return extension
+  if (extension === 'geojson' || extension === 'json') return 'geojson'
+  if (extension === 'kmz') throw new Error('KMZ files are compressed; unzip them and import the KML inside')
+
+  const start = text.trimStart()
+  if (start.startsWith('{')) return 'geojson'
+  if (/<gpx[\s>]/.test(start)) return 'gpx'
+  if (/<kml[\s>]/.test(start)) return 'kml'
+  throw new Error('Unrecognised file; use GPX, KML or GeoJSON')
+}
+
+// Helper function to parse XML, throwing on malformed documents
+const parseXml = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml')
+  if (xml.getElementsByTagName('parsererror').length > 0) throw new Error('The file is not valid XML')
+  return xml
+}
+
+// Resolve the points of a GPX, KML or GeoJSON file into items. Throws an Error if
+// the file cannot be read at all.
+export const parseRouteFile = (fileName, text, airports) => {
+  const format = detectFormat(fileName, text)
+  let points
+  if (format === 'geojson') {
+    let geojson
+    try {
+      geojson = JSON.parse(text)
+    } catch (err) {
+      throw new Error('The file is not valid JSON')
+    }
+    points = extractGeoJsonPoints(geojson)
+  } else {
+    const xml = parseXml(text)
+    points = format === 'gpx' ? extractGpxPoints(xml) : extractKmlPoints(xml)
+  }
+
+  if (points.length === 0) throw new Error('The file contains no points or lines')
+  return points.map(point => resolvePoint(point, airports))
+}
+
+// The itinerary from resolved items, skipping failures and repeats of the previous airport
+export const getImportedWaypoints = (items) => items
+  .filter(item => item.airport)
+  .map(item => item.airport)
+  .filter((airport, index, all) => index === 0 || all[index - 1].icao !== airport.icao)
@@ -0,0 +1,82 @@
+import * as turf from '@turf/turf'
+import { getAircraftForLeg, calculateBlockHours } from './aircraft.js'
+import { calculateWindEffect } from './wind.js'
+import { estimateLegEmissions } from './emissions.js'
+import { getDateLineCrossing } from './timezones.js'
+
+// Great-circle legs of an itinerary with distance, block time, winds and emissions,
+// shared by the map, the globe and route export
+
+// Helper function to split fractional hours into whole hours and minutes
+export const splitHours = (totalHours) => {
+  let hours = Math.floor(totalHours)
+  let minutes = Math.round((totalHours - hours) * 60)
+  if (minutes === 60) {
+    hours += 1
+    minutes = 0
+  }
+  return { hours, minutes }
+}
+
+// Helper function to convert a turf great circle into a continuous Leaflet path.
+// Routes crossing the antimeridian come back as a MultiLineString, so the parts are
+// joined and longitudes unwrapped to avoid a line jumping across the whole map.
+export const greatCircleToLatLngs = (line) => {
+  const parts = line.geometry.type === 'MultiLineString'
+    ? line.geometry.coordinates
+    : [line.geometry.coordinates]
+  const latLngs = []
+  let previousLon = null
+  parts.flat().forEach(([lon, lat]) => {
+    let unwrappedLon = lon
+    if (previousLon !== null) {
+      while (unwrappedLon - previousLon > 180) unwrappedLon -= 360
+      while (unwrappedLon - previousLon < -180) unwrappedLon += 360
+    }
+    previousLon = unwrappedLon
+    latLngs.push([lat, unwrappedLon])
+  })
+  return latLngs
+}
+
+// Create a great-circle route for a single leg of the itinerary
+export const createRoute = (origin, destination, aircraftId, month) => {
+  const from = turf.point([origin.lon, origin.lat])
+  const to = turf.point([destination.lon, destination.lat])
+  const distanceKm = turf.distance(from, to, { units: 'kilometers' })
+
+  // Create a great circle route line
+  const coordinates = greatCircleToLatLngs(turf.greatCircle(from, to))
+
+  // Calculate block time for the chosen (or typical) aircraft with seasonal winds,
+  // in both directions since jet streams make the return trip faster or slower
+  const aircraft = getAircraftForLeg(distanceKm, aircraftId)
+  const wind = calculateWindEffect(coordinates, aircraft, month)
+  const returnWind = calculateWindEffect([...coordinates].reverse(), aircraft, month)
+  const flightTimeHours = calculateBlockHours(distanceKm, aircraft, wind.groundSpeedKmh)
+  const returnFlightTimeHours = calculateBlockHours(distanceKm, aircraft, returnWind.groundSpeedKmh)
+
+  return {
+    origin,
+    destination,
+    distanceKm,
+    coordinates,
+    aircraft,
+    flightTimeHours,
+    returnFlightTimeHours,
+    averageTailwindKmh: wind.averageTailwindKmh,
+    withinRange: distanceKm <= aircraft.rangeKm,
+    emissions: estimateLegEmissions(distanceKm, flightTimeHours, aircraft),
+    dateLineCrossing: getDateLineCrossing(coordinates),
+    ...splitHours(flightTimeHours)
+  }
+}
+
+// Create the legs between consecutive waypoints of an itinerary
+export const createRouteLegs = (waypoints, aircraftId, month) => {
+  const legs = []
+  for (let i = 1; i < waypoints.length; i++) {
+    legs.push(createRoute(waypoints[i - 1], waypoints[i], aircraftId, month))
+  }
+  return legs
+}
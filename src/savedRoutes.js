@@ -0,0 +1,50 @@
+import { getAllRecords, putRecord, putRecords, deleteRecord } from './db.js'
+
+// "My Routes": named itineraries saved in IndexedDB. Each keeps a copy of its
+// airports (so routes through custom airports survive their deletion), the chosen
+// aircraft, notes, the creation date and a position for the user's own ordering.
+
+const STORE = 'savedRoutes'
+
+// Fields copied from an airport into a saved route
+const AIRPORT_FIELDS = ['icao', 'iata', 'name', 'city', 'country', 'lat', 'lon', 'level', 'custom', 'kind']
+
+// Helper function to keep only the airport fields a saved route needs
+const copyAirport = (airport) => Object.fromEntries(
+  AIRPORT_FIELDS.filter(field => airport[field] !== undefined).map(field => [field, airport[field]])
+)
+
+// Default name for a route, e.g. "LHR → DXB → SYD"
+export const getDefaultRouteName = (waypoints) => waypoints.map(airport => airport.iata || airport.icao).join(' → ')
+
+// Load saved routes in the user's order
+export const loadSavedRoutes = () => getAllRecords(STORE)
+  .then(routes => routes.sort((a, b) => a.position - b.position))
+
+// Save a new route after the existing ones. Resolves to the stored route with its id.
+export const saveNewRoute = async ({ name, notes, waypoints, aircraftId }, position) => {
+  const route = {
+    name: name.trim() || getDefaultRouteName(waypoints),
+    notes: notes.trim(),
+    waypoints: waypoints.map(copyAirport),
+    aircraftId,
+    createdAt: new Date().toISOString(),
+    position
+  }
+  const id = await putRecord(STORE, route)
+  return { ...route, id }
+}
+
+export const updateSavedRoute = (route) => putRecord(STORE, route)
+
+// Store the positions of routes after they were reordered
+export const updateRoutePositions = (routes) => putRecords(STORE, routes.map((route, position) => ({ ...route, position })))
+
+export const deleteSavedRoute = (id) => deleteRecord(STORE, id)
+
+// Resolve a saved route's airports against the loaded list, so reopened routes pick
+// up data updates, falling back to the saved copy for airports no longer listed
+export const resolveSavedRouteWaypoints = (route, airports) => {
+  const byIcao = new Map(airports.map(airport => [airport.icao, airport]))
+  return route.waypoints.map(saved => byIcao.get(saved.icao) || saved)
+}
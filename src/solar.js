@@ -0,0 +1,38 @@
+// Sun position helpers for the day/night terminator.
+// Uses the low precision solar coordinates from the Astronomical Almanac,
+// accurate to about 0.01° which is plenty for shading the globe.
+
+const DEG_TO_RAD = Math.PI / 180
+const RAD_TO_DEG = 180 / Math.PI
+const MS_PER_DAY = 86400000
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5
+const J2000_JULIAN_DAY = 2451545.0
+
+// Helper function to wrap an angle in degrees into [0, 360)
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360
+
+// Calculate the point on Earth where the sun is directly overhead at the given time
+export const getSubsolarPoint = (date = new Date()) => {
+  // Days since the J2000 epoch
+  const n = date.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY - J2000_JULIAN_DAY
+
+  // Mean longitude and mean anomaly of the sun
+  const meanLongitude = normalizeDegrees(280.460 + 0.9856474 * n)
+  const meanAnomaly = normalizeDegrees(357.528 + 0.9856003 * n) * DEG_TO_RAD
+
+  // Ecliptic longitude and obliquity of the ecliptic
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG_TO_RAD
+  const obliquity = (23.439 - 0.0000004 * n) * DEG_TO_RAD
+
+  // Equatorial coordinates of the sun
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude))
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude))
+
+  // Greenwich mean sidereal time in degrees
+  const siderealTime = normalizeDegrees(280.46061837 + 360.98564736629 * n)
+
+  let lon = normalizeDegrees(rightAscension * RAD_TO_DEG - siderealTime)
+  if (lon > 180) lon -= 360
+
+  return { lat: declination * RAD_TO_DEG, lon }
+}
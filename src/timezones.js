@@ -0,0 +1,128 @@
+import tzlookup from '@photostructure/tz-lookup'
+
+// IANA time zones and local times for airports.
+//
+// Airports may carry a `timezone` field; otherwise the zone is looked up offline
+// from the coordinates. Conversions go through Intl.DateTimeFormat so daylight
+// saving time follows the browser's time zone database.
+
+const MS_PER_MINUTE = 60 * 1000
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE
+
+const timeZoneCache = new Map()
+const partsFormatters = new Map()
+
+// Get the IANA time zone for an airport, e.g. "Europe/London"
+export const getAirportTimeZone = (airport) => {
+  if (airport.timezone) return airport.timezone
+
+  const key = `${airport.lat},${airport.lon}`
+  if (!timeZoneCache.has(key)) {
+    timeZoneCache.set(key, tzlookup(airport.lat, airport.lon))
+  }
+  return timeZoneCache.get(key)
+}
+
+// Helper function to read the wall-clock date and time of an instant in a time zone
+const getLocalParts = (date, timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  const parts = {}
+  partsFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value)
+  })
+  return parts
+}
+
+// Get the UTC offset of a time zone in minutes at the given instant (DST aware)
+export const getUtcOffsetMinutes = (timeZone, date) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timeZone)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  const instant = Math.floor(date.getTime() / 1000) * 1000
+  return Math.round((wallClockAsUtc - instant) / MS_PER_MINUTE)
+}
+
+// Convert a local date-time string ("YYYY-MM-DDTHH:mm", as used by
+// <input type="datetime-local">) in the given time zone to a Date.
+// Times skipped by a DST change resolve to the instant after the gap.
+export const zonedTimeToDate = (localDateTime, timeZone) => {
+  const [datePart, timePart = '00:00'] = localDateTime.split('T')
+  const [year, month, day] = datePart.split('-').map(Number)
+  const [hour, minute] = timePart.split(':').map(Number)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute)
+
+  // The offset depends on the instant, so correct the first guess once
+  const firstGuess = wallClockAsUtc - getUtcOffsetMinutes(timeZone, new Date(wallClockAsUtc)) * MS_PER_MINUTE
+  const offset = getUtcOffsetMinutes(timeZone, new Date(firstGuess))
+  return new Date(wallClockAsUtc - offset * MS_PER_MINUTE)
+}
+
+// Format an instant as a local date-time string for <input type="datetime-local">
+export const dateToZonedTime = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getLocalParts(date, timeZone)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`
+}
+
+// Format an instant for display in a time zone, e.g. "Tue, 21 Oct, 07:05 EDT"
+export const formatZonedDateTime = (date, timeZone) => date.toLocaleString(undefined, {
+  timeZone,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+})
+
+// Number of calendar days between two local dates, e.g. 1 for an arrival
+// the day after departure in local time
+export const getLocalDayDifference = (fromDate, fromTimeZone, toDate, toTimeZone) => {
+  const from = getLocalParts(fromDate, fromTimeZone)
+  const to = getLocalParts(toDate, toTimeZone)
+  return Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / MS_PER_DAY
+  )
+}
+
+// Describe the local times of a flight between two airports: departure and
+// arrival instants, their time zones, the arrival day relative to the departure
+// day, and how far the destination clock is ahead of the origin clock
+export const describeLocalTimes = (origin, destination, departure, arrival) => {
+  const originTimeZone = getAirportTimeZone(origin)
+  const destinationTimeZone = getAirportTimeZone(destination)
+  return {
+    departure,
+    arrival,
+    originTimeZone,
+    destinationTimeZone,
+    dayDifference: getLocalDayDifference(departure, originTimeZone, arrival, destinationTimeZone),
+    timeDifferenceMinutes: getUtcOffsetMinutes(destinationTimeZone, arrival) -
+      getUtcOffsetMinutes(originTimeZone, arrival)
+  }
+}
+
+// Find where a path of [lat, lon] pairs with unwrapped longitudes crosses the
+// 180th meridian, where the International Date Line runs over open ocean.
+// Returns 'westbound' (the calendar moves forward a day), 'eastbound' (back a day)
+// or null if the path stays on one side.
+export const getDateLineCrossing = (coordinates) => {
+  const worldCopy = (lon) => Math.floor((lon + 180) / 360)
+  for (let i = 1; i < coordinates.length; i++) {
+    const from = worldCopy(coordinates[i - 1][1])
+    const to = worldCopy(coordinates[i][1])
+    if (to < from) return 'westbound'
+    if (to > from) return 'eastbound'
+  }
+  return null
+}
@@ -0,0 +1,20 @@
+// Helpers describing a waypoint's place in the itinerary
+
+// Get the role of a waypoint within the itinerary
+export const getWaypointRole = (index, count) => {
+  if (index === 0) return 'origin'
+  if (index === count - 1) return 'destination'
+  return 'stopover'
+}
+
+// Get a human readable label for a waypoint
+export const getWaypointLabel = (index, count) => {
+  const role = getWaypointRole(index, count)
+  if (role === 'origin') return 'Origin'
+  if (role === 'destination') return 'Destination'
+  return `Stop ${index}`
+}
+
+// Get the city and country of an airport for display, skipping blank parts
+// (custom airports may have neither)
+export const getAirportPlace = (airport) => [airport.city, airport.country].filter(Boolean).join(', ')
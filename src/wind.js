@@ -0,0 +1,157 @@
+import * as turf from '@turf/turf'
+
+// Seasonal average upper-level winds for wind-aware flight times.
+//
+// The grid holds approximate mean zonal (west-to-east) wind in m/s near the jet-stream
+// level (~250 hPa, FL340), representative of long-term climatology and rounded to
+// 5 m/s. It is a coarse model for trip comparisons, not flight planning data.
+// Positive values blow towards the east. Meridional winds are small on seasonal
+// average and are ignored. Rows are latitudes from 75°N to 75°S every 15°; columns
+// are longitudes from 180°W every 45°. It captures the subtropical and polar jets,
+// their seasonal shift and the tropical easterlies - enough to make LHR→JFK slower
+// than JFK→LHR.
+
+const GRID_LATITUDES = [75, 60, 45, 30, 15, 0, -15, -30, -45, -60, -75]
+const GRID_LON_START = -180
+const GRID_LON_STEP = 45
+const JET_STREAM_ALTITUDE_FT = 34000
+const MS_TO_KMH = 3.6
+const MIN_GROUND_SPEED_FACTOR = 0.25 // Keeps slow aircraft in strong headwinds from stalling the estimate
+
+// Longitude columns: 180W 135W 90W 45W 0 45E 90E 135E
+const SEASONAL_ZONAL_WIND = {
+  // December - February
+  DJF: [
+    [5, 5, 5, 5, 5, 5, 5, 5],
+    [10, 10, 15, 15, 15, 10, 10, 10],
+    [25, 20, 25, 30, 25, 20, 25, 35],
+    [45, 30, 35, 35, 35, 40, 50, 65],
+    [15, 5, 5, 10, 20, 25, 20, 25],
+    [-5, -5, 0, 0, -5, -10, -10, -5],
+    [0, 0, -5, 0, 0, -5, -5, 0],
+    [15, 15, 15, 15, 15, 15, 15, 20],
+    [25, 25, 25, 25, 25, 25, 25, 25],
+    [15, 15, 15, 15, 15, 15, 15, 15],
+    [5, 5, 5, 5, 5, 5, 5, 5]
+  ],
+  // March - May
+  MAM: [
+    [5, 5, 5, 5, 5, 5, 5, 5],
+    [10, 10, 10, 10, 10, 10, 10, 10],
+    [25, 20, 20, 25, 20, 20, 25, 30],
+    [35, 25, 30, 30, 30, 35, 40, 50],
+    [10, 5, 5, 5, 10, 15, 10, 15],
+    [-5, -5, 0, 0, -5, -5, -5, -5],
+    [5, 5, 0, 5, 5, 5, 5, 5],
+    [25, 25, 20, 25, 25, 25, 30, 30],
+    [25, 25, 25, 25, 25, 25, 25, 25],
+    [15, 15, 15, 15, 15, 15, 15, 15],
+    [5, 5, 5, 5, 5, 5, 5, 5]
+  ],
+  // June - August
+  JJA: [
+    [5, 5, 5, 5, 5, 5, 5, 5],
+    [10, 10, 10, 10, 10, 10, 10, 10],
+    [20, 20, 25, 25, 20, 25, 25, 25],
+    [10, 10, 10, 10, 10, 5, 0, 10],
+    [-5, -5, -5, -5, -15, -20, -25, -10],
+    [-5, -5, -5, -5, -10, -15, -15, -10],
+    [10, 10, 5, 10, 10, 15, 15, 15],
+    [40, 35, 30, 35, 40, 45, 50, 55],
+    [25, 25, 25, 25, 30, 30, 30, 30],
+    [15, 15, 15, 15, 15, 15, 15, 15],
+    [5, 5, 5, 5, 5, 5, 5, 5]
+  ],
+  // September - November
+  SON: [
+    [5, 5, 5, 5, 5, 5, 5, 5],
+    [10, 10, 15, 15, 10, 10, 10, 10],
+    [25, 20, 25, 25, 20, 20, 25, 30],
+    [30, 20, 20, 25, 25, 30, 35, 40],
+    [5, 0, 0, 0, 5, 5, 5, 10],
+    [-5, -5, 0, 0, -5, -5, -5, -5],
+    [5, 5, 5, 5, 5, 5, 5, 5],
+    [30, 25, 25, 25, 30, 30, 35, 35],
+    [25, 25, 25, 25, 25, 25, 25, 25],
+    [15, 15, 15, 15, 15, 15, 15, 15],
+    [5, 5, 5, 5, 5, 5, 5, 5]
+  ]
+}
+
+const SEASONS_BY_MONTH = ['DJF', 'DJF', 'MAM', 'MAM', 'MAM', 'JJA', 'JJA', 'JJA', 'SON', 'SON', 'SON', 'DJF']
+
+// Get the season key for a month (0 = January)
+export const getSeason = (month) => SEASONS_BY_MONTH[month]
+
+// Sample the seasonal zonal wind (m/s, positive towards the east) at a point
+// using bilinear interpolation between grid cells
+export const getZonalWind = (lat, lon, month) => {
+  const grid = SEASONAL_ZONAL_WIND[getSeason(month)]
+
+  // Latitude: clamp to the grid, then find the surrounding rows
+  const latStep = GRID_LATITUDES[0] - GRID_LATITUDES[1]
+  const clampedLat = Math.max(GRID_LATITUDES[GRID_LATITUDES.length - 1], Math.min(GRID_LATITUDES[0], lat))
+  const rowPosition = (GRID_LATITUDES[0] - clampedLat) / latStep
+  const row0 = Math.min(Math.floor(rowPosition), GRID_LATITUDES.length - 2)
+  const rowFraction = rowPosition - row0
+
+  // Longitude: wraps around the globe
+  const columns = grid[0].length
+  const columnPosition = ((((lon - GRID_LON_START) % 360) + 360) % 360) / GRID_LON_STEP
+  const col0 = Math.floor(columnPosition) % columns
+  const col1 = (col0 + 1) % columns
+  const colFraction = columnPosition - Math.floor(columnPosition)
+
+  const top = grid[row0][col0] * (1 - colFraction) + grid[row0][col1] * colFraction
+  const bottom = grid[row0 + 1][col0] * (1 - colFraction) + grid[row0 + 1][col1] * colFraction
+  return top * (1 - rowFraction) + bottom * rowFraction
+}
+
+// Calculate the wind effect along a route flown by the given aircraft.
+// Coordinates are [lat, lon] pairs along the great circle. Each segment's ground
+// speed is the true airspeed corrected for crosswind plus the tailwind component.
+// Returns the distance-weighted cruise ground speed and the average tailwind (km/h,
+// negative for a headwind).
+export const calculateWindEffect = (coordinates, aircraft, month) => {
+  const trueAirspeed = aircraft.cruiseSpeedKmh
+
+  // Wind weakens with height below the jet-stream level, so lower flying types see less
+  const altitudeFactor = Math.min(1, aircraft.cruiseAltitudeFt / JET_STREAM_ALTITUDE_FT)
+
+  let totalDistance = 0
+  let totalHours = 0
+  let weightedTailwind = 0
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const from = [coordinates[i - 1][1], coordinates[i - 1][0]]
+    const to = [coordinates[i][1], coordinates[i][0]]
+    const segmentKm = turf.distance(from, to, { units: 'kilometers' })
+    if (segmentKm === 0) continue
+
+    const bearing = turf.bearing(from, to) * Math.PI / 180
+    const midLat = (coordinates[i - 1][0] + coordinates[i][0]) / 2
+    const midLon = (coordinates[i - 1][1] + coordinates[i][1]) / 2
+    const windKmh = getZonalWind(midLat, midLon, month) * MS_TO_KMH * altitudeFactor
+
+    // Split the eastward wind into along-track and cross-track components
+    const tailwind = windKmh * Math.sin(bearing)
+    const crosswind = windKmh * Math.cos(bearing)
+    const groundSpeed = Math.max(
+      Math.sqrt(Math.max(trueAirspeed ** 2 - crosswind ** 2, 0)) + tailwind,
+      MIN_GROUND_SPEED_FACTOR * trueAirspeed
+    )
+
+    totalDistance += segmentKm
+    totalHours += segmentKm / groundSpeed
+    weightedTailwind += tailwind * segmentKm
+  }
+
+  if (totalDistance === 0) {
+    return { groundSpeedKmh: trueAirspeed, averageTailwindKmh: 0 }
+  }
+
+  return {
+    groundSpeedKmh: totalDistance / totalHours,
+    averageTailwindKmh: weightedTailwind / totalDistance
+  }
+}